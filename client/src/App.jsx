@@ -6,6 +6,10 @@ import ImageConverter from './pages/ImageConverter'
 import ImageEditor from './pages/ImageEditor'
 import PdfCompressor from './pages/PdfCompressor'
 import PdfEditor from './pages/PdfEditor'
+import ImagesToPdf from './pages/ImagesToPdf'
+import PdfStamp from './pages/PdfStamp'
+import PdfForms from './pages/PdfForms'
+import PdfImpose from './pages/PdfImpose'
 
 function App() {
     return (
@@ -17,6 +21,10 @@ function App() {
                 <Route path="edit-image" element={<ImageEditor />} />
                 <Route path="compress-pdf" element={<PdfCompressor />} />
                 <Route path="edit-pdf" element={<PdfEditor />} />
+                <Route path="images-to-pdf" element={<ImagesToPdf />} />
+                <Route path="stamp-pdf" element={<PdfStamp />} />
+                <Route path="fill-pdf-form" element={<PdfForms />} />
+                <Route path="impose-pdf" element={<PdfImpose />} />
             </Route>
         </Routes>
     )
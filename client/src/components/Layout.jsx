@@ -7,6 +7,10 @@ const navLinks = [
     { path: '/edit-image', label: 'Edit' },
     { path: '/compress-pdf', label: 'PDF Compress' },
     { path: '/edit-pdf', label: 'PDF Edit' },
+    { path: '/images-to-pdf', label: 'Images to PDF' },
+    { path: '/stamp-pdf', label: 'Watermark & Numbers' },
+    { path: '/fill-pdf-form', label: 'PDF Forms' },
+    { path: '/impose-pdf', label: 'N-up & Booklet' },
 ]
 
 export default function Layout() {
@@ -0,0 +1,58 @@
+const fields = [
+    { name: 'title', label: 'Title' },
+    { name: 'author', label: 'Author' },
+    { name: 'subject', label: 'Subject' },
+    { name: 'keywords', label: 'Keywords', placeholder: 'e.g., invoice, 2024, acme' },
+    { name: 'creator', label: 'Creator', hint: 'Application that created the original document' },
+    { name: 'producer', label: 'Producer', hint: 'Application that produced the PDF' },
+    { name: 'creationDate', label: 'Created', type: 'datetime-local' },
+    { name: 'modificationDate', label: 'Modified', type: 'datetime-local' },
+    { name: 'language', label: 'Language', placeholder: 'e.g., en-US' }
+]
+
+// ISO date string -> value for a datetime-local input (local time, minutes)
+export const toDateInput = (iso) => {
+    if (!iso) return ''
+    const date = new Date(iso)
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+// datetime-local input value -> ISO date string
+export const fromDateInput = (value) => (value ? new Date(value).toISOString() : '')
+
+// Form values (strings) from the server's metadata
+export const metadataToForm = (metadata = {}) => Object.fromEntries(fields.map(({ name, type }) => [
+    name,
+    type === 'datetime-local' ? toDateInput(metadata[name]) : metadata[name] || ''
+]))
+
+// Metadata to send from form values; with `initial`, only fields that changed
+export const formToMetadata = (values, initial) => Object.fromEntries(fields
+    .filter(({ name }) => !initial || values[name] !== initial[name])
+    .map(({ name, type }) => [name, type === 'datetime-local' ? fromDateInput(values[name]) : values[name].trim()]))
+
+export default function MetadataForm({ values, onChange, only }) {
+    const visible = only ? fields.filter(field => only.includes(field.name)) : fields
+
+    return (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '1rem' }}>
+            {visible.map(field => (
+                <div key={field.name}>
+                    <label className="control-title" htmlFor={`metadata-${field.name}`} style={{ display: 'block' }}>
+                        {field.label}
+                    </label>
+                    <input
+                        id={`metadata-${field.name}`}
+                        type={field.type || 'text'}
+                        className="form-input"
+                        maxLength={1000}
+                        placeholder={field.placeholder}
+                        title={field.hint}
+                        value={values[field.name] || ''}
+                        onChange={(e) => onChange({ ...values, [field.name]: e.target.value })}
+                    />
+                </div>
+            ))}
+        </div>
+    )
+}
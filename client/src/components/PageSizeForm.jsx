@@ -0,0 +1,114 @@
+const sizeOptions = [
+    { value: '', label: 'Keep' },
+    { value: 'a4', label: 'A4' },
+    { value: 'letter', label: 'Letter' },
+    { value: 'legal', label: 'Legal' },
+    { value: 'a5', label: 'A5' },
+    { value: 'a3', label: 'A3' },
+    { value: 'tabloid', label: 'Tabloid' }
+]
+
+const orientationOptions = [
+    { value: 'auto', label: 'Auto', hint: 'Each page keeps its own orientation' },
+    { value: 'portrait', label: 'Portrait' },
+    { value: 'landscape', label: 'Landscape' }
+]
+
+const modeOptions = [
+    { value: 'fit', label: 'Fit', hint: 'Scale the content to fit, padding the rest' },
+    { value: 'fill', label: 'Fill', hint: 'Scale the content to cover the page, cutting off the overflow' },
+    { value: 'center', label: 'Center', hint: 'Keep the content at its size, centered' }
+]
+
+const boxOptions = [
+    { value: 'crop', label: 'Crop', hint: 'What is shown and printed' },
+    { value: 'trim', label: 'Trim', hint: 'Only where the printed page is cut' }
+]
+
+const sides = ['top', 'right', 'bottom', 'left']
+
+export const defaultPageSize = () => ({
+    size: 'a4',
+    orientation: 'auto',
+    mode: 'fit',
+    margins: Object.fromEntries(sides.map(side => [side, 0])),
+    box: 'crop'
+})
+
+// Options as sent to the server, or null when nothing would change
+export const pageSizeOptions = (values) => {
+    const margins = Object.fromEntries(sides.map(side => [side, Number(values.margins[side]) || 0]))
+    const hasMargins = sides.some(side => margins[side] !== 0)
+    if (!values.size && !hasMargins) return null
+
+    return {
+        ...(values.size && { size: values.size, orientation: values.orientation, mode: values.mode }),
+        ...(hasMargins && { margins, box: values.box })
+    }
+}
+
+export default function PageSizeForm({ values, onChange }) {
+    const update = (changes) => onChange({ ...values, ...changes })
+
+    const renderButtons = (options, value, name) => (
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+            {options.map(option => (
+                <button
+                    key={option.value}
+                    type="button"
+                    className={`aspect-btn ${value === option.value ? 'active' : ''}`}
+                    onClick={() => update({ [name]: option.value })}
+                    title={option.hint}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    )
+
+    return (
+        <div>
+            <h4 className="control-title">Page Size</h4>
+            {renderButtons(sizeOptions, values.size, 'size')}
+
+            {values.size && (
+                <>
+                    <h4 className="control-title" style={{ marginTop: '1rem' }}>Orientation</h4>
+                    {renderButtons(orientationOptions, values.orientation, 'orientation')}
+
+                    <h4 className="control-title" style={{ marginTop: '1rem' }}>Scaling</h4>
+                    {renderButtons(modeOptions, values.mode, 'mode')}
+                    <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                        {modeOptions.find(option => option.value === values.mode).hint}
+                    </p>
+                </>
+            )}
+
+            <h4 className="control-title" style={{ marginTop: '1rem' }}>Margins (mm)</h4>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '0.75rem' }}>
+                {sides.map(side => (
+                    <div key={side}>
+                        <label htmlFor={`margin-${side}`} style={{ display: 'block', fontSize: '0.75rem', textTransform: 'capitalize' }}>
+                            {side}
+                        </label>
+                        <input
+                            id={`margin-${side}`}
+                            type="number"
+                            className="form-input"
+                            min="-100"
+                            max="100"
+                            value={values.margins[side]}
+                            onChange={(e) => update({ margins: { ...values.margins, [side]: e.target.value } })}
+                        />
+                    </div>
+                ))}
+            </div>
+            <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                Positive values remove margin, negative values add blank margin; applied before the page size
+            </p>
+
+            <h4 className="control-title" style={{ marginTop: '1rem' }}>Apply Margins To</h4>
+            {renderButtons(boxOptions, values.box, 'box')}
+        </div>
+    )
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react'
+
+// Error codes the server returns for password-protected PDFs
+export const PASSWORD_ERROR_CODES = ['PDF_ENCRYPTED', 'PDF_PASSWORD_INCORRECT']
+
+// Asks for the password of a protected PDF, then retries the operation with it
+export default function PasswordPrompt({ locked, busy, onSubmit }) {
+    const [password, setPassword] = useState('')
+
+    const submit = (e) => {
+        e.preventDefault()
+        if (password) onSubmit(password)
+    }
+
+    return (
+        <form className="card" style={{ marginTop: '1.5rem', borderColor: 'var(--warning, #f59e0b)' }} onSubmit={submit}>
+            <h3 className="control-title">🔒 {locked.fileName} is password-protected</h3>
+            <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: '0.75rem' }}>
+                {locked.code === 'PDF_PASSWORD_INCORRECT'
+                    ? 'That password is incorrect. Try again.'
+                    : 'Enter its password to unlock it. The output is saved without the protection.'}
+            </p>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                    type="password"
+                    className="form-input"
+                    placeholder="Password"
+                    autoFocus
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                />
+                <button type="submit" className="btn btn-primary" disabled={busy || !password}>
+                    🔓 Unlock & Retry
+                </button>
+            </div>
+        </form>
+    )
+}
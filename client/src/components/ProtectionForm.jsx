@@ -0,0 +1,95 @@
+const permissionOptions = [
+    { name: 'print', label: 'Printing' },
+    { name: 'copy', label: 'Copying text and images' },
+    { name: 'modify', label: 'Editing and page changes' },
+    { name: 'annotate', label: 'Comments and form filling' }
+]
+
+const encryptionOptions = [
+    { value: 'aes-256', label: 'AES-256', hint: 'Acrobat X and later, current browsers' },
+    { value: 'aes-128', label: 'AES-128', hint: 'Older PDF readers (Acrobat 7 and later)' }
+]
+
+export const defaultProtection = () => ({
+    userPassword: '',
+    ownerPassword: '',
+    permissions: Object.fromEntries(permissionOptions.map(({ name }) => [name, true])),
+    encryption: 'aes-256'
+})
+
+// Why the options cannot be sent as they are, or null (mirrors the server's checks)
+export const protectionError = (values) => {
+    const restricted = Object.values(values.permissions).includes(false)
+    if (!values.userPassword && !restricted) return 'Set an open password or turn off at least one permission'
+    if (values.userPassword && values.userPassword === values.ownerPassword && restricted) {
+        return 'The permissions password must differ from the open password'
+    }
+    return null
+}
+
+export default function ProtectionForm({ values, onChange }) {
+    const update = (changes) => onChange({ ...values, ...changes })
+
+    return (
+        <div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '1rem' }}>
+                <div>
+                    <label className="control-title" htmlFor="protection-user" style={{ display: 'block' }}>Open password</label>
+                    <input
+                        id="protection-user"
+                        type="password"
+                        className="form-input"
+                        maxLength={127}
+                        placeholder="Leave empty to open without one"
+                        autoComplete="new-password"
+                        value={values.userPassword}
+                        onChange={(e) => update({ userPassword: e.target.value })}
+                    />
+                </div>
+                <div>
+                    <label className="control-title" htmlFor="protection-owner" style={{ display: 'block' }}>Permissions password</label>
+                    <input
+                        id="protection-owner"
+                        type="password"
+                        className="form-input"
+                        maxLength={127}
+                        placeholder="Leave empty for a random one"
+                        title="Lifts the restrictions below in PDF readers"
+                        autoComplete="new-password"
+                        value={values.ownerPassword}
+                        onChange={(e) => update({ ownerPassword: e.target.value })}
+                    />
+                </div>
+            </div>
+
+            <h4 className="control-title" style={{ marginTop: '1rem' }}>Allow</h4>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                {permissionOptions.map(({ name, label }) => (
+                    <label key={name} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem' }}>
+                        <input
+                            type="checkbox"
+                            checked={values.permissions[name]}
+                            onChange={(e) => update({ permissions: { ...values.permissions, [name]: e.target.checked } })}
+                        />
+                        {label}
+                    </label>
+                ))}
+            </div>
+
+            <h4 className="control-title" style={{ marginTop: '1rem' }}>Encryption</h4>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {encryptionOptions.map(option => (
+                    <button
+                        key={option.value}
+                        type="button"
+                        className={`aspect-btn ${values.encryption === option.value ? 'active' : ''}`}
+                        title={option.hint}
+                        onClick={() => update({ encryption: option.value })}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    )
+}
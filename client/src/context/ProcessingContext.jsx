@@ -1,6 +1,6 @@
 import { createContext, useContext, useState, useCallback } from 'react'
 import toast from 'react-hot-toast'
-import { transformImage, downloadFile } from '../services/api'
+import { transformImage, downloadFile, formatStage } from '../services/api'
 
 const ProcessingContext = createContext(null)
 
@@ -8,6 +8,7 @@ export function ProcessingProvider({ children }) {
     const [isProcessing, setIsProcessing] = useState(false)
     const [processingFile, setProcessingFile] = useState(null)
     const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
     const [result, setResult] = useState(null)
     const [error, setError] = useState(null)
 
@@ -15,11 +16,12 @@ export function ProcessingProvider({ children }) {
         setIsProcessing(true)
         setProcessingFile(file)
         setProgress(0)
+        setServerProgress(null)
         setResult(null)
         setError(null)
 
         try {
-            const response = await transformImage(file, transformations, setProgress)
+            const response = await transformImage(file, transformations, setProgress, setServerProgress)
             setResult(response)
             setIsProcessing(false)
             toast.success('Image processed successfully!')
@@ -51,6 +53,7 @@ export function ProcessingProvider({ children }) {
         setResult(null)
         setProcessingFile(null)
         setProgress(0)
+        setServerProgress(null)
         setError(null)
     }, [])
 
@@ -59,6 +62,7 @@ export function ProcessingProvider({ children }) {
             isProcessing,
             processingFile,
             progress,
+            serverProgress,
             result,
             error,
             startProcessing,
@@ -76,9 +80,16 @@ export function ProcessingProvider({ children }) {
                             <div className="indicator-content">
                                 <div className="indicator-title">Processing Image...</div>
                                 <div className="indicator-progress">
-                                    <div className="indicator-progress-bar" style={{ width: `${progress}%` }}></div>
+                                    <div
+                                        className="indicator-progress-bar"
+                                        style={{ width: `${serverProgress ? serverProgress.progress : progress}%` }}
+                                    ></div>
+                                </div>
+                                <div className="indicator-text">
+                                    {serverProgress
+                                        ? `${formatStage(serverProgress)} (${serverProgress.progress}%)`
+                                        : `${progress}% uploaded`}
                                 </div>
-                                <div className="indicator-text">{progress}% uploaded</div>
                             </div>
                         </>
                     ) : result ? (
@@ -23,13 +23,37 @@ const tools = [
         path: '/compress-pdf',
         icon: '📄',
         title: 'PDF Compressor',
-        description: 'Reduce PDF file size while keeping text readable. Works best with image-heavy PDFs.'
+        description: 'Reduce PDF file size with screen, ebook or print profiles and compare the results.'
     },
     {
         path: '/edit-pdf',
         icon: '📑',
         title: 'PDF Editor',
-        description: 'Merge multiple PDFs, split by pages, or reorder pages. No limits on file count.'
+        description: 'Merge multiple PDFs, split by pages, reorder pages, or give every page the same size. No limits on file count.'
+    },
+    {
+        path: '/images-to-pdf',
+        icon: '🗂️',
+        title: 'Images to PDF',
+        description: 'Turn scans and photos into one PDF. Choose page size, orientation, margins and fit.'
+    },
+    {
+        path: '/stamp-pdf',
+        icon: '💧',
+        title: 'Watermark & Page Numbers',
+        description: 'Stamp text or a logo, page numbers, headers and footers on your pages, with a live preview.'
+    },
+    {
+        path: '/fill-pdf-form',
+        icon: '📝',
+        title: 'Fill PDF Forms',
+        description: 'Fill in text fields, checkboxes, choices and lists of a PDF form, then flatten it if you like.'
+    },
+    {
+        path: '/impose-pdf',
+        icon: '📰',
+        title: 'N-up & Booklet',
+        description: 'Print 2, 4 or 6 pages per sheet for handouts, or arrange pages into a booklet to fold and staple.'
     }
 ]
 
@@ -0,0 +1,252 @@
+import { useState, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import FileUploader from '../components/FileUploader'
+import { imagesToPdf, formatFileSize, downloadFile, formatStage } from '../services/api'
+
+const pageSizes = [
+    { value: 'fit', label: 'Fit to image' },
+    { value: 'a4', label: 'A4' },
+    { value: 'letter', label: 'Letter' }
+]
+
+const orientations = [
+    { value: 'auto', label: 'Auto' },
+    { value: 'portrait', label: 'Portrait' },
+    { value: 'landscape', label: 'Landscape' }
+]
+
+const fitModes = [
+    { value: 'contain', label: 'Fit', hint: 'Whole image visible' },
+    { value: 'cover', label: 'Fill', hint: 'Fills the page, edges cropped' },
+    { value: 'stretch', label: 'Stretch', hint: 'Fills the page, aspect ratio ignored' }
+]
+
+export default function ImagesToPdf() {
+    const [files, setFiles] = useState([])
+    const [pageSize, setPageSize] = useState('a4')
+    const [orientation, setOrientation] = useState('auto')
+    const [margin, setMargin] = useState(10)
+    const [fit, setFit] = useState('contain')
+    const [uploading, setUploading] = useState(false)
+    const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
+    const [result, setResult] = useState(null)
+
+    const handleFilesSelect = useCallback((newFiles) => {
+        setFiles(prev => [...prev, ...newFiles])
+        setResult(null)
+    }, [])
+
+    const removeFile = (index) => {
+        setFiles(prev => prev.filter((_, i) => i !== index))
+        setResult(null)
+    }
+
+    const moveFile = (index, direction) => {
+        const newFiles = [...files]
+        const newIndex = index + direction
+        if (newIndex < 0 || newIndex >= files.length) return
+        [newFiles[index], newFiles[newIndex]] = [newFiles[newIndex], newFiles[index]]
+        setFiles(newFiles)
+        setResult(null)
+    }
+
+    const handleConvert = async () => {
+        if (files.length === 0) return
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await imagesToPdf(
+                files,
+                { pageSize, orientation, margin: margin || 0, fit },
+                setProgress,
+                setServerProgress
+            )
+            setResult(response)
+            toast.success('PDF created successfully!')
+        } catch (error) {
+            console.error('Images to PDF error:', error)
+            toast.error(error.response?.data?.error || 'Failed to create PDF')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleDownload = async () => {
+        try {
+            await downloadFile(result.downloadUrl, 'images.pdf')
+            toast.success('Download started!')
+        } catch (error) {
+            toast.error('Download failed')
+        }
+    }
+
+    const handleReset = () => {
+        setFiles([])
+        setResult(null)
+        setProgress(0)
+        setServerProgress(null)
+    }
+
+    const progressLabel = () => {
+        if (!serverProgress) return `Uploading... ${progress}%`
+        return `${formatStage(serverProgress)} ${serverProgress.progress}%`
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">🖼️ Images to PDF</h1>
+                <p className="page-subtitle">
+                    Combine JPG, PNG, WebP or GIF images into one PDF, one image per page
+                </p>
+            </div>
+
+            <FileUploader
+                accept={{ 'image/*': ['.jpg', '.jpeg', '.png', '.webp', '.gif'] }}
+                maxFiles={10}
+                onFilesSelected={handleFilesSelect}
+                label="Drop images here to convert"
+                hint="Pages follow the order below • Max 10 images, 20MB each"
+            />
+
+            {files.length > 0 && (
+                <>
+                    <div className="file-list">
+                        {files.map((file, index) => (
+                            <div key={`${file.name}-${index}`} className="file-item">
+                                <div className="file-info">
+                                    <span className="page-number">{index + 1}</span>
+                                    <div>
+                                        <div className="file-name">{file.name}</div>
+                                        <div className="file-size">{formatFileSize(file.size)}</div>
+                                    </div>
+                                </div>
+                                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => moveFile(index, -1)}
+                                        disabled={index === 0}
+                                        style={{ padding: '0.25rem 0.5rem' }}
+                                    >
+                                        ↑
+                                    </button>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => moveFile(index, 1)}
+                                        disabled={index === files.length - 1}
+                                        style={{ padding: '0.25rem 0.5rem' }}
+                                    >
+                                        ↓
+                                    </button>
+                                    <button className="file-remove" onClick={() => removeFile(index)}>✕</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="card" style={{ marginTop: '1.5rem' }}>
+                        <div className="control-section">
+                            <h4 className="control-title">Page Size</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                {pageSizes.map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${pageSize === option.value ? 'active' : ''}`}
+                                        onClick={() => setPageSize(option.value)}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {pageSize !== 'fit' && (
+                            <div className="control-section">
+                                <h4 className="control-title">Orientation</h4>
+                                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                    {orientations.map(option => (
+                                        <button
+                                            key={option.value}
+                                            className={`aspect-btn ${orientation === option.value ? 'active' : ''}`}
+                                            onClick={() => setOrientation(option.value)}
+                                        >
+                                            {option.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="control-section">
+                            <h4 className="control-title">Image Placement</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                {fitModes.map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${fit === option.value ? 'active' : ''}`}
+                                        onClick={() => setFit(option.value)}
+                                        title={option.hint}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="control-section">
+                            <h4 className="control-title">Margin (mm)</h4>
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="0"
+                                max="50"
+                                value={margin}
+                                onChange={(e) => setMargin(e.target.value)}
+                                style={{ width: '100px' }}
+                            />
+                        </div>
+                    </div>
+
+                    {result && (
+                        <div className="result-box">
+                            <div className="result-stats">
+                                <div className="stat-item">
+                                    <div className="stat-value">{result.pageCount}</div>
+                                    <div className="stat-label">Pages</div>
+                                </div>
+                                <div className="stat-item">
+                                    <div className="stat-value">{formatFileSize(result.size)}</div>
+                                    <div className="stat-label">Output Size</div>
+                                </div>
+                            </div>
+                            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                <button className="btn btn-success btn-lg" onClick={handleDownload}>
+                                    ⬇️ Download PDF
+                                </button>
+                                <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                    Start Over
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!result && (
+                        <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                            <button
+                                className="btn btn-primary btn-lg"
+                                onClick={handleConvert}
+                                disabled={uploading}
+                            >
+                                {uploading ? progressLabel() : `📄 Create PDF from ${files.length} image${files.length === 1 ? '' : 's'}`}
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
@@ -1,72 +1,88 @@
 import { useState, useCallback } from 'react'
 import toast from 'react-hot-toast'
 import FileUploader from '../components/FileUploader'
-import { compressPdf, formatFileSize, downloadFile } from '../services/api'
+import PasswordPrompt, { PASSWORD_ERROR_CODES } from '../components/PasswordPrompt'
+import { compressPdf, formatFileSize, downloadFile, formatStage } from '../services/api'
 
-const MAX_PAGES = 10
-const MAX_SIZE_MB = 5
+const profiles = [
+    { value: 'screen', label: 'Screen', hint: 'Smallest file: images at 72 dpi, for reading on screens' },
+    { value: 'ebook', label: 'Ebook', hint: 'Balanced: images at 150 dpi, good for most documents' },
+    { value: 'print', label: 'Print', hint: 'High quality: images at 300 dpi, for printing' },
+    { value: 'all', label: 'Compare all', hint: 'Compress with every profile and pick the result' }
+]
+
+const profileLabel = (value) => profiles.find(option => option.value === value)?.label || value
 
 export default function PdfCompressor() {
     const [file, setFile] = useState(null)
+    const [profile, setProfile] = useState('ebook')
+    const [password, setPassword] = useState('')
+    const [locked, setLocked] = useState(null)
     const [uploading, setUploading] = useState(false)
     const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
     const [result, setResult] = useState(null)
-    const [warning, setWarning] = useState(null)
 
     const handleFileSelect = useCallback((files) => {
-        const selectedFile = files[0]
-        setFile(selectedFile)
+        setFile(files[0])
         setResult(null)
-
-        // Check size limit
-        if (selectedFile.size > MAX_SIZE_MB * 1024 * 1024) {
-            setWarning(`This PDF is larger than ${MAX_SIZE_MB}MB. Cloudinary may not be able to compress it.`)
-        } else {
-            setWarning(null)
-        }
+        setPassword('')
+        setLocked(null)
     }, [])
 
-    const handleCompress = async () => {
+    const handleCompress = async (filePassword = password) => {
         if (!file) return
 
         setUploading(true)
         setProgress(0)
+        setServerProgress(null)
 
         try {
-            const response = await compressPdf(file, setProgress)
+            const response = await compressPdf(file, setProgress, setServerProgress, { profile, password: filePassword })
+            setLocked(null)
             setResult(response)
             toast.success('PDF compressed successfully!')
         } catch (error) {
             console.error('Compression error:', error)
-            toast.error(error.response?.data?.error || 'Failed to compress PDF')
-
-            // Show limitation message if applicable
-            if (error.response?.data?.limitation) {
-                setWarning(error.response.data.limitation)
+            const data = error.response?.data
+            // Password-protected input: ask for the password instead of failing
+            if (PASSWORD_ERROR_CODES.includes(data?.code)) {
+                setLocked({ fileName: data.fileName, code: data.code })
             }
+            toast.error(data?.error || 'Failed to compress PDF')
         } finally {
             setUploading(false)
         }
     }
 
-    const handleDownload = async () => {
-        if (result?.downloadUrl) {
-            try {
-                const baseName = file.name.replace(/\.[^/.]+$/, '')
-                const filename = `${baseName}_compressed.pdf`
-                await downloadFile(result.downloadUrl, filename)
-                toast.success('Download started!')
-            } catch (error) {
-                toast.error('Download failed')
-            }
+    const handleUnlock = (filePassword) => {
+        setPassword(filePassword)
+        handleCompress(filePassword)
+    }
+
+    const handleDownload = async (entry) => {
+        try {
+            const baseName = file.name.replace(/\.[^/.]+$/, '')
+            const suffix = result.results.length > 1 ? `_${entry.profile}` : ''
+            await downloadFile(entry.downloadUrl, `${baseName}_compressed${suffix}.pdf`)
+            toast.success('Download started!')
+        } catch (error) {
+            toast.error('Download failed')
         }
     }
 
     const handleReset = () => {
         setFile(null)
         setResult(null)
+        setPassword('')
+        setLocked(null)
         setProgress(0)
-        setWarning(null)
+        setServerProgress(null)
+    }
+
+    const progressLabel = () => {
+        if (!serverProgress) return `Uploading... ${progress}%`
+        return `${formatStage(serverProgress)} ${serverProgress.progress}%`
     }
 
     return (
@@ -74,27 +90,17 @@ export default function PdfCompressor() {
             <div className="page-header">
                 <h1 className="page-title">📄 PDF Compressor</h1>
                 <p className="page-subtitle">
-                    Reduce PDF file size while keeping text readable
+                    Reduce PDF file size by downsampling images and removing duplicate and unused data
                 </p>
             </div>
 
-            {/* Limitation Notice */}
-            <div className="message message-warning" style={{ marginBottom: '1.5rem' }}>
-                <strong>⚠️ Cloudinary Limitations:</strong>
-                <ul style={{ marginTop: '0.5rem', paddingLeft: '1.5rem' }}>
-                    <li>Maximum 10 pages per PDF</li>
-                    <li>Maximum 5MB file size</li>
-                    <li>Works best with image-heavy PDFs (text-only PDFs may not compress much)</li>
-                </ul>
-            </div>
-
             {!file ? (
                 <FileUploader
                     accept={{ 'application/pdf': ['.pdf'] }}
                     maxFiles={1}
                     onFilesSelected={handleFileSelect}
                     label="Drop your PDF here, or click to select"
-                    hint="PDF files only • Max 20MB (5MB recommended for compression)"
+                    hint="PDF files only • Max 20MB"
                 />
             ) : (
                 <div>
@@ -112,33 +118,72 @@ export default function PdfCompressor() {
                         </div>
                     </div>
 
-                    {/* Warning */}
-                    {warning && (
-                        <div className="message message-warning" style={{ marginTop: '1rem' }}>
-                            ⚠️ {warning}
-                        </div>
+                    {locked && (
+                        <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={handleUnlock} />
                     )}
 
+                    {/* Profile */}
+                    <div className="card" style={{ marginTop: '1.5rem' }}>
+                        <div className="control-section">
+                            <h4 className="control-title">Profile</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                {profiles.map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${profile === option.value ? 'active' : ''}`}
+                                        onClick={() => { setProfile(option.value); setResult(null) }}
+                                        title={option.hint}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                {profiles.find(option => option.value === profile).hint}
+                            </p>
+                        </div>
+                    </div>
+
                     {/* Result */}
                     {result && (
                         <div className="result-box">
                             <div className="result-stats">
+                                {result.decrypted && (
+                                    <div className="stat-item">
+                                        <div className="stat-value">{formatFileSize(result.uploadedSize)}</div>
+                                        <div className="stat-label">Uploaded Size</div>
+                                    </div>
+                                )}
                                 <div className="stat-item">
                                     <div className="stat-value">{formatFileSize(result.originalSize)}</div>
-                                    <div className="stat-label">Original Size</div>
+                                    <div className="stat-label">{result.decrypted ? 'Unlocked Size' : 'Original Size'}</div>
                                 </div>
                                 <div className="stat-item">
                                     <div className="stat-value">{result.pageCount}</div>
                                     <div className="stat-label">Pages</div>
                                 </div>
                             </div>
-                            <p style={{ textAlign: 'center', color: 'var(--text-muted)', marginBottom: '1rem' }}>
-                                {result.note}
-                            </p>
-                            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
-                                <button className="btn btn-success btn-lg" onClick={handleDownload}>
-                                    ⬇️ Download Compressed PDF
-                                </button>
+                            {result.results.map(entry => (
+                                <div key={entry.profile} className="file-item" style={{ marginBottom: '0.75rem' }}>
+                                    <div className="file-info">
+                                        <span className="file-icon">🗜️</span>
+                                        <div>
+                                            <div className="file-name">
+                                                {profileLabel(entry.profile)}: {formatFileSize(entry.size)}
+                                                {' '}({entry.savedPercent > 0 ? `${entry.savedPercent}% smaller` : 'no reduction'})
+                                            </div>
+                                            <div className="file-size">
+                                                {entry.imagesRecompressed} of {entry.images} image(s) recompressed
+                                                {' • '}{entry.duplicatesRemoved} duplicate(s) and {entry.unusedRemoved} unused object(s) removed
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <button className="btn btn-success" onClick={() => handleDownload(entry)}>
+                                        ⬇️ Download
+                                    </button>
+                                </div>
+                            ))}
+                            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '1rem' }}>
                                 <button className="btn btn-secondary btn-lg" onClick={handleReset}>
                                     Compress Another
                                 </button>
@@ -151,10 +196,10 @@ export default function PdfCompressor() {
                         <div style={{ textAlign: 'center', marginTop: '2rem' }}>
                             <button
                                 className="btn btn-primary btn-lg"
-                                onClick={handleCompress}
+                                onClick={() => handleCompress()}
                                 disabled={uploading}
                             >
-                                {uploading ? `Compressing... ${progress}%` : '🗜️ Compress PDF'}
+                                {uploading ? progressLabel() : '🗜️ Compress PDF'}
                             </button>
                         </div>
                     )}
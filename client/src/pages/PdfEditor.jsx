@@ -1,25 +1,118 @@
 import { useState, useCallback } from 'react'
 import toast from 'react-hot-toast'
 import FileUploader from '../components/FileUploader'
-import { mergePdfs, splitPdf, reorderPdf, getPdfInfo, formatFileSize, downloadFile } from '../services/api'
+import PasswordPrompt, { PASSWORD_ERROR_CODES } from '../components/PasswordPrompt'
+import MetadataForm, { metadataToForm, formToMetadata } from '../components/MetadataForm'
+import ProtectionForm, { defaultProtection, protectionError } from '../components/ProtectionForm'
+import PageSizeForm, { defaultPageSize, pageSizeOptions } from '../components/PageSizeForm'
+import { mergePdfs, splitPdf, reorderPdf, editPdfPages, normalizePdf, getPdfInfo, getPdfMetadata, updatePdfMetadata, protectPdf, formatFileSize, downloadFile, formatStage } from '../services/api'
 
 const tabs = [
     { id: 'merge', label: '📎 Merge PDFs' },
     { id: 'split', label: '✂️ Split PDF' },
-    { id: 'reorder', label: '🔀 Reorder Pages' },
+    { id: 'reorder', label: '🔀 Reorder & Rotate' },
+    { id: 'pages', label: '🧩 Add / Remove Pages' },
+    { id: 'size', label: '📐 Page Size & Margins' },
+    { id: 'metadata', label: '🏷️ Properties' },
+    { id: 'protect', label: '🔐 Protect' },
+    { id: 'inspect', label: '🔍 Inspect' },
+]
+
+// Properties offered when merging (the rest describe the original files)
+const mergeMetadataFields = ['title', 'author', 'subject', 'keywords', 'language']
+
+const splitModes = [
+    { value: 'ranges', label: 'Page ranges' },
+    { value: 'every', label: 'Every N pages' },
+    { value: 'size', label: 'By file size' },
+    { value: 'odd-even', label: 'Odd / even', hint: 'One PDF with the odd pages, one with the even pages' },
+    { value: 'pages', label: 'Every page', hint: 'One PDF per page' },
+    { value: 'bookmarks', label: 'By bookmarks', hint: 'One PDF per top-level bookmark' }
+]
+
+const pageOperations = [
+    { value: 'delete', label: '🗑️ Delete' },
+    { value: 'duplicate', label: '📑 Duplicate' },
+    { value: 'insert-blank', label: '➕ Insert Blank' }
+]
+
+const blankPageSizes = [
+    { value: 'match', label: 'Match neighbour' },
+    { value: 'a4', label: 'A4' },
+    { value: 'letter', label: 'Letter' }
 ]
 
 export default function PdfEditor() {
     const [activeTab, setActiveTab] = useState('merge')
     const [files, setFiles] = useState([])
+    const [mergeBookmarks, setMergeBookmarks] = useState(false)
+    const [bookmarkLabels, setBookmarkLabels] = useState({})
+    const [mergePageRanges, setMergePageRanges] = useState({})
+    const [interleave, setInterleave] = useState(false)
+    const [reverseSecond, setReverseSecond] = useState(false)
+    const [mergeMetadataEnabled, setMergeMetadataEnabled] = useState(false)
+    const [mergeMetadata, setMergeMetadata] = useState(() => metadataToForm())
+    const [mergeNormalize, setMergeNormalize] = useState(false)
+    const [pageSize, setPageSize] = useState(defaultPageSize)
     const [singleFile, setSingleFile] = useState(null)
     const [pdfInfo, setPdfInfo] = useState(null)
+    const [splitMode, setSplitMode] = useState('ranges')
     const [splitPages, setSplitPages] = useState('')
+    const [splitEvery, setSplitEvery] = useState(1)
+    const [splitMaxSize, setSplitMaxSize] = useState(5)
+    const [splitZip, setSplitZip] = useState(true)
     const [pageOrder, setPageOrder] = useState([])
+    const [pageRotations, setPageRotations] = useState({})
+    const [pageOperation, setPageOperation] = useState('delete')
+    const [operationPages, setOperationPages] = useState('')
+    const [operationCount, setOperationCount] = useState(1)
+    const [insertAfter, setInsertAfter] = useState(0)
+    const [blankSize, setBlankSize] = useState('match')
+    const [blankOrientation, setBlankOrientation] = useState('portrait')
+    const [metadataValues, setMetadataValues] = useState(null)
+    const [metadataInitial, setMetadataInitial] = useState(null)
+    const [protectOutput, setProtectOutput] = useState(false)
+    const [protection, setProtection] = useState(defaultProtection)
+    const [passwords, setPasswords] = useState({})
+    const [locked, setLocked] = useState(null)
     const [uploading, setUploading] = useState(false)
     const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
     const [result, setResult] = useState(null)
 
+    // Button label while busy: upload percentage, then the server's stage once it reports one
+    const progressLabel = (verb) => {
+        if (!serverProgress) return `${verb}... ${progress}%`
+        return `${formatStage(serverProgress)} ${serverProgress.progress}%`
+    }
+
+    // Password-protected input: ask for the password instead of failing with a toast
+    const handleLocked = (error) => {
+        const data = error.response?.data
+        if (!PASSWORD_ERROR_CODES.includes(data?.code)) return false
+        setLocked({ fileName: data.fileName, code: data.code })
+        toast.error(data.error)
+        return true
+    }
+
+    // Remember the password for the locked file and run the operation again with it
+    const retryWithPassword = (retry) => (password) => {
+        const next = { ...passwords, [locked.fileName]: password }
+        setPasswords(next)
+        retry(next)
+    }
+
+    // Protection for merge, split and reorder output: null when off, false when invalid
+    const outputProtection = () => {
+        if (!protectOutput) return null
+        const error = protectionError(protection)
+        if (error) {
+            toast.error(error)
+            return false
+        }
+        return protection
+    }
+
     // Merge handlers
     const handleMergeFilesSelect = useCallback((newFiles) => {
         setFiles(prev => [...prev, ...newFiles])
@@ -38,22 +131,46 @@ export default function PdfEditor() {
         setFiles(newFiles)
     }
 
-    const handleMerge = async () => {
+    const handleMerge = async (filePasswords = passwords) => {
         if (files.length < 2) {
             toast.error('At least 2 PDFs required for merging')
             return
         }
 
+        const protectionOptions = outputProtection()
+        if (protectionOptions === false) return
+
+        const normalize = mergeNormalize ? pageSizeOptions(pageSize) : null
+        if (mergeNormalize && !normalize) {
+            toast.error('Choose a page size or margins')
+            return
+        }
+
         setUploading(true)
         setProgress(0)
+        setServerProgress(null)
 
         try {
-            const response = await mergePdfs(files, setProgress)
+            // Only filled-in properties; the rest keep the merge defaults
+            const metadata = mergeMetadataEnabled
+                ? Object.fromEntries(Object.entries(formToMetadata(mergeMetadata)).filter(([, value]) => value))
+                : null
+            const response = await mergePdfs(files, setProgress, setServerProgress, {
+                metadata,
+                passwords: files.map(file => filePasswords[file.name] || ''),
+                bookmarks: mergeBookmarks ? files.map(file => bookmarkLabels[file.name]?.trim() || '') : null,
+                pageRanges: files.map(file => mergePageRanges[file.name]?.trim() || ''),
+                interleave: interleave && files.length === 2,
+                reverseSecond,
+                protection: protectionOptions,
+                normalize
+            })
+            setLocked(null)
             setResult({ type: 'merge', ...response })
             toast.success('PDFs merged successfully!')
         } catch (error) {
             console.error('Merge error:', error)
-            toast.error(error.response?.data?.error || 'Failed to merge PDFs')
+            if (!handleLocked(error)) toast.error(error.response?.data?.error || 'Failed to merge PDFs')
         } finally {
             setUploading(false)
         }
@@ -70,46 +187,205 @@ export default function PdfEditor() {
             setPdfInfo(info)
             // Initialize page order for reorder tab
             setPageOrder(Array.from({ length: info.pageCount }, (_, i) => i + 1))
+            setPageRotations({})
         } catch (error) {
             console.error('Error getting PDF info:', error)
             toast.error('Failed to read PDF info')
         }
     }, [])
 
-    const handleSplit = async () => {
-        if (!singleFile || !splitPages.trim()) {
+    const handleMetadataFileSelect = useCallback(async (selectedFiles) => {
+        handleSingleFileSelect(selectedFiles)
+
+        try {
+            const { metadata } = await getPdfMetadata(selectedFiles[0])
+            const values = metadataToForm(metadata)
+            setMetadataValues(values)
+            setMetadataInitial(values)
+        } catch (error) {
+            console.error('Error reading PDF metadata:', error)
+            toast.error(error.response?.data?.error || 'Failed to read PDF properties')
+        }
+    }, [handleSingleFileSelect])
+
+    // Yes/no rows of the inspection report
+    const inspectionRows = (info) => [
+        { label: 'Encrypted', value: info.encrypted, detail: info.encryption?.keyLength && `${info.encryption.keyLength}-bit` },
+        { label: 'Form fields', value: info.forms.present, detail: info.forms.present && `${info.forms.fieldCount} field(s)${info.forms.xfa ? ', XFA' : ''}` },
+        { label: 'Annotations', value: info.annotations.count > 0, detail: Object.entries(info.annotations.types).map(([type, count]) => `${count} ${type}`).join(', ') },
+        { label: 'Attachments', value: info.attachments.length > 0, detail: info.attachments.map(file => file.name || 'unnamed').join(', ') },
+        { label: 'JavaScript', value: info.javascript },
+        { label: 'Bookmarks', value: info.outlines.present, detail: info.outlines.present && `${info.outlines.count} (${info.outlines.topLevel} top-level)` }
+    ]
+
+    const handleSplit = async (filePasswords = passwords) => {
+        if (!singleFile) return
+        if (splitMode === 'ranges' && !splitPages.trim()) {
             toast.error('Please specify pages to split')
             return
         }
 
+        const protectionOptions = outputProtection()
+        if (protectionOptions === false) return
+
         setUploading(true)
         setProgress(0)
+        setServerProgress(null)
 
         try {
-            const response = await splitPdf(singleFile, splitPages, setProgress)
+            const response = await splitPdf(singleFile, splitMode === 'ranges' ? splitPages : null, setProgress, setServerProgress, {
+                mode: splitMode,
+                every: splitMode === 'every' ? splitEvery : undefined,
+                maxSizeMb: splitMode === 'size' ? splitMaxSize : undefined,
+                output: splitZip ? 'both' : 'files',
+                password: filePasswords[singleFile.name],
+                protection: protectionOptions
+            })
+            setLocked(null)
             setResult({ type: 'split', ...response })
             toast.success('PDF split successfully!')
         } catch (error) {
             console.error('Split error:', error)
-            toast.error(error.response?.data?.error || 'Failed to split PDF')
+            if (!handleLocked(error)) toast.error(error.response?.data?.error || 'Failed to split PDF')
         } finally {
             setUploading(false)
         }
     }
 
-    const handleReorder = async () => {
+    const handleReorder = async (filePasswords = passwords) => {
         if (!singleFile || pageOrder.length === 0) return
 
+        const protectionOptions = outputProtection()
+        if (protectionOptions === false) return
+
         setUploading(true)
         setProgress(0)
+        setServerProgress(null)
 
         try {
-            const response = await reorderPdf(singleFile, pageOrder, setProgress)
+            // Rotations refer to original page numbers
+            const rotations = Object.entries(pageRotations)
+                .filter(([, angle]) => angle !== 0)
+                .map(([page, angle]) => ({ pages: page, angle }))
+            const response = await reorderPdf(singleFile, pageOrder, setProgress, setServerProgress, {
+                rotations,
+                password: filePasswords[singleFile.name],
+                protection: protectionOptions
+            })
+            setLocked(null)
             setResult({ type: 'reorder', ...response })
             toast.success('PDF pages reordered successfully!')
         } catch (error) {
             console.error('Reorder error:', error)
-            toast.error(error.response?.data?.error || 'Failed to reorder PDF')
+            if (!handleLocked(error)) toast.error(error.response?.data?.error || 'Failed to reorder PDF')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handlePageOperation = async () => {
+        if (!singleFile) return
+
+        const operation = pageOperation === 'insert-blank'
+            ? { op: 'insert-blank', after: Number(insertAfter), count: Number(operationCount), size: blankSize, orientation: blankOrientation }
+            : { op: pageOperation, pages: operationPages, copies: Number(operationCount) }
+
+        if (pageOperation !== 'insert-blank' && !operationPages.trim()) {
+            toast.error('Please specify pages')
+            return
+        }
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await editPdfPages(singleFile, [operation], setProgress, setServerProgress)
+            setResult({ type: 'pages', ...response })
+            toast.success('PDF pages updated successfully!')
+        } catch (error) {
+            console.error('Page operation error:', error)
+            toast.error(error.response?.data?.error || 'Failed to update PDF pages')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleNormalize = async (filePasswords = passwords) => {
+        if (!singleFile) return
+
+        const options = pageSizeOptions(pageSize)
+        if (!options) {
+            toast.error('Choose a page size or margins')
+            return
+        }
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await normalizePdf(singleFile, { ...options, password: filePasswords[singleFile.name] }, setProgress, setServerProgress)
+            setLocked(null)
+            setResult({ type: 'size', ...response })
+            toast.success('Page sizes updated successfully!')
+        } catch (error) {
+            console.error('Normalize error:', error)
+            if (!handleLocked(error)) toast.error(error.response?.data?.error || 'Failed to update page sizes')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleMetadataSave = async () => {
+        if (!singleFile || !metadataValues) return
+
+        // Only send what was edited, so the modification date is refreshed unless changed by hand
+        const changes = formToMetadata(metadataValues, metadataInitial)
+        if (Object.keys(changes).length === 0) {
+            toast.error('No properties changed')
+            return
+        }
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await updatePdfMetadata(singleFile, changes, setProgress, setServerProgress)
+            setResult({ type: 'metadata', ...response })
+            toast.success('PDF properties updated successfully!')
+        } catch (error) {
+            console.error('Metadata error:', error)
+            toast.error(error.response?.data?.error || 'Failed to update PDF properties')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleProtect = async (filePasswords = passwords) => {
+        if (!singleFile) return
+
+        const error = protectionError(protection)
+        if (error) {
+            toast.error(error)
+            return
+        }
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await protectPdf(singleFile, protection, setProgress, setServerProgress, {
+                password: filePasswords[singleFile.name]
+            })
+            setLocked(null)
+            setResult({ type: 'protect', ...response })
+            toast.success('PDF protected successfully!')
+        } catch (error) {
+            console.error('Protect error:', error)
+            if (!handleLocked(error)) toast.error(error.response?.data?.error || 'Failed to protect PDF')
         } finally {
             setUploading(false)
         }
@@ -123,6 +399,13 @@ export default function PdfEditor() {
         setPageOrder(newOrder)
     }
 
+    const rotatePage = (page, direction) => {
+        setPageRotations(prev => ({
+            ...prev,
+            [page]: ((prev[page] || 0) + direction * 90 + 360) % 360
+        }))
+    }
+
     const handleDownload = async (url, filename) => {
         try {
             await downloadFile(url, filename)
@@ -136,18 +419,54 @@ export default function PdfEditor() {
         setFiles([])
         setSingleFile(null)
         setPdfInfo(null)
+        setSplitMode('ranges')
         setSplitPages('')
+        setSplitEvery(1)
+        setSplitMaxSize(5)
         setPageOrder([])
+        setPageRotations({})
+        setOperationPages('')
+        setOperationCount(1)
+        setInsertAfter(0)
+        setMetadataValues(null)
+        setMetadataInitial(null)
+        setProtectOutput(false)
+        setProtection(defaultProtection())
+        setMergeBookmarks(false)
+        setBookmarkLabels({})
+        setMergePageRanges({})
+        setInterleave(false)
+        setReverseSecond(false)
+        setMergeNormalize(false)
+        setPageSize(defaultPageSize())
+        setPasswords({})
+        setLocked(null)
         setResult(null)
         setProgress(0)
+        setServerProgress(null)
     }
 
+    // Optional password protection of the output (merge, split and reorder)
+    const renderProtectOption = () => (
+        <div className="card" style={{ marginTop: '1.5rem' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem' }}>
+                <input type="checkbox" checked={protectOutput} onChange={(e) => setProtectOutput(e.target.checked)} />
+                Password-protect the output
+            </label>
+            {protectOutput && (
+                <div style={{ marginTop: '1rem' }}>
+                    <ProtectionForm values={protection} onChange={setProtection} />
+                </div>
+            )}
+        </div>
+    )
+
     return (
         <div>
             <div className="page-header">
                 <h1 className="page-title">📑 PDF Editor</h1>
                 <p className="page-subtitle">
-                    Merge, split, or reorder PDF pages
+                    Merge, split, reorder or rotate PDF pages, change page sizes and margins, edit document properties, password-protect a PDF, or inspect what a PDF contains
                 </p>
             </div>
 
@@ -187,6 +506,28 @@ export default function PdfEditor() {
                                         <div>
                                             <div className="file-name">{file.name}</div>
                                             <div className="file-size">{formatFileSize(file.size)}</div>
+                                            {!result && (
+                                                <input
+                                                    type="text"
+                                                    className="form-input"
+                                                    style={{ marginTop: '0.25rem', padding: '0.25rem 0.5rem', fontSize: '0.875rem' }}
+                                                    placeholder="Pages: all (or e.g., 1-3,5)"
+                                                    title="Pages are taken in the order written, so 5,1-3 puts page 5 first"
+                                                    value={mergePageRanges[file.name] || ''}
+                                                    onChange={(e) => setMergePageRanges(prev => ({ ...prev, [file.name]: e.target.value }))}
+                                                />
+                                            )}
+                                            {mergeBookmarks && !result && (
+                                                <input
+                                                    type="text"
+                                                    className="form-input"
+                                                    style={{ marginTop: '0.25rem', padding: '0.25rem 0.5rem', fontSize: '0.875rem' }}
+                                                    maxLength={200}
+                                                    placeholder={`Bookmark: ${file.name.replace(/\.pdf$/i, '')}`}
+                                                    value={bookmarkLabels[file.name] || ''}
+                                                    onChange={(e) => setBookmarkLabels(prev => ({ ...prev, [file.name]: e.target.value }))}
+                                                />
+                                            )}
                                         </div>
                                     </div>
                                     <div style={{ display: 'flex', gap: '0.5rem' }}>
@@ -213,6 +554,69 @@ export default function PdfEditor() {
                         </div>
                     )}
 
+                    {files.length >= 2 && !result && (
+                        <div className="card" style={{ marginTop: '1.5rem' }}>
+                            {files.length === 2 && (
+                                <>
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem', marginBottom: '0.75rem' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={interleave}
+                                            onChange={(e) => setInterleave(e.target.checked)}
+                                        />
+                                        Interleave the pages (first page of each file, then the second, ...), e.g. odd and even pages scanned separately
+                                    </label>
+                                    {interleave && (
+                                        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem', marginBottom: '0.75rem', marginLeft: '1.5rem' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={reverseSecond}
+                                                onChange={(e) => setReverseSecond(e.target.checked)}
+                                            />
+                                            Reverse the second file (even pages scanned back to front)
+                                        </label>
+                                    )}
+                                </>
+                            )}
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem', marginBottom: '0.75rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={mergeBookmarks}
+                                    onChange={(e) => setMergeBookmarks(e.target.checked)}
+                                />
+                                Add a bookmark for each file (keeps the files' own bookmarks under it)
+                            </label>
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={mergeMetadataEnabled}
+                                    onChange={(e) => setMergeMetadataEnabled(e.target.checked)}
+                                />
+                                Set document properties (title, author, ...) on the merged PDF
+                            </label>
+                            {mergeMetadataEnabled && (
+                                <div style={{ marginTop: '1rem' }}>
+                                    <MetadataForm values={mergeMetadata} onChange={setMergeMetadata} only={mergeMetadataFields} />
+                                </div>
+                            )}
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem', marginTop: '0.75rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={mergeNormalize}
+                                    onChange={(e) => setMergeNormalize(e.target.checked)}
+                                />
+                                Give every page the same size
+                            </label>
+                            {mergeNormalize && (
+                                <div style={{ marginTop: '1rem' }}>
+                                    <PageSizeForm values={pageSize} onChange={setPageSize} />
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {files.length >= 2 && !result && renderProtectOption()}
+
                     {result?.type === 'merge' && (
                         <div className="result-box">
                             <div className="result-stats">
@@ -240,14 +644,18 @@ export default function PdfEditor() {
                         </div>
                     )}
 
+                    {locked && !result && (
+                        <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={retryWithPassword(handleMerge)} />
+                    )}
+
                     {!result && files.length >= 2 && (
                         <div style={{ textAlign: 'center', marginTop: '2rem' }}>
                             <button
                                 className="btn btn-primary btn-lg"
-                                onClick={handleMerge}
+                                onClick={() => handleMerge()}
                                 disabled={uploading}
                             >
-                                {uploading ? `Merging... ${progress}%` : `📎 Merge ${files.length} PDFs`}
+                                {uploading ? progressLabel('Merging') : interleave && files.length === 2 ? '📎 Interleave 2 PDFs' : `📎 Merge ${files.length} PDFs`}
                             </button>
                         </div>
                     )}
@@ -263,7 +671,7 @@ export default function PdfEditor() {
                             maxFiles={1}
                             onFilesSelected={handleSingleFileSelect}
                             label="Drop a PDF here to split"
-                            hint="Upload a PDF and specify which pages to extract"
+                            hint="Split by page ranges, page count, file size, odd/even pages or bookmarks"
                         />
                     ) : (
                         <div>
@@ -283,20 +691,95 @@ export default function PdfEditor() {
                             </div>
 
                             <div className="card" style={{ marginTop: '1.5rem' }}>
-                                <h3 className="control-title">Specify Pages to Extract</h3>
-                                <input
-                                    type="text"
-                                    className="form-input"
-                                    placeholder="e.g., 1-3;5;7-10 (semicolon creates separate PDFs)"
-                                    value={splitPages}
-                                    onChange={(e) => setSplitPages(e.target.value)}
-                                />
-                                <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
-                                    Use ranges like <code>1-5</code> or individual pages <code>3,7</code>.
-                                    Separate with semicolons to create multiple PDFs.
-                                </p>
+                                <div className="control-section">
+                                    <h4 className="control-title">Split Mode</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                        {splitModes.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${splitMode === option.value ? 'active' : ''}`}
+                                                onClick={() => {
+                                                    setSplitMode(option.value)
+                                                    setResult(null)
+                                                }}
+                                                title={option.hint}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {splitMode === 'ranges' && (
+                                    <div className="control-section">
+                                        <h4 className="control-title">Specify Pages to Extract</h4>
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            placeholder="e.g., 1-3;5;7-10 (semicolon creates separate PDFs)"
+                                            value={splitPages}
+                                            onChange={(e) => setSplitPages(e.target.value)}
+                                        />
+                                        <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                            Use ranges like <code>1-5</code> or individual pages <code>3,7</code>.
+                                            Separate with semicolons to create multiple PDFs.
+                                        </p>
+                                    </div>
+                                )}
+
+                                {splitMode === 'every' && (
+                                    <div className="control-section" style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                                        <span style={{ fontSize: '0.875rem' }}>A new PDF every</span>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            min="1"
+                                            max={pdfInfo?.pageCount}
+                                            value={splitEvery}
+                                            onChange={(e) => setSplitEvery(e.target.value)}
+                                            style={{ width: '80px' }}
+                                        />
+                                        <span style={{ fontSize: '0.875rem' }}>pages</span>
+                                    </div>
+                                )}
+
+                                {splitMode === 'size' && (
+                                    <div className="control-section">
+                                        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                                            <span style={{ fontSize: '0.875rem' }}>Each PDF at most</span>
+                                            <input
+                                                type="number"
+                                                className="form-input"
+                                                min="0.1"
+                                                max="100"
+                                                step="0.1"
+                                                value={splitMaxSize}
+                                                onChange={(e) => setSplitMaxSize(e.target.value)}
+                                                style={{ width: '80px' }}
+                                            />
+                                            <span style={{ fontSize: '0.875rem' }}>MB</span>
+                                        </div>
+                                        <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                            Pages stay in order; a single page larger than this becomes a PDF of its own
+                                        </p>
+                                    </div>
+                                )}
+
+                                {splitModes.find(option => option.value === splitMode).hint && (
+                                    <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+                                        {splitModes.find(option => option.value === splitMode).hint}
+                                        {splitMode === 'bookmarks' && ', keeping its bookmarks. Pages before the first bookmark become a PDF of their own.'}
+                                    </p>
+                                )}
+
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem', marginTop: '0.75rem' }}>
+                                    <input type="checkbox" checked={splitZip} onChange={(e) => setSplitZip(e.target.checked)} />
+                                    Also bundle all parts into one ZIP
+                                </label>
                             </div>
 
+                            {!result && renderProtectOption()}
+
                             {result?.type === 'split' && (
                                 <div className="result-box">
                                     <p style={{ marginBottom: '1rem' }}>
@@ -307,19 +790,31 @@ export default function PdfEditor() {
                                             <div className="file-info">
                                                 <span className="file-icon">📄</span>
                                                 <div>
-                                                    <div className="file-name">Part {i + 1}: Pages {file.pages}</div>
-                                                    <div className="file-size">{file.pageCount} pages • {formatFileSize(file.size)}</div>
+                                                    <div className="file-name">{file.fileName}</div>
+                                                    <div className="file-size">
+                                                        {file.title ? `${file.title} • ` : ''}Pages {file.pages} • {file.pageCount} pages • {formatFileSize(file.size)}
+                                                        {file.oversized && ' • larger than the limit'}
+                                                    </div>
                                                 </div>
                                             </div>
                                             <button
                                                 className="btn btn-success"
-                                                onClick={() => handleDownload(file.downloadUrl, `split_part${i + 1}.pdf`)}
+                                                onClick={() => handleDownload(file.downloadUrl, file.fileName)}
                                             >
                                                 ⬇️
                                             </button>
                                         </div>
                                     ))}
                                     <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+                                        {result.zip && (
+                                            <button
+                                                className="btn btn-success"
+                                                style={{ marginRight: '0.5rem' }}
+                                                onClick={() => handleDownload(result.zip.downloadUrl, result.zip.fileName)}
+                                            >
+                                                ⬇️ Download All (ZIP, {formatFileSize(result.zip.size)})
+                                            </button>
+                                        )}
                                         <button className="btn btn-secondary" onClick={handleReset}>
                                             Split Another PDF
                                         </button>
@@ -327,14 +822,18 @@ export default function PdfEditor() {
                                 </div>
                             )}
 
+                            {locked && !result && (
+                                <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={retryWithPassword(handleSplit)} />
+                            )}
+
                             {!result && (
                                 <div style={{ textAlign: 'center', marginTop: '2rem' }}>
                                     <button
                                         className="btn btn-primary btn-lg"
-                                        onClick={handleSplit}
-                                        disabled={uploading || !splitPages.trim()}
+                                        onClick={() => handleSplit()}
+                                        disabled={uploading || (splitMode === 'ranges' && !splitPages.trim())}
                                     >
-                                        {uploading ? `Splitting... ${progress}%` : '✂️ Split PDF'}
+                                        {uploading ? progressLabel('Splitting') : '✂️ Split PDF'}
                                     </button>
                                 </div>
                             )}
@@ -372,16 +871,22 @@ export default function PdfEditor() {
                             </div>
 
                             <div className="card" style={{ marginTop: '1.5rem' }}>
-                                <h3 className="control-title">Reorder Pages</h3>
+                                <h3 className="control-title">Reorder & Rotate Pages</h3>
                                 <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: '1rem' }}>
-                                    Use the arrows to change page order
+                                    Use the arrows to change page order and ↺ ↻ to rotate pages
                                 </p>
                                 <div className="pdf-pages" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(100px, 1fr))' }}>
                                     {pageOrder.map((page, index) => (
                                         <div key={index} className="pdf-page">
-                                            <div className="page-number">{page}</div>
+                                            <div
+                                                className="page-number"
+                                                style={{ transform: `rotate(${pageRotations[page] || 0}deg)`, transition: 'transform 0.2s' }}
+                                            >
+                                                {page}
+                                            </div>
                                             <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
                                                 Position {index + 1}
+                                                {pageRotations[page] ? ` • ${pageRotations[page]}°` : ''}
                                             </div>
                                             <div style={{ display: 'flex', gap: '0.25rem', marginTop: '0.5rem', justifyContent: 'center' }}>
                                                 <button
@@ -401,6 +906,24 @@ export default function PdfEditor() {
                                                     →
                                                 </button>
                                             </div>
+                                            <div style={{ display: 'flex', gap: '0.25rem', marginTop: '0.25rem', justifyContent: 'center' }}>
+                                                <button
+                                                    className="btn btn-secondary"
+                                                    onClick={() => rotatePage(page, -1)}
+                                                    title="Rotate left"
+                                                    style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                                                >
+                                                    ↺
+                                                </button>
+                                                <button
+                                                    className="btn btn-secondary"
+                                                    onClick={() => rotatePage(page, 1)}
+                                                    title="Rotate right"
+                                                    style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                                                >
+                                                    ↻
+                                                </button>
+                                            </div>
                                         </div>
                                     ))}
                                 </div>
@@ -429,14 +952,20 @@ export default function PdfEditor() {
                                 </div>
                             )}
 
+                            {!result && renderProtectOption()}
+
+                            {locked && !result && (
+                                <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={retryWithPassword(handleReorder)} />
+                            )}
+
                             {!result && (
                                 <div style={{ textAlign: 'center', marginTop: '2rem' }}>
                                     <button
                                         className="btn btn-primary btn-lg"
-                                        onClick={handleReorder}
+                                        onClick={() => handleReorder()}
                                         disabled={uploading}
                                     >
-                                        {uploading ? `Processing... ${progress}%` : '🔀 Apply New Order'}
+                                        {uploading ? progressLabel('Processing') : '🔀 Apply Changes'}
                                     </button>
                                 </div>
                             )}
@@ -444,6 +973,523 @@ export default function PdfEditor() {
                     )}
                 </div>
             )}
+
+            {/* Add / Remove Pages Tab */}
+            {activeTab === 'pages' && (
+                <div>
+                    {!singleFile ? (
+                        <FileUploader
+                            accept={{ 'application/pdf': ['.pdf'] }}
+                            maxFiles={1}
+                            onFilesSelected={handleSingleFileSelect}
+                            label="Drop a PDF here to add or remove pages"
+                            hint="Delete pages, duplicate them, or insert blank pages"
+                        />
+                    ) : (
+                        <div>
+                            <div className="file-list">
+                                <div className="file-item">
+                                    <div className="file-info">
+                                        <span className="file-icon">📄</span>
+                                        <div>
+                                            <div className="file-name">{singleFile.name}</div>
+                                            <div className="file-size">
+                                                {formatFileSize(singleFile.size)} • {pdfInfo?.pageCount || '?'} pages
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <button className="file-remove" onClick={handleReset}>✕</button>
+                                </div>
+                            </div>
+
+                            <div className="card" style={{ marginTop: '1.5rem' }}>
+                                <div className="control-section">
+                                    <h4 className="control-title">Operation</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                        {pageOperations.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${pageOperation === option.value ? 'active' : ''}`}
+                                                onClick={() => {
+                                                    setPageOperation(option.value)
+                                                    setResult(null)
+                                                }}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {pageOperation !== 'insert-blank' ? (
+                                    <div className="control-section">
+                                        <h4 className="control-title">Pages</h4>
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            placeholder="e.g., 2-4,7"
+                                            value={operationPages}
+                                            onChange={(e) => setOperationPages(e.target.value)}
+                                        />
+                                        {pageOperation === 'duplicate' && (
+                                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.75rem' }}>
+                                                <span style={{ fontSize: '0.875rem' }}>Copies of each page</span>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    min="1"
+                                                    max="50"
+                                                    value={operationCount}
+                                                    onChange={(e) => setOperationCount(e.target.value)}
+                                                    style={{ width: '80px' }}
+                                                />
+                                            </div>
+                                        )}
+                                    </div>
+                                ) : (
+                                    <>
+                                        <div className="control-section">
+                                            <h4 className="control-title">Position</h4>
+                                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    min="1"
+                                                    max="50"
+                                                    value={operationCount}
+                                                    onChange={(e) => setOperationCount(e.target.value)}
+                                                    style={{ width: '80px' }}
+                                                />
+                                                <span style={{ fontSize: '0.875rem' }}>blank page(s) after page</span>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    min="0"
+                                                    max={pdfInfo?.pageCount}
+                                                    value={insertAfter}
+                                                    onChange={(e) => setInsertAfter(e.target.value)}
+                                                    style={{ width: '80px' }}
+                                                />
+                                            </div>
+                                            <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                                Use 0 to insert before the first page
+                                            </p>
+                                        </div>
+                                        <div className="control-section">
+                                            <h4 className="control-title">Page Size</h4>
+                                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                                {blankPageSizes.map(option => (
+                                                    <button
+                                                        key={option.value}
+                                                        className={`aspect-btn ${blankSize === option.value ? 'active' : ''}`}
+                                                        onClick={() => setBlankSize(option.value)}
+                                                    >
+                                                        {option.label}
+                                                    </button>
+                                                ))}
+                                                {blankSize !== 'match' && ['portrait', 'landscape'].map(value => (
+                                                    <button
+                                                        key={value}
+                                                        className={`aspect-btn ${blankOrientation === value ? 'active' : ''}`}
+                                                        onClick={() => setBlankOrientation(value)}
+                                                    >
+                                                        {value === 'portrait' ? 'Portrait' : 'Landscape'}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+
+                            {result?.type === 'pages' && (
+                                <div className="result-box">
+                                    <div className="result-stats">
+                                        <div className="stat-item">
+                                            <div className="stat-value">{result.originalPageCount} → {result.newPageCount}</div>
+                                            <div className="stat-label">Pages</div>
+                                        </div>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{formatFileSize(result.size)}</div>
+                                            <div className="stat-label">Size</div>
+                                        </div>
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                        <button className="btn btn-success btn-lg" onClick={() => handleDownload(result.downloadUrl, 'edited.pdf')}>
+                                            ⬇️ Download Edited PDF
+                                        </button>
+                                        <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                            Edit Another
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {!result && (
+                                <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                                    <button
+                                        className="btn btn-primary btn-lg"
+                                        onClick={handlePageOperation}
+                                        disabled={uploading}
+                                    >
+                                        {uploading ? progressLabel('Processing') : '🧩 Apply'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Page Size & Margins Tab */}
+            {activeTab === 'size' && (
+                <div>
+                    {!singleFile ? (
+                        <FileUploader
+                            accept={{ 'application/pdf': ['.pdf'] }}
+                            maxFiles={1}
+                            onFilesSelected={handleSingleFileSelect}
+                            label="Drop a PDF here to change its page size"
+                            hint="Scale or pad every page to one paper size, or crop and add margins"
+                        />
+                    ) : (
+                        <div>
+                            <div className="file-list">
+                                <div className="file-item">
+                                    <div className="file-info">
+                                        <span className="file-icon">📄</span>
+                                        <div>
+                                            <div className="file-name">{singleFile.name}</div>
+                                            <div className="file-size">
+                                                {formatFileSize(singleFile.size)} • {pdfInfo?.pageCount || '?'} pages
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <button className="file-remove" onClick={handleReset}>✕</button>
+                                </div>
+                            </div>
+
+                            <div className="card" style={{ marginTop: '1.5rem' }}>
+                                <PageSizeForm
+                                    values={pageSize}
+                                    onChange={(values) => {
+                                        setPageSize(values)
+                                        setResult(null)
+                                    }}
+                                />
+                            </div>
+
+                            {result?.type === 'size' && (
+                                <div className="result-box">
+                                    <div className="result-stats">
+                                        <div className="stat-item">
+                                            <div className="stat-value">{result.pageCount}</div>
+                                            <div className="stat-label">Pages</div>
+                                        </div>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{result.pageSize ? result.pageSize.toUpperCase() : 'Kept'}</div>
+                                            <div className="stat-label">Page Size</div>
+                                        </div>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{formatFileSize(result.size)}</div>
+                                            <div className="stat-label">Size</div>
+                                        </div>
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                        <button className="btn btn-success btn-lg" onClick={() => handleDownload(result.downloadUrl, singleFile.name.replace(/\.pdf$/i, '') + '_resized.pdf')}>
+                                            ⬇️ Download PDF
+                                        </button>
+                                        <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                            Resize Another
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {locked && !result && (
+                                <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={retryWithPassword(handleNormalize)} />
+                            )}
+
+                            {!result && (
+                                <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                                    <button
+                                        className="btn btn-primary btn-lg"
+                                        onClick={() => handleNormalize()}
+                                        disabled={uploading}
+                                    >
+                                        {uploading ? progressLabel('Processing') : '📐 Apply'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Properties Tab */}
+            {activeTab === 'metadata' && (
+                <div>
+                    {!singleFile ? (
+                        <FileUploader
+                            accept={{ 'application/pdf': ['.pdf'] }}
+                            maxFiles={1}
+                            onFilesSelected={handleMetadataFileSelect}
+                            label="Drop a PDF here to edit its properties"
+                            hint="Title, author, subject, keywords, dates and language"
+                        />
+                    ) : (
+                        <div>
+                            <div className="file-list">
+                                <div className="file-item">
+                                    <div className="file-info">
+                                        <span className="file-icon">📄</span>
+                                        <div>
+                                            <div className="file-name">{singleFile.name}</div>
+                                            <div className="file-size">
+                                                {formatFileSize(singleFile.size)} • {pdfInfo?.pageCount || '?'} pages
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <button className="file-remove" onClick={handleReset}>✕</button>
+                                </div>
+                            </div>
+
+                            <div className="card" style={{ marginTop: '1.5rem' }}>
+                                <h3 className="control-title">Document Properties</h3>
+                                {metadataValues ? (
+                                    <>
+                                        <MetadataForm
+                                            values={metadataValues}
+                                            onChange={(values) => {
+                                                setMetadataValues(values)
+                                                setResult(null)
+                                            }}
+                                        />
+                                        <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.75rem' }}>
+                                            Clear a field to remove that property. The modified date is set to now unless you change it.
+                                        </p>
+                                    </>
+                                ) : (
+                                    <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Reading properties...</p>
+                                )}
+                            </div>
+
+                            {result?.type === 'metadata' && (
+                                <div className="result-box">
+                                    <p style={{ marginBottom: '1rem', textAlign: 'center' }}>
+                                        Updated {result.updatedFields.length} propert{result.updatedFields.length === 1 ? 'y' : 'ies'} • {formatFileSize(result.size)}
+                                    </p>
+                                    <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                        <button className="btn btn-success btn-lg" onClick={() => handleDownload(result.downloadUrl, singleFile.name)}>
+                                            ⬇️ Download PDF
+                                        </button>
+                                        <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                            Edit Another
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {!result && (
+                                <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                                    <button
+                                        className="btn btn-primary btn-lg"
+                                        onClick={handleMetadataSave}
+                                        disabled={uploading || !metadataValues}
+                                    >
+                                        {uploading ? progressLabel('Saving') : '🏷️ Save Properties'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Protect Tab */}
+            {activeTab === 'protect' && (
+                <div>
+                    {!singleFile ? (
+                        <FileUploader
+                            accept={{ 'application/pdf': ['.pdf'] }}
+                            maxFiles={1}
+                            onFilesSelected={handleSingleFileSelect}
+                            label="Drop a PDF here to password-protect it"
+                            hint="Require a password to open it, or restrict printing, copying and editing"
+                        />
+                    ) : (
+                        <div>
+                            <div className="file-list">
+                                <div className="file-item">
+                                    <div className="file-info">
+                                        <span className="file-icon">📄</span>
+                                        <div>
+                                            <div className="file-name">{singleFile.name}</div>
+                                            <div className="file-size">
+                                                {formatFileSize(singleFile.size)} • {pdfInfo?.pageCount || '?'} pages
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <button className="file-remove" onClick={handleReset}>✕</button>
+                                </div>
+                            </div>
+
+                            <div className="card" style={{ marginTop: '1.5rem' }}>
+                                <h3 className="control-title">Protection</h3>
+                                <ProtectionForm
+                                    values={protection}
+                                    onChange={(values) => {
+                                        setProtection(values)
+                                        setResult(null)
+                                    }}
+                                />
+                                <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.75rem' }}>
+                                    Keep the passwords safe: they cannot be recovered from the protected PDF.
+                                </p>
+                            </div>
+
+                            {result?.type === 'protect' && (
+                                <div className="result-box">
+                                    <p style={{ marginBottom: '1rem', textAlign: 'center' }}>
+                                        {result.encryption.toUpperCase()} • {result.userPassword ? 'Password required to open' : 'Opens without a password'}
+                                        {Object.values(result.permissions).includes(false) && ` • Restricted: ${Object.entries(result.permissions).filter(([, allowed]) => !allowed).map(([name]) => name).join(', ')}`}
+                                        {' '}• {formatFileSize(result.size)}
+                                    </p>
+                                    <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                        <button className="btn btn-success btn-lg" onClick={() => handleDownload(result.downloadUrl, singleFile.name)}>
+                                            ⬇️ Download Protected PDF
+                                        </button>
+                                        <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                            Protect Another
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {locked && !result && (
+                                <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={retryWithPassword(handleProtect)} />
+                            )}
+
+                            {!result && (
+                                <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                                    <button
+                                        className="btn btn-primary btn-lg"
+                                        onClick={() => handleProtect()}
+                                        disabled={uploading}
+                                    >
+                                        {uploading ? progressLabel('Protecting') : '🔐 Protect PDF'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Inspect Tab */}
+            {activeTab === 'inspect' && (
+                <div>
+                    {!singleFile ? (
+                        <FileUploader
+                            accept={{ 'application/pdf': ['.pdf'] }}
+                            maxFiles={1}
+                            onFilesSelected={handleSingleFileSelect}
+                            label="Drop a PDF here to inspect it"
+                            hint="Version, page sizes, fonts, images, forms, attachments and more"
+                        />
+                    ) : (
+                        <div>
+                            <div className="file-list">
+                                <div className="file-item">
+                                    <div className="file-info">
+                                        <span className="file-icon">📄</span>
+                                        <div>
+                                            <div className="file-name">{singleFile.name}</div>
+                                            <div className="file-size">{formatFileSize(singleFile.size)}</div>
+                                        </div>
+                                    </div>
+                                    <button className="file-remove" onClick={handleReset}>✕</button>
+                                </div>
+                            </div>
+
+                            {!pdfInfo ? (
+                                <p style={{ textAlign: 'center', marginTop: '1.5rem', color: 'var(--text-muted)' }}>Inspecting...</p>
+                            ) : (
+                                <>
+                                    <div className="result-stats" style={{ marginTop: '1.5rem' }}>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{pdfInfo.version || '?'}</div>
+                                            <div className="stat-label">PDF Version</div>
+                                        </div>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{pdfInfo.pageCount}</div>
+                                            <div className="stat-label">Pages</div>
+                                        </div>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{pdfInfo.images.count}</div>
+                                            <div className="stat-label">Images ({formatFileSize(pdfInfo.images.totalSize)})</div>
+                                        </div>
+                                        <div className="stat-item">
+                                            <div className="stat-value">{pdfInfo.fonts.length}</div>
+                                            <div className="stat-label">Fonts</div>
+                                        </div>
+                                    </div>
+
+                                    <div className="card" style={{ marginTop: '1.5rem' }}>
+                                        <h4 className="control-title">Contents</h4>
+                                        {inspectionRows(pdfInfo).map(row => (
+                                            <div key={row.label} style={{ display: 'flex', gap: '0.75rem', fontSize: '0.875rem', padding: '0.25rem 0' }}>
+                                                <span>{row.value ? '✅' : '➖'}</span>
+                                                <span style={{ minWidth: '110px', fontWeight: 600 }}>{row.label}</span>
+                                                <span style={{ color: 'var(--text-muted)' }}>{row.value ? row.detail : 'None'}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+
+                                    <div className="card" style={{ marginTop: '1.5rem' }}>
+                                        <h4 className="control-title">Page Sizes</h4>
+                                        {pdfInfo.pageSizes.map(size => (
+                                            <div key={`${size.width}x${size.height}`} style={{ fontSize: '0.875rem', padding: '0.25rem 0' }}>
+                                                {size.paper || 'Custom'} • {size.width} × {size.height} pt • {size.count} page(s)
+                                            </div>
+                                        ))}
+                                        {pdfInfo.pages.some(page => page.rotation) && (
+                                            <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                                Rotated pages: {pdfInfo.pages.filter(page => page.rotation).map(page => `${page.pageNumber} (${page.rotation}°)`).join(', ')}
+                                            </p>
+                                        )}
+                                    </div>
+
+                                    {pdfInfo.fonts.length > 0 && (
+                                        <div className="card" style={{ marginTop: '1.5rem' }}>
+                                            <h4 className="control-title">Fonts</h4>
+                                            {pdfInfo.fonts.map(font => (
+                                                <div key={`${font.name}-${font.type}-${font.embedded}`} style={{ fontSize: '0.875rem', padding: '0.25rem 0' }}>
+                                                    {font.name} <span style={{ color: 'var(--text-muted)' }}>• {font.type} • {font.embedded ? (font.subset ? 'embedded subset' : 'embedded') : 'not embedded'}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {pdfInfo.metadata && (
+                                        <div className="card" style={{ marginTop: '1.5rem' }}>
+                                            <h4 className="control-title">Properties</h4>
+                                            {Object.entries(pdfInfo.metadata).filter(([, value]) => value).map(([key, value]) => (
+                                                <div key={key} style={{ display: 'flex', gap: '0.75rem', fontSize: '0.875rem', padding: '0.25rem 0' }}>
+                                                    <span style={{ minWidth: '140px', fontWeight: 600 }}>{key}</span>
+                                                    <span style={{ color: 'var(--text-muted)', wordBreak: 'break-all' }}>
+                                                        {key.endsWith('Date') ? new Date(value).toLocaleString() : value}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     )
 }
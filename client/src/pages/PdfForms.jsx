@@ -0,0 +1,377 @@
+import { useState, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import FileUploader from '../components/FileUploader'
+import PasswordPrompt, { PASSWORD_ERROR_CODES } from '../components/PasswordPrompt'
+import { getPdfFormFields, fillPdfForm, formatFileSize, downloadFile, formatStage } from '../services/api'
+
+const typeLabels = {
+    text: 'Text',
+    checkbox: 'Checkbox',
+    radio: 'Choice',
+    dropdown: 'Dropdown',
+    optionList: 'List',
+    button: 'Button',
+    signature: 'Signature'
+}
+
+// Field types that can be filled in
+const fillableTypes = ['text', 'checkbox', 'radio', 'dropdown', 'optionList']
+
+const optionStyle = { display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem' }
+
+// Input for one form field, by type
+function FieldInput({ field, value, onChange }) {
+    const disabled = field.readOnly
+    const id = `field-${field.name}`
+
+    switch (field.type) {
+        case 'text':
+            return field.multiline ? (
+                <textarea
+                    id={id}
+                    className="form-input"
+                    rows={3}
+                    maxLength={field.maxLength ?? undefined}
+                    disabled={disabled}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                />
+            ) : (
+                <input
+                    id={id}
+                    type="text"
+                    className="form-input"
+                    maxLength={field.maxLength ?? undefined}
+                    disabled={disabled}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                />
+            )
+
+        case 'checkbox':
+            return (
+                <label style={optionStyle}>
+                    <input id={id} type="checkbox" disabled={disabled} checked={value} onChange={(e) => onChange(e.target.checked)} />
+                    Checked
+                </label>
+            )
+
+        case 'radio':
+            return (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                    {field.options.map(option => (
+                        <label key={option} style={optionStyle}>
+                            <input
+                                type="radio"
+                                name={id}
+                                disabled={disabled}
+                                checked={value === option}
+                                onChange={() => onChange(option)}
+                            />
+                            {option}
+                        </label>
+                    ))}
+                    {value !== null && !disabled && (
+                        <button type="button" className="btn btn-secondary" style={{ padding: '0.25rem 0.5rem' }} onClick={() => onChange(null)}>
+                            Clear
+                        </button>
+                    )}
+                </div>
+            )
+
+        case 'dropdown':
+        case 'optionList':
+            // Several options: one checkbox each
+            if (field.multiSelect) {
+                return (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                        {field.options.map(option => (
+                            <label key={option} style={optionStyle}>
+                                <input
+                                    type="checkbox"
+                                    disabled={disabled}
+                                    checked={value.includes(option)}
+                                    onChange={(e) => onChange(e.target.checked
+                                        ? field.options.filter(o => o === option || value.includes(o))
+                                        : value.filter(o => o !== option))}
+                                />
+                                {option}
+                            </label>
+                        ))}
+                    </div>
+                )
+            }
+            // Editable dropdowns also accept text of their own
+            if (field.editable) {
+                return (
+                    <>
+                        <input
+                            id={id}
+                            type="text"
+                            className="form-input"
+                            list={`${id}-options`}
+                            disabled={disabled}
+                            value={value[0] || ''}
+                            onChange={(e) => onChange(e.target.value ? [e.target.value] : [])}
+                        />
+                        <datalist id={`${id}-options`}>
+                            {field.options.map(option => <option key={option} value={option} />)}
+                        </datalist>
+                    </>
+                )
+            }
+            return (
+                <select
+                    id={id}
+                    className="form-input"
+                    disabled={disabled}
+                    value={value[0] || ''}
+                    onChange={(e) => onChange(e.target.value ? [e.target.value] : [])}
+                >
+                    <option value="">—</option>
+                    {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+            )
+
+        default:
+            return (
+                <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+                    {typeLabels[field.type] || 'This'} fields cannot be filled here
+                </p>
+            )
+    }
+}
+
+export default function PdfForms() {
+    const [file, setFile] = useState(null)
+    const [fields, setFields] = useState(null)
+    const [xfa, setXfa] = useState(false)
+    const [values, setValues] = useState({})
+    const [initialValues, setInitialValues] = useState({})
+    const [flatten, setFlatten] = useState(false)
+    const [password, setPassword] = useState('')
+    const [locked, setLocked] = useState(null)
+    const [uploading, setUploading] = useState(false)
+    const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
+    const [result, setResult] = useState(null)
+
+    // Password-protected input: ask for the password instead of failing with a toast
+    const handleLocked = (error) => {
+        const data = error.response?.data
+        if (!PASSWORD_ERROR_CODES.includes(data?.code)) return false
+        setLocked({ fileName: data.fileName, code: data.code })
+        toast.error(data.error)
+        return true
+    }
+
+    const loadFields = async (selected, filePassword) => {
+        try {
+            const response = await getPdfFormFields(selected, { password: filePassword })
+            const current = Object.fromEntries(response.fields.map(field => [field.name, field.value]))
+            setLocked(null)
+            setFields(response.fields)
+            setXfa(response.xfa)
+            setValues(current)
+            setInitialValues(current)
+        } catch (error) {
+            console.error('Error reading form fields:', error)
+            if (!handleLocked(error)) toast.error(error.response?.data?.error || 'Failed to read form fields')
+        }
+    }
+
+    const handleFileSelect = useCallback((selectedFiles) => {
+        const selected = selectedFiles[0]
+        setFile(selected)
+        setFields(null)
+        setResult(null)
+        setPassword('')
+        loadFields(selected)
+    }, [])
+
+    const handleUnlock = (filePassword) => {
+        setPassword(filePassword)
+        loadFields(file, filePassword)
+    }
+
+    const setValue = (name, value) => {
+        setValues(prev => ({ ...prev, [name]: value }))
+        setResult(null)
+    }
+
+    // Only fields that were changed are sent
+    const changedValues = () => Object.fromEntries(Object.entries(values)
+        .filter(([name, value]) => JSON.stringify(value) !== JSON.stringify(initialValues[name])))
+
+    const handleFill = async () => {
+        if (!file || !fields) return
+
+        const changes = changedValues()
+        if (Object.keys(changes).length === 0 && !flatten) {
+            toast.error('No fields changed')
+            return
+        }
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await fillPdfForm(file, changes, setProgress, setServerProgress, { flatten, password })
+            setResult(response)
+            toast.success(flatten ? 'Form filled and flattened!' : 'Form filled successfully!')
+        } catch (error) {
+            console.error('Fill form error:', error)
+            toast.error(error.response?.data?.error || 'Failed to fill form')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleDownload = async () => {
+        try {
+            await downloadFile(result.downloadUrl, file.name.replace(/\.pdf$/i, '') + '_filled.pdf')
+            toast.success('Download started!')
+        } catch (error) {
+            toast.error('Download failed')
+        }
+    }
+
+    const handleReset = () => {
+        setFile(null)
+        setFields(null)
+        setXfa(false)
+        setValues({})
+        setInitialValues({})
+        setFlatten(false)
+        setPassword('')
+        setLocked(null)
+        setResult(null)
+        setProgress(0)
+        setServerProgress(null)
+    }
+
+    const progressLabel = () => {
+        if (!serverProgress) return `Uploading... ${progress}%`
+        return `${formatStage(serverProgress)} ${serverProgress.progress}%`
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">📝 Fill PDF Forms</h1>
+                <p className="page-subtitle">
+                    Fill in the form fields of a PDF, then keep them editable or flatten them into the pages
+                </p>
+            </div>
+
+            {!file ? (
+                <FileUploader
+                    accept={{ 'application/pdf': ['.pdf'] }}
+                    maxFiles={1}
+                    onFilesSelected={handleFileSelect}
+                    label="Drop a PDF form here"
+                    hint="Text fields, checkboxes, choices and lists are detected automatically"
+                />
+            ) : (
+                <div>
+                    <div className="file-list">
+                        <div className="file-item">
+                            <div className="file-info">
+                                <span className="file-icon">📄</span>
+                                <div>
+                                    <div className="file-name">{file.name}</div>
+                                    <div className="file-size">
+                                        {formatFileSize(file.size)} • {fields ? `${fields.length} field(s)` : 'reading fields...'}
+                                    </div>
+                                </div>
+                            </div>
+                            <button className="file-remove" onClick={handleReset}>✕</button>
+                        </div>
+                    </div>
+
+                    {locked && (
+                        <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={handleUnlock} />
+                    )}
+
+                    {fields?.length === 0 && (
+                        <div className="card" style={{ marginTop: '1.5rem', textAlign: 'center' }}>
+                            <p style={{ color: 'var(--text-muted)' }}>This PDF has no fillable form fields.</p>
+                        </div>
+                    )}
+
+                    {fields?.length > 0 && (
+                        <div className="card" style={{ marginTop: '1.5rem' }}>
+                            <h3 className="control-title">Form Fields</h3>
+                            {xfa && (
+                                <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: '1rem' }}>
+                                    This form also contains XFA data, which is removed when it is filled.
+                                </p>
+                            )}
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '1rem' }}>
+                                {fields.map(field => (
+                                    <div key={field.name}>
+                                        <label className="control-title" htmlFor={`field-${field.name}`} style={{ display: 'block' }}>
+                                            {field.name}
+                                            {field.required && <span style={{ color: 'var(--error, #ef4444)' }}> *</span>}
+                                            <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', fontWeight: 'normal' }}>
+                                                {' '}{typeLabels[field.type] || field.type}
+                                                {field.pages.length > 0 && ` • page ${field.pages.join(', ')}`}
+                                                {field.readOnly && ' • read-only'}
+                                            </span>
+                                        </label>
+                                        <FieldInput field={field} value={values[field.name]} onChange={(value) => setValue(field.name, value)} />
+                                    </div>
+                                ))}
+                            </div>
+                            {!fields.some(field => fillableTypes.includes(field.type)) && (
+                                <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '1rem' }}>
+                                    None of these fields can be filled; the form can still be flattened.
+                                </p>
+                            )}
+                            <label style={{ ...optionStyle, marginTop: '1.5rem' }}>
+                                <input type="checkbox" checked={flatten} onChange={(e) => { setFlatten(e.target.checked); setResult(null) }} />
+                                Flatten the form (draw the values into the pages so they can no longer be edited)
+                            </label>
+                        </div>
+                    )}
+
+                    {result && (
+                        <div className="result-box">
+                            <div className="result-stats">
+                                <div className="stat-item">
+                                    <div className="stat-value">{result.filled.length}</div>
+                                    <div className="stat-label">Fields Filled</div>
+                                </div>
+                                <div className="stat-item">
+                                    <div className="stat-value">{result.flattened ? 'Yes' : 'No'}</div>
+                                    <div className="stat-label">Flattened</div>
+                                </div>
+                                <div className="stat-item">
+                                    <div className="stat-value">{formatFileSize(result.size)}</div>
+                                    <div className="stat-label">Size</div>
+                                </div>
+                            </div>
+                            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                <button className="btn btn-success btn-lg" onClick={handleDownload}>
+                                    ⬇️ Download PDF
+                                </button>
+                                <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                    Fill Another
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!result && fields?.length > 0 && (
+                        <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                            <button className="btn btn-primary btn-lg" onClick={handleFill} disabled={uploading}>
+                                {uploading ? progressLabel() : flatten ? '📝 Fill & Flatten' : '📝 Fill Form'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,359 @@
+import { useState, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import FileUploader from '../components/FileUploader'
+import PasswordPrompt, { PASSWORD_ERROR_CODES } from '../components/PasswordPrompt'
+import { imposePdf, formatFileSize, downloadFile, formatStage } from '../services/api'
+
+const layouts = [
+    { value: '2', label: '2 per sheet' },
+    { value: '4', label: '4 per sheet' },
+    { value: '6', label: '6 per sheet' },
+    { value: 'booklet', label: 'Booklet', hint: 'Fold the printed sheets in the middle and staple them' }
+]
+
+const sheetSizes = [
+    { value: 'a4', label: 'A4' },
+    { value: 'letter', label: 'Letter' },
+    { value: 'a3', label: 'A3' },
+    { value: 'tabloid', label: 'Tabloid' }
+]
+
+const orientations = [
+    { value: 'auto', label: 'Auto' },
+    { value: 'portrait', label: 'Portrait' },
+    { value: 'landscape', label: 'Landscape' }
+]
+
+const orders = [
+    { value: 'ltr', label: 'Left to right' },
+    { value: 'rtl', label: 'Right to left', hint: 'For right-to-left languages; booklets are bound on the right' },
+    { value: 'ttb', label: 'Top to bottom', hint: 'Fill each column before the next' }
+]
+
+export default function PdfImpose() {
+    const [file, setFile] = useState(null)
+    const [layout, setLayout] = useState('2')
+    const [sheetSize, setSheetSize] = useState('a4')
+    const [orientation, setOrientation] = useState('auto')
+    const [margin, setMargin] = useState(10)
+    const [gutter, setGutter] = useState(5)
+    const [order, setOrder] = useState('ltr')
+    const [password, setPassword] = useState('')
+    const [locked, setLocked] = useState(null)
+    const [preview, setPreview] = useState(null)
+    const [previewing, setPreviewing] = useState(false)
+    const [uploading, setUploading] = useState(false)
+    const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
+    const [result, setResult] = useState(null)
+
+    const booklet = layout === 'booklet'
+
+    const handleFileSelect = useCallback((selectedFiles) => {
+        setFile(selectedFiles[0])
+        setPassword('')
+        setLocked(null)
+        setPreview(null)
+        setResult(null)
+    }, [])
+
+    const options = (filePassword) => ({
+        layout: booklet ? 'booklet' : 'grid',
+        pagesPerSheet: booklet ? undefined : layout,
+        sheetSize,
+        orientation,
+        margin: margin || 0,
+        gutter: gutter || 0,
+        order,
+        password: filePassword
+    })
+
+    // Password-protected input: ask for the password instead of failing with a toast
+    const handleError = (error, fallback) => {
+        const data = error.response?.data
+        if (PASSWORD_ERROR_CODES.includes(data?.code)) {
+            setLocked({ fileName: data.fileName, code: data.code })
+        }
+        toast.error(data?.error || fallback)
+    }
+
+    const handlePreview = async (filePassword = password) => {
+        if (!file) return
+
+        setPreviewing(true)
+
+        try {
+            setPreview(await imposePdf(file, { ...options(filePassword), preview: true }))
+            setLocked(null)
+        } catch (error) {
+            console.error('Impose preview error:', error)
+            handleError(error, 'Failed to render preview')
+        } finally {
+            setPreviewing(false)
+        }
+    }
+
+    const handleImpose = async (filePassword = password) => {
+        if (!file) return
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await imposePdf(file, options(filePassword), setProgress, setServerProgress)
+            setLocked(null)
+            setResult(response)
+            toast.success(booklet ? 'Booklet created!' : 'Pages arranged successfully!')
+        } catch (error) {
+            console.error('Impose error:', error)
+            handleError(error, 'Failed to arrange pages')
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleUnlock = (filePassword) => {
+        setPassword(filePassword)
+        handleImpose(filePassword)
+    }
+
+    const handleDownload = async () => {
+        try {
+            const baseName = file.name.replace(/\.pdf$/i, '')
+            await downloadFile(result.downloadUrl, `${baseName}_${booklet ? 'booklet' : `${layout}up`}.pdf`)
+            toast.success('Download started!')
+        } catch (error) {
+            toast.error('Download failed')
+        }
+    }
+
+    const handleReset = () => {
+        setFile(null)
+        setPassword('')
+        setLocked(null)
+        setPreview(null)
+        setResult(null)
+        setProgress(0)
+        setServerProgress(null)
+    }
+
+    const progressLabel = () => {
+        if (!serverProgress) return `Uploading... ${progress}%`
+        return `${formatStage(serverProgress)} ${serverProgress.progress}%`
+    }
+
+    // Any setting change invalidates the last preview and result
+    const update = (setter) => (value) => {
+        setter(value)
+        setPreview(null)
+        setResult(null)
+    }
+
+    const selectLayout = (value) => {
+        update(setLayout)(value)
+        // Booklets only fill rows
+        if (value === 'booklet' && order === 'ttb') setOrder('ltr')
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">📰 N-up & Booklet</h1>
+                <p className="page-subtitle">
+                    Print handouts with several pages per sheet, or arrange pages into a booklet to fold and staple
+                </p>
+            </div>
+
+            {!file ? (
+                <FileUploader
+                    accept={{ 'application/pdf': ['.pdf'] }}
+                    maxFiles={1}
+                    onFilesSelected={handleFileSelect}
+                    label="Drop a PDF here"
+                    hint="Preview the first sheet before creating the PDF"
+                />
+            ) : (
+                <div>
+                    <div className="file-list">
+                        <div className="file-item">
+                            <div className="file-info">
+                                <span className="file-icon">📄</span>
+                                <div>
+                                    <div className="file-name">{file.name}</div>
+                                    <div className="file-size">{formatFileSize(file.size)}</div>
+                                </div>
+                            </div>
+                            <button className="file-remove" onClick={handleReset}>✕</button>
+                        </div>
+                    </div>
+
+                    {locked && (
+                        <PasswordPrompt key={locked.fileName} locked={locked} busy={uploading} onSubmit={handleUnlock} />
+                    )}
+
+                    <div className="card" style={{ marginTop: '1.5rem' }}>
+                        <div className="control-section">
+                            <h4 className="control-title">Layout</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                {layouts.map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${layout === option.value ? 'active' : ''}`}
+                                        onClick={() => selectLayout(option.value)}
+                                        title={option.hint}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                            {booklet && (
+                                <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                    Print double-sided, flipping on the short edge. Blank pages are added to fill the last sheet.
+                                </p>
+                            )}
+                        </div>
+
+                        <div className="control-section">
+                            <h4 className="control-title">Sheet Size</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                {sheetSizes.map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${sheetSize === option.value ? 'active' : ''}`}
+                                        onClick={() => update(setSheetSize)(option.value)}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="control-section">
+                            <h4 className="control-title">Orientation</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                {orientations.map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${orientation === option.value ? 'active' : ''}`}
+                                        onClick={() => update(setOrientation)(option.value)}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="control-section">
+                            <h4 className="control-title">Reading Order</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                {orders.filter(option => !booklet || option.value !== 'ttb').map(option => (
+                                    <button
+                                        key={option.value}
+                                        className={`aspect-btn ${order === option.value ? 'active' : ''}`}
+                                        onClick={() => update(setOrder)(option.value)}
+                                        title={option.hint}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="control-section">
+                            <h4 className="control-title">Margin & Gutter</h4>
+                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    min="0"
+                                    max="50"
+                                    value={margin}
+                                    onChange={(e) => update(setMargin)(e.target.value)}
+                                    style={{ width: '80px' }}
+                                    title="Space around the sheet"
+                                />
+                                <span style={{ fontSize: '0.875rem' }}>mm margin</span>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    min="0"
+                                    max="50"
+                                    value={gutter}
+                                    onChange={(e) => update(setGutter)(e.target.value)}
+                                    style={{ width: '80px' }}
+                                    title={booklet ? 'Space at the fold' : 'Space between pages'}
+                                />
+                                <span style={{ fontSize: '0.875rem' }}>mm {booklet ? 'at the fold' : 'between pages'}</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    {preview && (
+                        <div className="preview-box" style={{ marginTop: '1.5rem', textAlign: 'center' }}>
+                            <div className="preview-label">Preview • Sheet 1 of {preview.sheetCount}</div>
+                            <img
+                                src={preview.preview}
+                                alt="First sheet preview"
+                                className="preview-image"
+                                style={{ maxHeight: '480px', background: '#fff' }}
+                            />
+                        </div>
+                    )}
+
+                    {result && (
+                        <div className="result-box">
+                            <div className="result-stats">
+                                <div className="stat-item">
+                                    <div className="stat-value">{result.pageCount}</div>
+                                    <div className="stat-label">Pages</div>
+                                </div>
+                                <div className="stat-item">
+                                    <div className="stat-value">{result.sheetCount}</div>
+                                    <div className="stat-label">{booklet ? 'Sheet Sides' : 'Sheets'}</div>
+                                </div>
+                                {booklet && (
+                                    <div className="stat-item">
+                                        <div className="stat-value">{result.blankPages}</div>
+                                        <div className="stat-label">Blank Pages Added</div>
+                                    </div>
+                                )}
+                                <div className="stat-item">
+                                    <div className="stat-value">{formatFileSize(result.size)}</div>
+                                    <div className="stat-label">Size</div>
+                                </div>
+                            </div>
+                            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                <button className="btn btn-success btn-lg" onClick={handleDownload}>
+                                    ⬇️ Download PDF
+                                </button>
+                                <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                    Start Over
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!result && (
+                        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '2rem' }}>
+                            <button
+                                className="btn btn-secondary btn-lg"
+                                onClick={() => handlePreview()}
+                                disabled={previewing || uploading}
+                            >
+                                {previewing ? 'Rendering preview...' : '👁️ Preview'}
+                            </button>
+                            <button
+                                className="btn btn-primary btn-lg"
+                                onClick={() => handleImpose()}
+                                disabled={uploading}
+                            >
+                                {uploading ? progressLabel() : booklet ? '📰 Create Booklet' : '📰 Arrange Pages'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
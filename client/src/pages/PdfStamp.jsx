@@ -0,0 +1,554 @@
+import { useState, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import FileUploader from '../components/FileUploader'
+import { watermarkPdf, addPageNumbers, getPdfInfo, formatFileSize, downloadFile, formatStage } from '../services/api'
+
+const tabs = [
+    { id: 'watermark', label: '💧 Watermark' },
+    { id: 'numbers', label: '🔢 Page Numbers' }
+]
+
+const watermarkTypes = [
+    { value: 'text', label: '🔤 Text' },
+    { value: 'image', label: '🖼️ Image' }
+]
+
+const positions = [
+    { value: 'diagonal', label: 'Diagonal' },
+    { value: 'center', label: 'Center' },
+    { value: 'tiled', label: 'Tiled' },
+    { value: 'top-left', label: 'Top Left' },
+    { value: 'top-right', label: 'Top Right' },
+    { value: 'bottom-left', label: 'Bottom Left' },
+    { value: 'bottom-right', label: 'Bottom Right' }
+]
+
+const fonts = [
+    { value: 'helvetica', label: 'Helvetica' },
+    { value: 'helvetica-bold', label: 'Helvetica Bold' },
+    { value: 'times', label: 'Times' },
+    { value: 'times-bold', label: 'Times Bold' },
+    { value: 'courier', label: 'Courier' }
+]
+
+const alignments = [
+    { value: 'left', label: 'Left' },
+    { value: 'center', label: 'Center' },
+    { value: 'right', label: 'Right' }
+]
+
+const templateTokens = ['{n}', '{total}', '{filename}', '{date}']
+
+export default function PdfStamp() {
+    const [activeTab, setActiveTab] = useState('watermark')
+    const [file, setFile] = useState(null)
+    const [pdfInfo, setPdfInfo] = useState(null)
+    const [type, setType] = useState('text')
+    const [text, setText] = useState('CONFIDENTIAL')
+    const [image, setImage] = useState(null)
+    const [fontSize, setFontSize] = useState(48)
+    const [color, setColor] = useState('#808080')
+    const [opacity, setOpacity] = useState(30)
+    const [rotation, setRotation] = useState(0)
+    const [position, setPosition] = useState('diagonal')
+    const [imageScale, setImageScale] = useState(30)
+    const [header, setHeader] = useState('')
+    const [headerAlign, setHeaderAlign] = useState('center')
+    const [footer, setFooter] = useState('Page {n} of {total}')
+    const [footerAlign, setFooterAlign] = useState('center')
+    const [font, setFont] = useState('helvetica')
+    const [textSize, setTextSize] = useState(10)
+    const [textColor, setTextColor] = useState('#000000')
+    const [margin, setMargin] = useState(10)
+    const [startNumber, setStartNumber] = useState(1)
+    const [skipFirst, setSkipFirst] = useState(false)
+    const [pages, setPages] = useState('')
+    const [preview, setPreview] = useState(null)
+    const [previewing, setPreviewing] = useState(false)
+    const [uploading, setUploading] = useState(false)
+    const [progress, setProgress] = useState(0)
+    const [serverProgress, setServerProgress] = useState(null)
+    const [result, setResult] = useState(null)
+
+    const handleFileSelect = useCallback(async (selectedFiles) => {
+        const selected = selectedFiles[0]
+        setFile(selected)
+        setResult(null)
+        setPreview(null)
+
+        try {
+            setPdfInfo(await getPdfInfo(selected))
+        } catch (error) {
+            console.error('Error getting PDF info:', error)
+            toast.error('Failed to read PDF info')
+        }
+    }, [])
+
+    const handleImageSelect = useCallback((selectedFiles) => {
+        setImage(selectedFiles[0])
+        setResult(null)
+        setPreview(null)
+    }, [])
+
+    const watermarkOptions = () => ({
+        type,
+        ...(type === 'text' ? { text, fontSize, color } : { imageScale: imageScale / 100 }),
+        opacity: opacity / 100,
+        rotation,
+        position,
+        pages
+    })
+
+    const numberOptions = () => ({
+        header,
+        headerAlign,
+        footer,
+        footerAlign,
+        font,
+        fontSize: textSize,
+        color: textColor,
+        margin: margin || 0,
+        startNumber,
+        skipFirst,
+        pages
+    })
+
+    const canApply = activeTab === 'numbers'
+        ? header.trim() !== '' || footer.trim() !== ''
+        : type === 'text' ? text.trim() !== '' : Boolean(image)
+
+    // Send the active tab's settings (preview adds preview=true)
+    const stamp = (extra, onProgress, onServerProgress) => activeTab === 'numbers'
+        ? addPageNumbers(file, { ...numberOptions(), ...extra }, onProgress, onServerProgress)
+        : watermarkPdf(file, { ...watermarkOptions(), ...extra }, type === 'image' ? image : null, onProgress, onServerProgress)
+
+    const handlePreview = async () => {
+        if (!file || !canApply) return
+
+        setPreviewing(true)
+
+        try {
+            setPreview(await stamp({ preview: true }))
+        } catch (error) {
+            console.error('Stamp preview error:', error)
+            toast.error(error.response?.data?.error || 'Failed to render preview')
+        } finally {
+            setPreviewing(false)
+        }
+    }
+
+    const handleApply = async () => {
+        if (!file || !canApply) return
+
+        setUploading(true)
+        setProgress(0)
+        setServerProgress(null)
+
+        try {
+            const response = await stamp({}, setProgress, setServerProgress)
+            setResult(response)
+            toast.success(activeTab === 'numbers' ? 'Page numbers added successfully!' : 'Watermark added successfully!')
+        } catch (error) {
+            console.error('Stamp error:', error)
+            toast.error(error.response?.data?.error || (activeTab === 'numbers' ? 'Failed to add page numbers' : 'Failed to watermark PDF'))
+        } finally {
+            setUploading(false)
+        }
+    }
+
+    const handleDownload = async () => {
+        try {
+            await downloadFile(result.downloadUrl, activeTab === 'numbers' ? 'numbered.pdf' : 'watermarked.pdf')
+            toast.success('Download started!')
+        } catch (error) {
+            toast.error('Download failed')
+        }
+    }
+
+    const handleReset = () => {
+        setFile(null)
+        setPdfInfo(null)
+        setImage(null)
+        setPages('')
+        setPreview(null)
+        setResult(null)
+        setProgress(0)
+        setServerProgress(null)
+    }
+
+    const progressLabel = () => {
+        if (!serverProgress) return `Uploading... ${progress}%`
+        return `${formatStage(serverProgress)} ${serverProgress.progress}%`
+    }
+
+    // Any setting change invalidates the last preview and result
+    const update = (setter) => (value) => {
+        setter(value)
+        setPreview(null)
+        setResult(null)
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">💧 Watermark & Page Numbers</h1>
+                <p className="page-subtitle">
+                    Stamp text, a logo, page numbers or headers and footers on every page, or only the pages you choose
+                </p>
+            </div>
+
+            {/* Tabs */}
+            <div className="tabs">
+                {tabs.map(tab => (
+                    <button
+                        key={tab.id}
+                        className={`tab ${activeTab === tab.id ? 'active' : ''}`}
+                        onClick={() => update(setActiveTab)(tab.id)}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            {!file ? (
+                <FileUploader
+                    accept={{ 'application/pdf': ['.pdf'] }}
+                    maxFiles={1}
+                    onFilesSelected={handleFileSelect}
+                    label="Drop a PDF here to stamp"
+                    hint="Preview the result before applying it"
+                />
+            ) : (
+                <div>
+                    <div className="file-list">
+                        <div className="file-item">
+                            <div className="file-info">
+                                <span className="file-icon">📄</span>
+                                <div>
+                                    <div className="file-name">{file.name}</div>
+                                    <div className="file-size">
+                                        {formatFileSize(file.size)} • {pdfInfo?.pageCount || '?'} pages
+                                    </div>
+                                </div>
+                            </div>
+                            <button className="file-remove" onClick={handleReset}>✕</button>
+                        </div>
+                    </div>
+
+                    <div className="card" style={{ marginTop: '1.5rem' }}>
+                        {activeTab === 'watermark' && (
+                            <>
+                                <div className="control-section">
+                                    <h4 className="control-title">Watermark</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                        {watermarkTypes.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${type === option.value ? 'active' : ''}`}
+                                                onClick={() => update(setType)(option.value)}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {type === 'text' ? (
+                                    <>
+                                        <div className="control-section">
+                                            <h4 className="control-title">Text</h4>
+                                            <input
+                                                type="text"
+                                                className="form-input"
+                                                maxLength={200}
+                                                value={text}
+                                                onChange={(e) => update(setText)(e.target.value)}
+                                            />
+                                        </div>
+                                        <div className="control-section">
+                                            <h4 className="control-title">Font Size & Color</h4>
+                                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    min="4"
+                                                    max="400"
+                                                    value={fontSize}
+                                                    onChange={(e) => update(setFontSize)(e.target.value)}
+                                                    style={{ width: '100px' }}
+                                                />
+                                                <span style={{ fontSize: '0.875rem' }}>pt</span>
+                                                <input
+                                                    type="color"
+                                                    value={color}
+                                                    onChange={(e) => update(setColor)(e.target.value)}
+                                                    style={{ width: '48px', height: '36px', border: 'none', background: 'none', cursor: 'pointer' }}
+                                                />
+                                            </div>
+                                        </div>
+                                    </>
+                                ) : (
+                                    <>
+                                        <div className="control-section">
+                                            <h4 className="control-title">Image</h4>
+                                            {image ? (
+                                                <div className="file-item">
+                                                    <div className="file-info">
+                                                        <span className="file-icon">🖼️</span>
+                                                        <div>
+                                                            <div className="file-name">{image.name}</div>
+                                                            <div className="file-size">{formatFileSize(image.size)}</div>
+                                                        </div>
+                                                    </div>
+                                                    <button className="file-remove" onClick={() => update(setImage)(null)}>✕</button>
+                                                </div>
+                                            ) : (
+                                                <FileUploader
+                                                    accept={{ 'image/*': ['.jpg', '.jpeg', '.png', '.webp', '.gif'] }}
+                                                    maxFiles={1}
+                                                    onFilesSelected={handleImageSelect}
+                                                    label="Drop a logo or image"
+                                                    hint="PNG with transparency works best"
+                                                />
+                                            )}
+                                        </div>
+                                        <div className="control-section">
+                                            <h4 className="control-title">Size (% of page)</h4>
+                                            <div className="slider-container">
+                                                <input
+                                                    type="range" min="5" max="100"
+                                                    value={imageScale}
+                                                    onChange={(e) => update(setImageScale)(parseInt(e.target.value))}
+                                                    className="slider"
+                                                />
+                                                <div className="slider-value">{imageScale}%</div>
+                                            </div>
+                                        </div>
+                                    </>
+                                )}
+
+                                <div className="control-section">
+                                    <h4 className="control-title">Opacity</h4>
+                                    <div className="slider-container">
+                                        <input
+                                            type="range" min="0" max="100"
+                                            value={opacity}
+                                            onChange={(e) => update(setOpacity)(parseInt(e.target.value))}
+                                            className="slider"
+                                        />
+                                        <div className="slider-value">{opacity}%</div>
+                                    </div>
+                                </div>
+
+                                <div className="control-section">
+                                    <h4 className="control-title">Position</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                        {positions.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${position === option.value ? 'active' : ''}`}
+                                                onClick={() => update(setPosition)(option.value)}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {position !== 'diagonal' && (
+                                    <div className="control-section">
+                                        <h4 className="control-title">Rotation</h4>
+                                        <div className="slider-container">
+                                            <input
+                                                type="range" min="-180" max="180" step="5"
+                                                value={rotation}
+                                                onChange={(e) => update(setRotation)(parseInt(e.target.value))}
+                                                className="slider"
+                                            />
+                                            <div className="slider-value">{rotation}°</div>
+                                        </div>
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                        {activeTab === 'numbers' && (
+                            <>
+                                <div className="control-section">
+                                    <h4 className="control-title">Header</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            maxLength={200}
+                                            placeholder="No header"
+                                            value={header}
+                                            onChange={(e) => update(setHeader)(e.target.value)}
+                                        />
+                                        {alignments.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${headerAlign === option.value ? 'active' : ''}`}
+                                                onClick={() => update(setHeaderAlign)(option.value)}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="control-section">
+                                    <h4 className="control-title">Footer</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            maxLength={200}
+                                            placeholder="No footer"
+                                            value={footer}
+                                            onChange={(e) => update(setFooter)(e.target.value)}
+                                        />
+                                        {alignments.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${footerAlign === option.value ? 'active' : ''}`}
+                                                onClick={() => update(setFooterAlign)(option.value)}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
+                                        Placeholders: {templateTokens.map(token => <code key={token} style={{ marginRight: '0.5rem' }}>{token}</code>)}
+                                    </p>
+                                </div>
+                                <div className="control-section">
+                                    <h4 className="control-title">Font</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                                        {fonts.map(option => (
+                                            <button
+                                                key={option.value}
+                                                className={`aspect-btn ${font === option.value ? 'active' : ''}`}
+                                                onClick={() => update(setFont)(option.value)}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            min="4"
+                                            max="72"
+                                            value={textSize}
+                                            onChange={(e) => update(setTextSize)(e.target.value)}
+                                            style={{ width: '80px' }}
+                                        />
+                                        <span style={{ fontSize: '0.875rem' }}>pt</span>
+                                        <input
+                                            type="color"
+                                            value={textColor}
+                                            onChange={(e) => update(setTextColor)(e.target.value)}
+                                            style={{ width: '48px', height: '36px', border: 'none', background: 'none', cursor: 'pointer' }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="control-section">
+                                    <h4 className="control-title">Numbering</h4>
+                                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                                        <span style={{ fontSize: '0.875rem' }}>Start at</span>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            min="0"
+                                            value={startNumber}
+                                            onChange={(e) => update(setStartNumber)(e.target.value)}
+                                            style={{ width: '80px' }}
+                                        />
+                                        <span style={{ fontSize: '0.875rem' }}>Margin (mm)</span>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            min="0"
+                                            max="50"
+                                            value={margin}
+                                            onChange={(e) => update(setMargin)(e.target.value)}
+                                            style={{ width: '80px' }}
+                                        />
+                                    </div>
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.875rem', marginTop: '0.75rem' }}>
+                                        <input type="checkbox" checked={skipFirst} onChange={(e) => update(setSkipFirst)(e.target.checked)} />
+                                        Leave the first page blank (it still counts)
+                                    </label>
+                                </div>
+                            </>
+                        )}
+
+                        <div className="control-section">
+                            <h4 className="control-title">Pages</h4>
+                            <input
+                                type="text"
+                                className="form-input"
+                                placeholder="All pages, or e.g., 1-3,5"
+                                value={pages}
+                                onChange={(e) => update(setPages)(e.target.value)}
+                            />
+                        </div>
+                    </div>
+
+                    {preview && (
+                        <div className="preview-box" style={{ marginTop: '1.5rem', textAlign: 'center' }}>
+                            <div className="preview-label">Preview • Page {preview.page}</div>
+                            <img
+                                src={preview.preview}
+                                alt={`Page ${preview.page} preview`}
+                                className="preview-image"
+                                style={{ maxHeight: '480px', background: '#fff' }}
+                            />
+                        </div>
+                    )}
+
+                    {result && (
+                        <div className="result-box">
+                            <div className="result-stats">
+                                <div className="stat-item">
+                                    <div className="stat-value">{result.watermarkedPages ?? result.numberedPages} / {result.pageCount}</div>
+                                    <div className="stat-label">Pages Stamped</div>
+                                </div>
+                                <div className="stat-item">
+                                    <div className="stat-value">{formatFileSize(result.size)}</div>
+                                    <div className="stat-label">Size</div>
+                                </div>
+                            </div>
+                            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+                                <button className="btn btn-success btn-lg" onClick={handleDownload}>
+                                    ⬇️ Download PDF
+                                </button>
+                                <button className="btn btn-secondary btn-lg" onClick={handleReset}>
+                                    Start Over
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!result && (
+                        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '2rem' }}>
+                            <button
+                                className="btn btn-secondary btn-lg"
+                                onClick={handlePreview}
+                                disabled={previewing || uploading || !canApply}
+                            >
+                                {previewing ? 'Rendering preview...' : '👁️ Preview'}
+                            </button>
+                            <button
+                                className="btn btn-primary btn-lg"
+                                onClick={handleApply}
+                                disabled={uploading || !canApply}
+                            >
+                                {uploading ? progressLabel() : activeTab === 'numbers' ? '🔢 Add Page Numbers' : '💧 Add Watermark'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import toast from 'react-hot-toast';
 
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
+const JOB_POLL_INTERVAL_MS = 1000;
 
 // Create axios instance with default config
 const api = axios.create({
@@ -8,6 +10,14 @@ const api = axios.create({
     timeout: 300000, // 5 minutes for large files
 });
 
+// Show notices the server attaches to successful results (e.g. PDF restrictions that were removed)
+api.interceptors.response.use((response) => {
+    for (const notice of response.data?.notices || []) {
+        toast(notice.message, { icon: '⚠️', duration: 8000 });
+    }
+    return response;
+});
+
 // Helper to format file size
 export const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -17,6 +27,64 @@ export const formatFileSize = (bytes) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Human-readable label for a server-side processing stage
+export const formatStage = (event) => {
+    if (!event) return '';
+    switch (event.stage) {
+        case 'queued': return 'Waiting in queue...';
+        case 'received': return 'Upload received';
+        case 'parsing': return 'Reading file...';
+        case 'processing':
+            return event.total ? `Processing ${event.current} of ${event.total}` : 'Processing...';
+        case 'storing':
+            return event.total ? `Saving file ${event.current} of ${event.total}` : 'Saving result...';
+        case 'done': return 'Done';
+        default: return 'Processing...';
+    }
+};
+
+// Follow server-side progress for a request via server-sent events.
+// Adds a progressId to the form data and returns a function that stops listening.
+// When the event stream fails (e.g. a proxy that buffers it), the job status is polled instead.
+const trackServerProgress = (formData, onServerProgress) => {
+    // randomUUID is only available in secure contexts (https or localhost)
+    if (!onServerProgress || typeof EventSource === 'undefined' || !window.crypto?.randomUUID) {
+        return () => {};
+    }
+
+    const progressId = window.crypto.randomUUID();
+    formData.append('progressId', progressId);
+
+    let stopped = false;
+    let pollTimer = null;
+
+    const poll = async () => {
+        try {
+            const status = await getJobStatus(progressId);
+            if (stopped) return;
+            onServerProgress(status);
+            if (status.status === 'succeeded' || status.status === 'failed') return;
+        } catch (error) {
+            // 404 until the upload has finished and the job exists
+        }
+        if (!stopped) pollTimer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+    };
+
+    const source = new EventSource(`${API_BASE}/jobs/${progressId}/events`);
+    source.addEventListener('progress', (event) => onServerProgress(JSON.parse(event.data)));
+    source.addEventListener('done', () => source.close());
+    source.onerror = () => {
+        source.close();
+        if (!stopped) poll();
+    };
+
+    return () => {
+        stopped = true;
+        source.close();
+        clearTimeout(pollTimer);
+    };
+};
+
 // Download file to local machine
 export const downloadFile = async (url, filename) => {
     try {
@@ -83,100 +151,435 @@ export const convertImage = async (file, targetFormat, onProgress) => {
 };
 
 // Image transformations (crop, resize, rotate, brightness, contrast)
-export const transformImage = async (file, transformations, onProgress) => {
+export const transformImage = async (file, transformations, onProgress, onServerProgress) => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('transformations', JSON.stringify(transformations));
 
-    const response = await api.post('/images/transform', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-            if (onProgress) {
-                const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-                onProgress(percentCompleted);
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/images/transform', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
             }
-        }
-    });
+        });
 
-    return response.data;
+        return response.data;
+    } finally {
+        stopTracking();
+    }
 };
 
 // PDF compression
-export const compressPdf = async (file, onProgress) => {
+export const compressPdf = async (file, onProgress, onServerProgress, options = {}) => {
     const formData = new FormData();
     formData.append('file', file);
+    // screen, ebook, print, or all to compare the three
+    if (options.profile) formData.append('profile', options.profile);
+    if (options.password) formData.append('password', options.password);
 
-    const response = await api.post('/pdf/compress', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-            if (onProgress) {
-                const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-                onProgress(percentCompleted);
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/compress', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
             }
-        }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// PDF merge (options.metadata sets document properties on the result)
+export const mergePdfs = async (files, onProgress, onServerProgress, options = {}) => {
+    const formData = new FormData();
+    files.forEach(file => {
+        formData.append('files', file);
     });
+    if (options.metadata) formData.append('metadata', JSON.stringify(options.metadata));
+    // Passwords of protected files, in the same order as the files
+    if (options.passwords?.some(Boolean)) formData.append('passwords', JSON.stringify(options.passwords));
+    // Bookmark per file: titles in file order (empty ones use the file name)
+    if (options.bookmarks) {
+        formData.append('bookmarks', 'true');
+        formData.append('bookmarkLabels', JSON.stringify(options.bookmarks));
+    }
+    if (options.protection) formData.append('protection', JSON.stringify(options.protection));
+    // Same page size and margins for every merged page
+    if (options.normalize) formData.append('normalize', JSON.stringify(options.normalize));
+    // Pages to take from each file, in file order (empty entries take every page)
+    if (options.pageRanges?.some(Boolean)) formData.append('pageRanges', JSON.stringify(options.pageRanges));
+    // Alternate the pages of two files, e.g. odd and even pages of a double-sided scan
+    if (options.interleave) {
+        formData.append('interleave', 'true');
+        if (options.reverseSecond) formData.append('reverseSecond', 'true');
+    }
 
-    return response.data;
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/merge', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// PDF split
+export const splitPdf = async (file, pages, onProgress, onServerProgress, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    // Page ranges are only used by the default "ranges" mode
+    if (pages) formData.append('pages', pages);
+    if (options.mode) formData.append('mode', options.mode);
+    if (options.every) formData.append('every', options.every);
+    if (options.maxSizeMb) formData.append('maxSizeMb', options.maxSizeMb);
+    if (options.output) formData.append('output', options.output);
+    if (options.password) formData.append('password', options.password);
+    if (options.protection) formData.append('protection', JSON.stringify(options.protection));
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/split', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// PDF reorder
+export const reorderPdf = async (file, order, onProgress, onServerProgress, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('order', JSON.stringify(order));
+    if (options.rotations?.length) formData.append('rotations', JSON.stringify(options.rotations));
+    if (options.password) formData.append('password', options.password);
+    if (options.protection) formData.append('protection', JSON.stringify(options.protection));
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/reorder', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// PDF page operations (delete, duplicate, insert blank pages)
+export const editPdfPages = async (file, operations, onProgress, onServerProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('operations', JSON.stringify(operations));
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/pages', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
 };
 
-// PDF merge
-export const mergePdfs = async (files, onProgress) => {
+// Images to PDF (one image per page, in the given order)
+export const imagesToPdf = async (files, options, onProgress, onServerProgress) => {
     const formData = new FormData();
     files.forEach(file => {
         formData.append('files', file);
     });
+    Object.entries(options).forEach(([key, value]) => {
+        formData.append(key, value);
+    });
 
-    const response = await api.post('/pdf/merge', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-            if (onProgress) {
-                const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-                onProgress(percentCompleted);
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/from-images', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
             }
-        }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// Watermark PDF pages with text or an image (options.preview returns a PNG of the first page)
+export const watermarkPdf = async (file, options, image, onProgress, onServerProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (image) {
+        formData.append('image', image);
+    }
+    Object.entries(options).forEach(([key, value]) => {
+        formData.append(key, value);
     });
 
-    return response.data;
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/watermark', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
 };
 
-// PDF split
-export const splitPdf = async (file, pages, onProgress) => {
+// Add page numbers, headers and footers (options.preview returns a PNG of the first stamped page)
+export const addPageNumbers = async (file, options, onProgress, onServerProgress) => {
     const formData = new FormData();
     formData.append('file', file);
-    formData.append('pages', pages);
+    Object.entries(options).forEach(([key, value]) => {
+        formData.append(key, value);
+    });
 
-    const response = await api.post('/pdf/split', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-            if (onProgress) {
-                const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-                onProgress(percentCompleted);
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/page-numbers', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
             }
-        }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// N-up sheets or a saddle-stitch booklet (options: layout, pagesPerSheet, sheetSize, orientation, margin, gutter, order, preview, password)
+export const imposePdf = async (file, options, onProgress, onServerProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') formData.append(key, value);
+    });
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/impose', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// Give every page the same size and/or remove or add margins
+export const normalizePdf = async (file, options, onProgress, onServerProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === undefined || value === '') return;
+        formData.append(key, key === 'margins' ? JSON.stringify(value) : value);
+    });
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/normalize', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// Read PDF document properties (title, author, dates, language, ...)
+export const getPdfMetadata = async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await api.post('/pdf/metadata', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
     });
 
     return response.data;
 };
 
-// PDF reorder
-export const reorderPdf = async (file, order, onProgress) => {
+// Change PDF document properties (empty values remove a property)
+export const updatePdfMetadata = async (file, metadata, onProgress, onServerProgress) => {
     const formData = new FormData();
     formData.append('file', file);
-    formData.append('order', JSON.stringify(order));
+    Object.entries(metadata).forEach(([key, value]) => {
+        formData.append(key, value);
+    });
 
-    const response = await api.post('/pdf/reorder', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-            if (onProgress) {
-                const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-                onProgress(percentCompleted);
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/metadata', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
             }
-        }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// List the form fields of a PDF
+export const getPdfFormFields = async (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (options.password) formData.append('password', options.password);
+
+    const response = await api.post('/pdf/form-fields', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
     });
 
     return response.data;
 };
 
+// Fill PDF form fields (values by field name), optionally flattening the form
+export const fillPdfForm = async (file, values, onProgress, onServerProgress, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('fields', JSON.stringify(values));
+    if (options.flatten) formData.append('flatten', 'true');
+    if (options.password) formData.append('password', options.password);
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/fill-form', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
+// Password-protect a PDF and set its permissions
+export const protectPdf = async (file, protection, onProgress, onServerProgress, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('userPassword', protection.userPassword);
+    if (protection.ownerPassword) formData.append('ownerPassword', protection.ownerPassword);
+    formData.append('permissions', JSON.stringify(protection.permissions));
+    formData.append('encryption', protection.encryption);
+    if (options.password) formData.append('password', options.password);
+
+    const stopTracking = trackServerProgress(formData, onServerProgress);
+
+    try {
+        const response = await api.post('/pdf/protect', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            onUploadProgress: (progressEvent) => {
+                if (onProgress) {
+                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+                    onProgress(percentCompleted);
+                }
+            }
+        });
+
+        return response.data;
+    } finally {
+        stopTracking();
+    }
+};
+
 // Get PDF info
 export const getPdfInfo = async (file) => {
     const formData = new FormData();
@@ -189,6 +592,12 @@ export const getPdfInfo = async (file) => {
     return response.data;
 };
 
+// Get background job status
+export const getJobStatus = async (jobId) => {
+    const response = await api.get(`/jobs/${jobId}`);
+    return response.data;
+};
+
 // Health check
 export const checkHealth = async () => {
     const response = await api.get('/health');
@@ -0,0 +1,277 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+
+// Import routes
+const imageRoutes = require('./routes/images');
+const pdfRoutes = require('./routes/pdf');
+const jobRoutes = require('./routes/jobs');
+
+// Import middleware
+const { apiLimiter, statusLimiter } = require('./middleware/rateLimiter');
+const { handleMulterError } = require('./middleware/validation');
+
+// Import services
+const storage = require('./services/storage');
+
+// Platforms where every request may run in a fresh instance with a read-only filesystem:
+// in-memory jobs cannot be polled from a later request, and files cannot be stored locally
+const SERVERLESS_PLATFORMS = ['vercel'];
+
+// Default CORS configuration for the standalone server
+const DEFAULT_CORS_OPTIONS = {
+    origin: process.env.NODE_ENV === 'production'
+        ? process.env.FRONTEND_URL
+        : ['http://localhost:5173', 'http://localhost:3000'],
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    credentials: true
+};
+
+/**
+ * Create the Express application
+ * Shared by the standalone server (server.js) and the Vercel handler (api/index.js)
+ * so both deployments expose the same routes and middleware
+ * @param {Object} options - { platform, corsOptions }
+ * @returns {express.Application} Configured app (not listening)
+ * @throws {Error} On serverless platforms when storage is local
+ */
+const createApp = ({ platform = 'server', corsOptions = DEFAULT_CORS_OPTIONS } = {}) => {
+    const serverless = SERVERLESS_PLATFORMS.includes(platform);
+    if (serverless && storage.name === 'local') {
+        throw new Error(`Local storage is not available on ${platform}: its filesystem is read-only and not shared `
+            + 'between requests. Set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+    }
+
+    const app = express();
+
+    // Read by processRequest: async=true is refused where jobs cannot be polled later
+    app.locals.backgroundJobs = !serverless;
+
+    // Security middleware
+    app.use(helmet({
+        crossOriginResourcePolicy: { policy: 'cross-origin' }
+    }));
+
+    // CORS configuration
+    app.use(cors(corsOptions));
+
+    // Body parsing
+    app.use(express.json({ limit: '1mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+    // Increase server timeout for large file processing (5 minutes)
+    app.use((req, res, next) => {
+        req.setTimeout(300000); // 5 minutes
+        res.setTimeout(300000);
+        next();
+    });
+
+    // Serve stored files when the storage provider keeps them locally
+    if (storage.serve) {
+        app.use('/api/files', storage.serve);
+    }
+
+    // Job status polling has its own, more lenient limit
+    app.use('/api/jobs', statusLimiter, jobRoutes);
+
+    // Apply rate limiting to all API routes
+    app.use('/api', apiLimiter);
+
+    // API Routes
+    app.use('/api/images', imageRoutes);
+    app.use('/api/pdf', pdfRoutes);
+
+    // Health check endpoint
+    app.get('/api/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            environment: process.env.NODE_ENV || 'development',
+            platform,
+            storage: storage.name,
+            backgroundJobs: app.locals.backgroundJobs
+        });
+    });
+
+    // API documentation endpoint
+    app.get('/api', (req, res) => {
+        res.json({
+            name: 'File Utility API',
+            version: '1.0.0',
+            platform,
+            endpoints: {
+                images: {
+                    compress: {
+                        method: 'POST',
+                        path: '/api/images/compress',
+                        description: 'Compress an image',
+                        body: 'multipart/form-data with file and quality (low/medium/high or 1-100)'
+                    },
+                    convert: {
+                        method: 'POST',
+                        path: '/api/images/convert',
+                        description: 'Convert image format',
+                        body: 'multipart/form-data with file and targetFormat (jpg/png/webp)'
+                    },
+                    transform: {
+                        method: 'POST',
+                        path: '/api/images/transform',
+                        description: 'Apply transformations (crop, resize, rotate, brightness, contrast)',
+                        body: 'multipart/form-data with file and transformations object'
+                    },
+                    batch: {
+                        method: 'POST',
+                        path: '/api/images/batch',
+                        description: 'Apply one set of transformations to several images; returns per-file results and a ZIP of all outputs',
+                        body: 'multipart/form-data with files[] and transformations object (same as transform, including format and quality)'
+                    }
+                },
+                pdf: {
+                    compress: {
+                        method: 'POST',
+                        path: '/api/pdf/compress',
+                        description: 'Compress PDF locally: downsample and re-encode images, share identical resources, drop unused objects and use object streams',
+                        body: 'multipart/form-data with file, optional profile (screen, ebook (default), print, or all to compare the three) and password for protected PDFs; returns the size of each result, with savings measured against the unlocked input (uploadedSize is the encrypted upload)'
+                    },
+                    merge: {
+                        method: 'POST',
+                        path: '/api/pdf/merge',
+                        description: 'Merge multiple PDFs, optionally taking some pages of each, interleaving two files, with a bookmark per file and one page size for every page',
+                        body: 'multipart/form-data with files[] array, optional pageRanges (JSON array with one entry per file, e.g., ["1-3,5",""]; pages are taken in the order written, empty takes every page), interleave (true/false, exactly 2 files) and reverseSecond (true/false, with interleave), bookmarks (true/false) and bookmarkLabels (JSON array of titles in file order; file names by default), metadata (JSON document properties, e.g., {"title":"Report","author":"Finance"}), normalize (JSON, same fields as normalize, e.g., {"size":"a4","mode":"fit"}), password (all files) or passwords (JSON array in file order) for protected PDFs, and protection (JSON, same fields as protect) for the result'
+                    },
+                    split: {
+                        method: 'POST',
+                        path: '/api/pdf/split',
+                        description: 'Split PDF by page ranges, every N pages, file size, odd/even pages, into single pages or by top-level bookmarks',
+                        body: 'multipart/form-data with file, optional mode (ranges (default), every, size, odd-even, pages, bookmarks) with pages (ranges, e.g., "1-3;5;7-10"), every (pages per part) or maxSizeMb (largest part, 0.1-100), and optional output (files, zip, both), password and protection (JSON, same fields as protect, applied to every part)'
+                    },
+                    reorder: {
+                        method: 'POST',
+                        path: '/api/pdf/reorder',
+                        description: 'Reorder PDF pages',
+                        body: 'multipart/form-data with file, order array (e.g., [3,1,2,4]) and optional rotations (same as rotate, original page numbers), password and protection (JSON, same fields as protect)'
+                    },
+                    pages: {
+                        method: 'POST',
+                        path: '/api/pdf/pages',
+                        description: 'Delete, duplicate or insert blank pages; invalid page references are rejected',
+                        body: 'multipart/form-data with file and operations (e.g., [{"op":"delete","pages":"2-4"},{"op":"duplicate","pages":"1","copies":2},{"op":"insert-blank","after":0,"size":"a4"}])'
+                    },
+                    rotate: {
+                        method: 'POST',
+                        path: '/api/pdf/rotate',
+                        description: 'Rotate pages clockwise by 90, 180 or 270 degrees',
+                        body: 'multipart/form-data with file and rotations (e.g., [{"pages":"1-3","angle":90}]) or pages and angle'
+                    },
+                    normalize: {
+                        method: 'POST',
+                        path: '/api/pdf/normalize',
+                        description: 'Scale or pad every page to one paper size, and remove or add margins through the crop and trim boxes',
+                        body: 'multipart/form-data with file and size (a4, letter, legal, a5, a3, tabloid) and/or margins (JSON {"top":10,"bottom":10} in mm; positive removes, negative adds), optional orientation (auto, portrait, landscape), mode (fit, fill, center), box (crop, trim) and password for protected PDFs'
+                    },
+                    impose: {
+                        method: 'POST',
+                        path: '/api/pdf/impose',
+                        description: 'Put 2, 4 or 6 pages on each sheet, or impose a saddle-stitch booklet (padded with blank pages)',
+                        body: 'multipart/form-data with file, optional layout (grid or booklet), pagesPerSheet (2, 4, 6), sheetSize (a4, letter, a3, tabloid), orientation (auto, portrait, landscape), margin and gutter (mm), order (ltr, rtl, ttb; booklets ltr or rtl), password for protected PDFs, and preview=true for a PNG of the first sheet'
+                    },
+                    fromImages: {
+                        method: 'POST',
+                        path: '/api/pdf/from-images',
+                        description: 'Create one PDF from images (one per page, in upload order)',
+                        body: 'multipart/form-data with files[] and optional pageSize (fit, a4, letter), orientation (auto, portrait, landscape), margin (mm), fit (contain, cover, stretch)'
+                    },
+                    toImages: {
+                        method: 'POST',
+                        path: '/api/pdf/to-images',
+                        description: 'Render PDF pages to images locally, returned per page and/or as a ZIP',
+                        body: 'multipart/form-data with file and optional pages (e.g., "1-3,5"), dpi (36-600), format (png, jpg, webp), quality, output (files, zip, both)'
+                    },
+                    watermark: {
+                        method: 'POST',
+                        path: '/api/pdf/watermark',
+                        description: 'Stamp a text or image watermark on all or some pages; preview=true returns a PNG of the first stamped page',
+                        body: 'multipart/form-data with file, text or image, and optional fontSize, color (#rrggbb), opacity (0-1), rotation, position (center, diagonal, top-left, top-right, bottom-left, bottom-right, tiled), imageScale (0.05-1), pages, preview'
+                    },
+                    pageNumbers: {
+                        method: 'POST',
+                        path: '/api/pdf/page-numbers',
+                        description: 'Add page numbers, headers and footers from templates with {n}, {total}, {filename} and {date}; preview=true returns a PNG of the first stamped page',
+                        body: 'multipart/form-data with file and optional header, footer (default "Page {n} of {total}"), headerAlign, footerAlign (left, center, right), font (helvetica, helvetica-bold, times, times-bold, courier), fontSize, color, margin (mm), startNumber, skipFirst, pages, preview'
+                    },
+                    metadata: {
+                        method: 'POST',
+                        path: '/api/pdf/metadata',
+                        description: 'Read document properties, or change them when any property field is sent (an empty value removes it)',
+                        body: 'multipart/form-data with file and optional title, author, subject, keywords, creator, producer, creationDate, modificationDate (ISO 8601), language (e.g., en-US)'
+                    },
+                    formFields: {
+                        method: 'POST',
+                        path: '/api/pdf/form-fields',
+                        description: 'List form fields: name, type (text, checkbox, radio, dropdown, optionList, button, signature), current value, options, pages and flags',
+                        body: 'multipart/form-data with file'
+                    },
+                    fillForm: {
+                        method: 'POST',
+                        path: '/api/pdf/fill-form',
+                        description: 'Fill form fields by name and optionally flatten them into the pages',
+                        body: 'multipart/form-data with file, fields (JSON, e.g., {"name":"Ann","agree":true,"size":"M","colors":["Red","Blue"]}) and optional flatten (true/false)'
+                    },
+                    protect: {
+                        method: 'POST',
+                        path: '/api/pdf/protect',
+                        description: 'Password-protect a PDF (AES-256 or AES-128) and restrict printing, copying, editing or commenting',
+                        body: 'multipart/form-data with file and userPassword (to open) and/or permissions (e.g., {"print":false,"copy":false,"modify":false,"annotate":false}), optional ownerPassword (lifts restrictions; random if omitted) and encryption (aes-256, aes-128)'
+                    },
+                    info: {
+                        method: 'POST',
+                        path: '/api/pdf/info',
+                        description: 'Inspect a PDF: version, page sizes and rotations, encryption, forms, annotations, attachments, JavaScript, bookmarks, fonts, images and document properties',
+                        body: 'multipart/form-data with file'
+                    }
+                },
+                jobs: {
+                    status: {
+                        method: 'GET',
+                        path: '/api/jobs/:id',
+                        description: 'Get background job status (queued/running/succeeded/failed), progress, result and error',
+                        body: 'none - add async=true to any processing request to run it as a job (not available on serverless platforms, see backgroundJobs in /api/health)'
+                    },
+                    events: {
+                        method: 'GET',
+                        path: '/api/jobs/:id/events',
+                        description: 'Server-sent events: "progress" with stage (queued/received/parsing/processing/storing/done) and percentage, then "done"',
+                        body: 'none - send a UUID as progressId with any processing request to subscribe before the upload finishes'
+                    }
+                }
+            },
+            limitations: {
+                maxFileSize: '20MB',
+                maxFilesPerRequest: 10,
+                rateLimit: '10 requests per minute per IP',
+                fileRetention: 'Files are automatically deleted after 1 hour'
+            }
+        });
+    });
+
+    // Error handling middleware
+    app.use(handleMulterError);
+
+    app.use((err, req, res, next) => {
+        console.error('Server error:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    });
+
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Endpoint not found' });
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
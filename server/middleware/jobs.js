@@ -0,0 +1,66 @@
+const { enqueueJob, runTrackedJob, serializeError } = require('../services/jobs');
+
+/**
+ * Check whether the client asked for background processing
+ * (`async=true` as a form field or query parameter)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request should run as a job
+ */
+const wantsAsync = (req) => [req.query.async, req.body?.async]
+    .some(value => value === true || value === 'true' || value === '1');
+
+/**
+ * Wrap a processing handler so it can run inline or as a background job
+ * Inline: responds with the handler's payload, or with the error it throws.
+ * Async: responds 202 with a job ID; poll GET /api/jobs/:id for the outcome.
+ * Apps without background jobs (app.locals.backgroundJobs false, on serverless
+ * platforms) answer async requests with 400 ASYNC_UNAVAILABLE instead.
+ * Either way the work is tracked as a job, so progress can be streamed from
+ * GET /api/jobs/:id/events. Clients that want to subscribe before the upload
+ * finishes send their own UUID as `progressId`.
+ * @param {string} type - Job type (e.g. 'pdf.merge')
+ * @param {Function} handler - async (req, job) => response payload;
+ *     job.progress(percent, stage, { current, total }) reports progress,
+ *     job.notice(code, message, details) adds a notice to the payload
+ * @param {string} failureMessage - Error message for unexpected failures
+ * @returns {Function} Express route handler
+ */
+const processRequest = (type, handler, failureMessage) => async (req, res) => {
+    try {
+        const options = { failureMessage, id: req.body?.progressId };
+        const work = (context) => handler(req, context);
+
+        if (wantsAsync(req)) {
+            // A job kept in this instance's memory could not be found by later requests
+            if (req.app?.locals.backgroundJobs === false) {
+                return res.status(400).json({
+                    error: 'Background jobs are not available on this deployment. Send the request without async',
+                    code: 'ASYNC_UNAVAILABLE'
+                });
+            }
+
+            const job = await enqueueJob(type, work, options);
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                eventsUrl: `/api/jobs/${job.id}/events`
+            });
+        }
+
+        const { result } = await runTrackedJob(type, work, options);
+        res.json(result);
+    } catch (error) {
+        const { status, message, ...details } = serializeError(error, failureMessage);
+        if (status >= 500) {
+            console.error(`${failureMessage}:`, error);
+        }
+        res.status(status).json({ error: message, ...details });
+    }
+};
+
+module.exports = {
+    processRequest,
+    wantsAsync
+};
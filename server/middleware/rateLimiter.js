@@ -41,7 +41,26 @@ const uploadLimiter = rateLimit({
     }
 });
 
+/**
+ * Lenient rate limiter for job status polling
+ * Clients poll while work runs, so this allows many more requests
+ */
+const statusLimiter = rateLimit({
+    windowMs: WINDOW_MS,
+    max: MAX_REQUESTS * 12,
+    message: {
+        error: 'Too many status requests. Please poll less frequently.',
+        retryAfter: Math.ceil(WINDOW_MS / 1000)
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => {
+        return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip;
+    }
+});
+
 module.exports = {
     apiLimiter,
-    uploadLimiter
+    uploadLimiter,
+    statusLimiter
 };
@@ -59,6 +59,20 @@ const uploadAny = multer({
     fileFilter: createFileFilter([...ALLOWED_IMAGE_TYPES, ...ALLOWED_PDF_TYPES])
 });
 
+/**
+ * Create an error that is reported to the client with the given status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message (sent as `error`)
+ * @param {Object} details - Extra fields merged into the error response
+ * @returns {Error} Error with status and details
+ */
+const createHttpError = (status, message, details = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+};
+
 /**
  * Error handling middleware for multer errors
  */
@@ -89,6 +103,7 @@ module.exports = {
     uploadPdf,
     uploadAny,
     handleMulterError,
+    createHttpError,
     ALLOWED_IMAGE_TYPES,
     ALLOWED_PDF_TYPES,
     MAX_FILE_SIZE,
@@ -1,8 +1,12 @@
+const path = require('path');
 const express = require('express');
 const router = express.Router();
-const { uploadImage, handleMulterError } = require('../middleware/validation');
+const { uploadImage, handleMulterError, createHttpError, MAX_FILES_PER_REQUEST } = require('../middleware/validation');
+const { processRequest } = require('../middleware/jobs');
 const { uploadLimiter } = require('../middleware/rateLimiter');
-const { uploadToCloudinary, getTransformationUrl, cloudinary } = require('../config/cloudinary');
+const storage = require('../services/storage');
+const { processImage, getImageInfo, formatToExtension } = require('../services/imageProcessor');
+const { createZip, uniqueName } = require('../services/zip');
 
 // Quality mapping for compression levels
 const QUALITY_MAP = {
@@ -11,246 +15,393 @@ const QUALITY_MAP = {
     high: 80
 };
 
+// Image engine: 'cloudinary' builds transformation URLs, 'local' processes pixels on this server.
+// Storage providers that cannot transform at delivery time always use the local engine.
+const IMAGE_ENGINE = storage.supportsTransformations
+    ? (process.env.IMAGE_ENGINE || 'cloudinary')
+    : 'local';
+
 /**
- * POST /api/images/compress
- * Compress an image with specified quality level
+ * Build the Cloudinary-style transformation array for a transformations object
+ * @param {Object} transforms - { crop, aspectRatio, resize, rotate, brightness, contrast, quality }
+ * @returns {Object[]} Transformation array
  */
-router.post('/compress', uploadLimiter, uploadImage.single('file'), handleMulterError, async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
-
-        const { quality = 'medium' } = req.body;
+const buildTransformations = (transforms) => {
+    const transformationArray = [];
+
+    // Crop transformation
+    if (transforms.crop) {
+        const { x, y, width, height } = transforms.crop;
+        transformationArray.push({
+            crop: 'crop',
+            x: Math.round(x),
+            y: Math.round(y),
+            width: Math.round(width),
+            height: Math.round(height)
+        });
+    }
 
-        // Determine quality value
-        let qualityValue;
-        if (QUALITY_MAP[quality]) {
-            qualityValue = QUALITY_MAP[quality];
-        } else {
-            qualityValue = parseInt(quality) || 60;
-            qualityValue = Math.max(1, Math.min(100, qualityValue));
+    // Aspect ratio crop (if no manual crop)
+    if (transforms.aspectRatio && !transforms.crop) {
+        const ratioMap = {
+            '1:1': '1:1',
+            '4:3': '4:3',
+            '3:4': '3:4',
+            '16:9': '16:9',
+            '9:16': '9:16'
+        };
+        if (ratioMap[transforms.aspectRatio]) {
+            transformationArray.push({
+                aspect_ratio: ratioMap[transforms.aspectRatio],
+                crop: 'crop',
+                gravity: 'center'
+            });
         }
+    }
 
-        // Upload original to Cloudinary
-        const uploadResult = await uploadToCloudinary(req.file.buffer, {
-            resourceType: 'image'
-        });
+    // Resize transformation
+    if (transforms.resize) {
+        const resizeObj = { crop: 'scale' };
+        if (transforms.resize.width) resizeObj.width = transforms.resize.width;
+        if (transforms.resize.height) resizeObj.height = transforms.resize.height;
+        transformationArray.push(resizeObj);
+    }
 
-        // Generate compressed URL with quality transformation
-        const compressedUrl = cloudinary.url(uploadResult.public_id, {
-            transformation: [
-                { quality: qualityValue },
-                { fetch_format: 'auto' }
-            ],
-            secure: true
-        });
+    // Rotate transformation
+    if (transforms.rotate) {
+        transformationArray.push({ angle: transforms.rotate });
+    }
 
-        // Get compressed file info
-        const compressedInfo = await new Promise((resolve) => {
-            // Estimate compressed size based on quality
-            const estimatedSize = Math.round(uploadResult.bytes * (qualityValue / 100) * 0.7);
-            resolve({ bytes: estimatedSize });
+    // Brightness adjustment (-100 to 100)
+    if (transforms.brightness !== undefined && transforms.brightness !== 0) {
+        transformationArray.push({
+            effect: `brightness:${Math.max(-100, Math.min(100, transforms.brightness))}`
         });
+    }
 
-        res.json({
-            success: true,
-            originalSize: uploadResult.bytes,
-            compressedSize: compressedInfo.bytes,
-            compressionRatio: ((1 - compressedInfo.bytes / uploadResult.bytes) * 100).toFixed(1) + '%',
-            downloadUrl: compressedUrl,
-            publicId: uploadResult.public_id,
-            width: uploadResult.width,
-            height: uploadResult.height
+    // Contrast adjustment (-100 to 100)
+    if (transforms.contrast !== undefined && transforms.contrast !== 0) {
+        transformationArray.push({
+            effect: `contrast:${Math.max(-100, Math.min(100, transforms.contrast))}`
         });
+    }
 
-    } catch (error) {
-        console.error('Compression error:', error);
-        res.status(500).json({ error: 'Failed to compress image', details: error.message });
+    // Add quality setting (compression)
+    if (transforms.quality) {
+        let qualityValue = transforms.quality;
+        if (QUALITY_MAP[qualityValue]) {
+            qualityValue = QUALITY_MAP[qualityValue];
+        } else {
+            qualityValue = Math.max(1, Math.min(100, parseInt(qualityValue) || 80));
+        }
+        transformationArray.push({ quality: qualityValue });
+    } else {
+        // Default to auto quality
+        transformationArray.push({ quality: 'auto' });
     }
-});
+
+    return transformationArray;
+};
 
 /**
- * POST /api/images/convert
- * Convert image to different format (jpg, png, webp)
+ * Parse the `transformations` form field shared by /transform and /batch
+ * @param {string|Object} transformations - JSON string or object
+ * @returns {Object} { transforms, transformationArray, format } (format is null to keep the source format)
  */
-router.post('/convert', uploadLimiter, uploadImage.single('file'), handleMulterError, async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
+const parseTransformations = (transformations) => {
+    let transforms = {};
 
-        const { targetFormat = 'webp' } = req.body;
-        const allowedFormats = ['jpg', 'jpeg', 'png', 'webp'];
-
-        const format = targetFormat.toLowerCase();
-        if (!allowedFormats.includes(format)) {
-            return res.status(400).json({
-                error: `Invalid format. Allowed: ${allowedFormats.join(', ')}`
-            });
-        }
+    try {
+        transforms = typeof transformations === 'string'
+            ? JSON.parse(transformations)
+            : transformations || {};
+    } catch (e) {
+        throw createHttpError(400, 'Invalid transformations format');
+    }
 
-        // Upload to Cloudinary
-        const uploadResult = await uploadToCloudinary(req.file.buffer, {
-            resourceType: 'image'
-        });
+    // Determine output format
+    const outputFormat = transforms.format || null;
+    let format = null;
 
-        // Generate URL with format conversion
-        const convertedUrl = cloudinary.url(uploadResult.public_id, {
-            format: format === 'jpg' ? 'jpg' : format,
-            transformation: [{ quality: 'auto' }],
-            secure: true
-        });
+    if (outputFormat && ['jpg', 'jpeg', 'png', 'webp'].includes(outputFormat.toLowerCase())) {
+        format = outputFormat.toLowerCase() === 'jpeg' ? 'jpg' : outputFormat.toLowerCase();
+    }
 
-        res.json({
-            success: true,
-            originalFormat: req.file.mimetype.split('/')[1],
-            targetFormat: format,
-            downloadUrl: convertedUrl,
-            publicId: uploadResult.public_id,
-            width: uploadResult.width,
-            height: uploadResult.height
-        });
+    return {
+        transforms,
+        transformationArray: buildTransformations(transforms),
+        format
+    };
+};
 
-    } catch (error) {
-        console.error('Conversion error:', error);
-        res.status(500).json({ error: 'Failed to convert image', details: error.message });
-    }
+/**
+ * Store a locally rendered image
+ * @param {Object} output - Result of processImage
+ * @returns {Promise<Object>} Normalized upload result
+ */
+const storeOutput = (output) => storage.upload(output.buffer, {
+    resourceType: 'image',
+    format: formatToExtension(output.format),
+    contentType: `image/${output.format}`
 });
 
 /**
- * POST /api/images/transform
- * Apply transformations: crop, resize, rotate, brightness, contrast
+ * Produce an output image with the configured engine
+ * - cloudinary: stores the original and returns a transformation URL (rendered lazily by Cloudinary)
+ * - local: renders the output here and stores the result
+ * @param {Buffer} buffer - Original image buffer
+ * @param {Object[]} transformationArray - Cloudinary-style transformations
+ * @param {string|null} format - Output format (jpg, png, webp) or null to keep the source format
+ * @param {Object} job - Job context used to report progress
+ * @returns {Promise<Object>} { downloadUrl, publicId, original: {width, height, bytes}, output }
  */
-router.post('/transform', uploadLimiter, uploadImage.single('file'), handleMulterError, async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
+const renderImage = async (buffer, transformationArray, format, job) => {
+    if (IMAGE_ENGINE === 'local') {
+        job.progress(10, 'processing');
+        const original = await getImageInfo(buffer);
+        const output = await processImage(buffer, transformationArray, { format });
+        job.progress(70, 'storing');
+        const uploadResult = await storeOutput(output);
+
+        return {
+            downloadUrl: uploadResult.url,
+            publicId: uploadResult.publicId,
+            original,
+            output: {
+                width: output.width,
+                height: output.height,
+                format: formatToExtension(output.format),
+                bytes: output.bytes
+            }
+        };
+    }
 
-        const { transformations } = req.body;
-        let transforms = {};
+    job.progress(10, 'storing');
+    const uploadResult = await storage.upload(buffer, {
+        resourceType: 'image'
+    });
 
-        try {
-            transforms = typeof transformations === 'string'
-                ? JSON.parse(transformations)
-                : transformations || {};
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid transformations format' });
-        }
+    const urlOptions = { transformation: transformationArray };
+    if (format) urlOptions.format = format;
 
-        // Upload to Cloudinary
-        const uploadResult = await uploadToCloudinary(req.file.buffer, {
-            resourceType: 'image'
-        });
+    return {
+        downloadUrl: storage.getUrl(uploadResult.publicId, urlOptions),
+        publicId: uploadResult.publicId,
+        original: {
+            width: uploadResult.width,
+            height: uploadResult.height,
+            bytes: uploadResult.bytes
+        },
+        output: null
+    };
+};
 
-        // Build transformation array
-        const transformationArray = [];
+/**
+ * POST /api/images/compress
+ * Compress an image with specified quality level
+ * Always rendered locally so the reported size is the real output size;
+ * if the result is not smaller than the original, the original is offered instead
+ * (and attemptedSize reports the size of the discarded result)
+ */
+router.post('/compress', uploadLimiter, uploadImage.single('file'), handleMulterError, processRequest('images.compress', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
 
-        // Crop transformation
-        if (transforms.crop) {
-            const { x, y, width, height } = transforms.crop;
-            transformationArray.push({
-                crop: 'crop',
-                x: Math.round(x),
-                y: Math.round(y),
-                width: Math.round(width),
-                height: Math.round(height)
-            });
-        }
+    const { quality = 'medium' } = req.body;
 
-        // Aspect ratio crop (if no manual crop)
-        if (transforms.aspectRatio && !transforms.crop) {
-            const ratioMap = {
-                '1:1': '1:1',
-                '4:3': '4:3',
-                '3:4': '3:4',
-                '16:9': '16:9',
-                '9:16': '9:16'
-            };
-            if (ratioMap[transforms.aspectRatio]) {
-                transformationArray.push({
-                    aspect_ratio: ratioMap[transforms.aspectRatio],
-                    crop: 'crop',
-                    gravity: 'center'
-                });
-            }
-        }
+    // Determine quality value
+    let qualityValue;
+    if (QUALITY_MAP[quality]) {
+        qualityValue = QUALITY_MAP[quality];
+    } else {
+        qualityValue = parseInt(quality) || 60;
+        qualityValue = Math.max(1, Math.min(100, qualityValue));
+    }
 
-        // Resize transformation
-        if (transforms.resize) {
-            const resizeObj = { crop: 'scale' };
-            if (transforms.resize.width) resizeObj.width = transforms.resize.width;
-            if (transforms.resize.height) resizeObj.height = transforms.resize.height;
-            transformationArray.push(resizeObj);
-        }
+    // Compress in the source format and measure the real output
+    job.progress(10, 'processing');
+    const original = await getImageInfo(req.file.buffer);
+    const compressed = await processImage(req.file.buffer, [{ quality: qualityValue }]);
+    job.progress(70, 'storing');
+    const largerThanOriginal = compressed.bytes >= original.bytes;
+
+    // Offer the untouched original when compression did not help
+    const uploadResult = largerThanOriginal
+        ? await storage.upload(req.file.buffer, {
+            resourceType: 'image',
+            format: formatToExtension(original.format),
+            contentType: req.file.mimetype
+        })
+        : await storeOutput(compressed);
+
+    // Sizes, dimensions and format describe the delivered file
+    const delivered = largerThanOriginal ? original : compressed;
+
+    return {
+        success: true,
+        originalSize: original.bytes,
+        compressedSize: delivered.bytes,
+        compressionRatio: ((1 - delivered.bytes / original.bytes) * 100).toFixed(1) + '%',
+        attemptedSize: largerThanOriginal ? compressed.bytes : undefined,
+        largerThanOriginal,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        width: delivered.width,
+        height: delivered.height,
+        format: formatToExtension(delivered.format),
+        originalFormat: formatToExtension(original.format),
+        note: largerThanOriginal
+            ? 'Compression did not reduce the file size, so the original file is offered instead'
+            : undefined
+    };
+}, 'Failed to compress image'));
 
-        // Rotate transformation
-        if (transforms.rotate) {
-            transformationArray.push({ angle: transforms.rotate });
-        }
+/**
+ * POST /api/images/convert
+ * Convert image to different format (jpg, png, webp)
+ */
+router.post('/convert', uploadLimiter, uploadImage.single('file'), handleMulterError, processRequest('images.convert', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
 
-        // Brightness adjustment (-100 to 100)
-        if (transforms.brightness !== undefined && transforms.brightness !== 0) {
-            transformationArray.push({
-                effect: `brightness:${Math.max(-100, Math.min(100, transforms.brightness))}`
-            });
-        }
+    const { targetFormat = 'webp' } = req.body;
+    const allowedFormats = ['jpg', 'jpeg', 'png', 'webp'];
 
-        // Contrast adjustment (-100 to 100)
-        if (transforms.contrast !== undefined && transforms.contrast !== 0) {
-            transformationArray.push({
-                effect: `contrast:${Math.max(-100, Math.min(100, transforms.contrast))}`
-            });
-        }
+    const format = targetFormat.toLowerCase();
+    if (!allowedFormats.includes(format)) {
+        throw createHttpError(400, `Invalid format. Allowed: ${allowedFormats.join(', ')}`);
+    }
 
-        // Add quality setting (compression)
-        if (transforms.quality) {
-            let qualityValue = transforms.quality;
-            if (QUALITY_MAP[qualityValue]) {
-                qualityValue = QUALITY_MAP[qualityValue];
-            } else {
-                qualityValue = Math.max(1, Math.min(100, parseInt(qualityValue) || 80));
-            }
-            transformationArray.push({ quality: qualityValue });
-        } else {
-            // Default to auto quality
-            transformationArray.push({ quality: 'auto' });
-        }
+    // Generate output with format conversion
+    const rendered = await renderImage(
+        req.file.buffer,
+        [{ quality: 'auto' }],
+        format === 'jpeg' ? 'jpg' : format,
+        job
+    );
+
+    return {
+        success: true,
+        originalFormat: req.file.mimetype.split('/')[1],
+        targetFormat: format,
+        downloadUrl: rendered.downloadUrl,
+        publicId: rendered.publicId,
+        width: rendered.original.width,
+        height: rendered.original.height,
+        engine: IMAGE_ENGINE
+    };
+}, 'Failed to convert image'));
 
-        // Determine output format
-        const outputFormat = transforms.format || null;
+/**
+ * POST /api/images/transform
+ * Apply transformations: crop, resize, rotate, brightness, contrast
+ */
+router.post('/transform', uploadLimiter, uploadImage.single('file'), handleMulterError, processRequest('images.transform', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
 
-        // Generate transformed URL
-        const urlOptions = {
-            transformation: transformationArray,
-            secure: true
-        };
+    const { transforms, transformationArray, format } = parseTransformations(req.body.transformations);
 
-        if (outputFormat && ['jpg', 'jpeg', 'png', 'webp'].includes(outputFormat.toLowerCase())) {
-            urlOptions.format = outputFormat.toLowerCase() === 'jpeg' ? 'jpg' : outputFormat.toLowerCase();
-        }
+    // Generate transformed output
+    const rendered = await renderImage(req.file.buffer, transformationArray, format, job);
 
-        const transformedUrl = cloudinary.url(uploadResult.public_id, urlOptions);
+    return {
+        success: true,
+        downloadUrl: rendered.downloadUrl,
+        publicId: rendered.publicId,
+        appliedTransformations: transforms,
+        originalWidth: rendered.original.width,
+        originalHeight: rendered.original.height,
+        originalSize: rendered.original.bytes,
+        output: rendered.output,
+        engine: IMAGE_ENGINE
+    };
+}, 'Failed to transform image'));
 
-        res.json({
-            success: true,
-            downloadUrl: transformedUrl,
-            publicId: uploadResult.public_id,
-            appliedTransformations: transforms,
-            originalWidth: uploadResult.width,
-            originalHeight: uploadResult.height
-        });
+/**
+ * POST /api/images/batch
+ * Apply one set of transformations (same format as /transform) to several images.
+ * Always rendered locally so every output can be bundled into a single ZIP;
+ * a file that fails is reported in its result entry without failing the batch
+ */
+router.post('/batch', uploadLimiter, uploadImage.array('files', MAX_FILES_PER_REQUEST), handleMulterError, processRequest('images.batch', async (req, job) => {
+    if (!req.files || req.files.length === 0) {
+        throw createHttpError(400, 'No files uploaded');
+    }
 
-    } catch (error) {
-        console.error('Transformation error:', error);
-        res.status(500).json({ error: 'Failed to transform image', details: error.message });
+    const { transforms, transformationArray, format } = parseTransformations(req.body.transformations);
+    const total = req.files.length;
+    const results = [];
+    const zipEntries = [];
+    const usedNames = new Set();
+
+    for (const [index, file] of req.files.entries()) {
+        job.progress(5 + (index / total) * 80, 'processing', { current: index + 1, total });
+
+        try {
+            const output = await processImage(file.buffer, transformationArray, { format });
+            const extension = formatToExtension(output.format);
+            const fileName = uniqueName(`${path.parse(file.originalname).name}.${extension}`, usedNames);
+            const uploadResult = await storeOutput(output);
+
+            zipEntries.push({ name: fileName, buffer: output.buffer });
+            results.push({
+                fileName: file.originalname,
+                outputName: fileName,
+                success: true,
+                downloadUrl: uploadResult.url,
+                publicId: uploadResult.publicId,
+                originalSize: file.size,
+                size: output.bytes,
+                width: output.width,
+                height: output.height,
+                format: extension
+            });
+        } catch (error) {
+            console.error(`Batch item ${file.originalname} failed:`, error.message);
+            results.push({
+                fileName: file.originalname,
+                success: false,
+                error: 'Failed to process image',
+                details: error.message
+            });
+        }
     }
-});
+
+    if (zipEntries.length === 0) {
+        throw createHttpError(422, 'None of the images could be processed', { results });
+    }
+
+    job.progress(90, 'storing');
+    const zipBuffer = await createZip(zipEntries);
+    const zipUpload = await storage.upload(zipBuffer, {
+        resourceType: 'raw',
+        format: 'zip',
+        publicId: `images_${Date.now()}`,
+        contentType: 'application/zip'
+    });
+
+    return {
+        success: true,
+        processed: zipEntries.length,
+        failed: total - zipEntries.length,
+        appliedTransformations: transforms,
+        results,
+        zip: {
+            downloadUrl: zipUpload.url,
+            publicId: zipUpload.publicId,
+            size: zipBuffer.length
+        }
+    };
+}, 'Failed to process images'));
 
 /**
  * GET /api/images/preview/:publicId
  * Generate preview URL with transformations
+ * (the local engine has no lazy transformations: the stored file is returned as-is)
  */
 router.get('/preview/:publicId', (req, res) => {
     try {
@@ -272,9 +423,8 @@ router.get('/preview/:publicId', (req, res) => {
 
         transformationArray.push({ quality: 'auto:low' }); // Lower quality for preview
 
-        const previewUrl = cloudinary.url(publicId, {
-            transformation: transformationArray,
-            secure: true
+        const previewUrl = storage.getUrl(publicId, {
+            transformation: transformationArray
         });
 
         res.json({ previewUrl });
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const { getJob, subscribeToJob } = require('../services/jobs');
+
+// How long an events stream waits for a job that has not started yet
+const EVENTS_WAIT_MS = 5 * 60 * 1000;
+const KEEP_ALIVE_MS = 15000;
+
+const isFinished = (job) => job.status === 'succeeded' || job.status === 'failed';
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a background job
+ * Status: queued, running, succeeded (result holds the response payload) or failed (error)
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found or expired' });
+        }
+
+        res.json({ success: true, ...job });
+    } catch (error) {
+        console.error('Job status error:', error);
+        res.status(500).json({ error: 'Failed to get job status', details: error.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-sent events stream of a job's progress
+ * Sends a `progress` event per update and a final `done` event, then closes.
+ * The ID may belong to a job that has not been created yet (a client-chosen
+ * progressId whose upload is still in flight); the stream waits for it.
+ */
+router.get('/:id/events', async (req, res) => {
+    const { id } = req.params;
+
+    let job;
+    try {
+        job = await getJob(id);
+    } catch (error) {
+        console.error('Job events error:', error);
+        return res.status(500).json({ error: 'Failed to get job status', details: error.message });
+    }
+
+    if (!job && !isUuid(id)) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let unsubscribe = () => {};
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    const waitTimeout = setTimeout(() => {
+        send('error', { error: 'Job not found or expired' });
+        close();
+    }, EVENTS_WAIT_MS);
+
+    const close = () => {
+        clearInterval(keepAlive);
+        clearTimeout(waitTimeout);
+        unsubscribe();
+        res.end();
+    };
+
+    const handleUpdate = (status) => {
+        clearTimeout(waitTimeout);
+        send('progress', status);
+        if (isFinished(status)) {
+            send('done', status);
+            close();
+        }
+    };
+
+    unsubscribe = subscribeToJob(id, handleUpdate);
+    req.on('close', close);
+
+    if (job) handleUpdate(job);
+});
+
+module.exports = router;
@@ -1,265 +1,1677 @@
+const path = require('path');
 const express = require('express');
 const router = express.Router();
-const { uploadPdf, handleMulterError } = require('../middleware/validation');
+const {
+    uploadPdf,
+    uploadImage,
+    uploadAny,
+    handleMulterError,
+    createHttpError,
+    ALLOWED_IMAGE_TYPES,
+    ALLOWED_PDF_TYPES,
+    MAX_FILES_PER_REQUEST
+} = require('../middleware/validation');
+const { processRequest } = require('../middleware/jobs');
 const { uploadLimiter } = require('../middleware/rateLimiter');
-const { uploadToCloudinary, cloudinary } = require('../config/cloudinary');
-const { mergePdfs, splitPdf, reorderPdfPages, getPdfInfo } = require('../services/pdfProcessor');
+const storage = require('../services/storage');
+const {
+    mergePdfs,
+    splitPdf,
+    reorderPdfPages,
+    rotatePdfPages,
+    editPdfPages,
+    normalizePdfPages,
+    imposePdf,
+    getPdfInfo,
+    readPdfMetadata,
+    writePdfMetadata,
+    listFormFields,
+    fillFormFields,
+    parsePageRangeStrict,
+    imagesToPdf,
+    ROTATION_ANGLES,
+    PAGE_OPERATIONS,
+    SPLIT_MODES,
+    IMAGE_PAGE_SIZES,
+    IMAGE_FIT_MODES,
+    IMAGE_ORIENTATIONS,
+    IMPOSITION_LAYOUTS,
+    IMPOSITION_GRIDS,
+    IMPOSITION_SHEET_SIZES,
+    IMPOSITION_ORDERS,
+    NORMALIZE_PAGE_SIZES,
+    NORMALIZE_MODES,
+    MARGIN_BOXES,
+    METADATA_FIELDS,
+    METADATA_DATE_FIELDS
+} = require('../services/pdfProcessor');
+const { rasterizePdf, normalizeRasterFormat, MIN_DPI, MAX_DPI } = require('../services/pdfRasterizer');
+const {
+    watermarkPdf,
+    addPageNumbers,
+    parseHexColor,
+    WATERMARK_POSITIONS,
+    STAMP_FONTS,
+    TEXT_ALIGNMENTS
+} = require('../services/pdfStamper');
+const { inspectPdf } = require('../services/pdfInspector');
+const { decryptPdf, encryptPdf, PERMISSIONS, ENCRYPTION_ALGORITHMS } = require('../services/pdfSecurity');
+const { optimizePdf, OPTIMIZE_PROFILES } = require('../services/pdfOptimizer');
+const { createZip } = require('../services/zip');
 
-// Cloudinary PDF compression limitations
-const MAX_PDF_PAGES_FOR_COMPRESSION = 10;
-const MAX_PDF_SIZE_FOR_COMPRESSION = 5 * 1024 * 1024; // 5MB
+// Largest margin accepted by /from-images, /page-numbers and /impose (also its gutter), in millimetres
+const MAX_IMAGE_MARGIN_MM = 50;
+
+// Largest header/footer template accepted, in characters
+const MAX_TEMPLATE_LENGTH = 200;
+
+// Longest document property value accepted, in characters
+const MAX_METADATA_LENGTH = 1000;
+// Longest bookmark title accepted for merged files
+const MAX_BOOKMARK_LENGTH = 200;
+// Largest margin /normalize removes or adds on one side, in millimetres
+const MAX_PAGE_MARGIN_MM = 100;
+// Revision 6 encryption uses at most 127 bytes of a password
+const MAX_PASSWORD_LENGTH = 127;
+
+// Language tags such as "en", "en-US" or "zh-Hant-TW"
+const LANGUAGE_TAG = /^[a-z]{1,8}(-[a-z0-9]{1,8})*$/i;
+
+// Resolution of page previews (stamping tools), in dots per inch
+const PREVIEW_DPI = 60;
+
+// Ways to deliver multi-file results: each file stored separately, one ZIP, or both
+const OUTPUT_MODES = ['files', 'zip', 'both'];
+
+// Smallest and largest part size of a split by size, in megabytes
+const MIN_SPLIT_SIZE_MB = 0.1;
+const MAX_SPLIT_SIZE_MB = 100;
 
 /**
- * POST /api/pdf/compress
- * Compress a PDF using Cloudinary (limited to ≤10 pages and ≤5MB)
+ * Text reduced to characters safe in download names
+ * @param {string} text - Any text, e.g. a file name or bookmark title
+ * @returns {string} Safe text (may be empty)
+ */
+const safeFileName = (text) => text.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * File name without extension, reduced to characters safe in download names
+ * @param {string} originalName - Uploaded file name
+ * @returns {string} Base name (falls back to "document")
+ */
+const baseFileName = (originalName = '') => safeFileName(path.parse(originalName).name) || 'document';
+
+/**
+ * Resolve an optional page range strictly (all pages when omitted)
+ * @param {string} pages - Page range string from the request
+ * @param {number} totalPages - Page count of the PDF
+ * @returns {number[]} 0-based page indices
+ */
+const resolvePages = (pages, totalPages) => {
+    if (!pages || !String(pages).trim()) {
+        return [...Array(totalPages).keys()];
+    }
+    try {
+        return parsePageRangeStrict(pages, totalPages);
+    } catch (error) {
+        throw createHttpError(400, error.message, { totalPages });
+    }
+};
+
+/**
+ * Parse an optional numeric field within bounds
+ * @param {string|number} value - Raw value (default used when empty)
+ * @param {string} name - Field name used in the error message
+ * @param {Object} bounds - { min, max, fallback }
+ * @returns {number} Parsed value
+ */
+const parseNumberField = (value, name, { min, max, fallback }) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw createHttpError(400, `${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+};
+
+/**
+ * Render one page of a PDF as a small PNG data URL, for previews
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {number} pageIndex - 0-based page index
+ * @returns {Promise<string>} data:image/png;base64 URL
+ */
+const renderPreview = async (pdfBuffer, pageIndex) => {
+    const [page] = await rasterizePdf(pdfBuffer, { pages: [pageIndex], dpi: PREVIEW_DPI, format: 'png' });
+    return `data:image/png;base64,${page.buffer.toString('base64')}`;
+};
+
+/**
+ * Decrypt an uploaded PDF when it is encrypted (see decryptPdf)
+ * Password problems become 400 errors with a code clients can act on:
+ * PDF_ENCRYPTED (ask for the password), PDF_PASSWORD_INCORRECT or PDF_ENCRYPTION_UNSUPPORTED.
+ * Restrictions lifted without the owner password are reported as a
+ * PDF_RESTRICTIONS_REMOVED notice on the job
+ * @param {Object} file - Multer file
+ * @param {string} password - Password sent with the request (optional)
+ * @param {Object} job - Job context
+ * @returns {Promise<Buffer>} Unencrypted PDF buffer
+ */
+const unlockPdf = async (file, password, job) => {
+    try {
+        const { buffer, restrictionsRemoved } = await decryptPdf(file.buffer, password || '');
+        if (restrictionsRemoved.length > 0) {
+            job.notice(
+                'PDF_RESTRICTIONS_REMOVED',
+                `The restrictions of ${file.originalname} (${restrictionsRemoved.join(', ')}) were removed; send its owner password to confirm`,
+                { fileName: file.originalname, permissions: restrictionsRemoved }
+            );
+        }
+        return buffer;
+    } catch (error) {
+        if (['PDF_ENCRYPTED', 'PDF_PASSWORD_INCORRECT', 'PDF_ENCRYPTION_UNSUPPORTED'].includes(error.code)) {
+            throw createHttpError(400, error.message, { code: error.code, fileName: file.originalname });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Parse password protection options
+ * @param {Object} source - Request body of /protect, or the parsed `protection` JSON of other routes
+ * @returns {Object} encryptPdf options
+ */
+const parseProtection = (source) => {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw createHttpError(400, 'Protection must be an object', {
+            format: '{ "userPassword": "...", "ownerPassword": "...", "permissions": { "print": false, "copy": false } }'
+        });
+    }
+
+    const { userPassword = '', ownerPassword = '', encryption = 'aes-256' } = source;
+    let { permissions = {} } = source;
+
+    if (!ENCRYPTION_ALGORITHMS.includes(encryption)) {
+        throw createHttpError(400, `Invalid encryption. Allowed: ${ENCRYPTION_ALGORITHMS.join(', ')}`);
+    }
+
+    for (const [name, password] of Object.entries({ userPassword, ownerPassword })) {
+        if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+            throw createHttpError(400, `${name} must be text of at most ${MAX_PASSWORD_LENGTH} characters`);
+        }
+        // AES-128 readers only understand Latin-1 passwords
+        if (encryption === 'aes-128' && /[^\x20-\xff]/.test(password)) {
+            throw createHttpError(400, `${name} may only contain Latin-1 characters with aes-128 encryption`);
+        }
+    }
+
+    if (typeof permissions === 'string') {
+        try {
+            permissions = JSON.parse(permissions);
+        } catch (e) {
+            permissions = null;
+        }
+    }
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)
+        || Object.entries(permissions).some(([name, value]) => !PERMISSIONS[name] || typeof value !== 'boolean')) {
+        throw createHttpError(400, 'permissions must be an object of true/false flags', {
+            allowedPermissions: Object.keys(PERMISSIONS)
+        });
+    }
+
+    const restricted = Object.values(permissions).includes(false);
+    if (!userPassword && !restricted) {
+        throw createHttpError(400, 'Set a user password or withhold at least one permission');
+    }
+    if (userPassword && userPassword === ownerPassword && restricted) {
+        throw createHttpError(400, 'The owner password must differ from the user password, or anyone who can open the file can lift the restrictions');
+    }
+
+    return { userPassword, ownerPassword, permissions, algorithm: encryption };
+};
+
+/**
+ * Read the optional `protection` JSON field of routes that produce PDFs
+ * @param {Object} body - Request body
+ * @returns {Object|null} encryptPdf options, or null when the output is not protected
  */
-router.post('/compress', uploadLimiter, uploadPdf.single('file'), handleMulterError, async (req, res) => {
+const readProtection = (body) => {
+    if (!body.protection) return null;
+
+    let source;
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        source = JSON.parse(body.protection);
+    } catch (e) {
+        throw createHttpError(400, 'Invalid protection JSON');
+    }
+    return parseProtection(source);
+};
+
+/**
+ * Parse document properties from a request
+ * Only fields present in the source are returned; an empty value clears the property
+ * @param {Object} source - Request body, or the parsed `metadata` JSON of a merge request
+ * @returns {Object} Properties keyed by METADATA_FIELDS (dates as Date objects)
+ */
+const parseMetadata = (source) => {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw createHttpError(400, 'Metadata must be an object', { allowedFields: METADATA_FIELDS });
+    }
+
+    const metadata = {};
+    for (const field of METADATA_FIELDS) {
+        if (source[field] === undefined) continue;
+
+        const value = source[field] === null ? '' : String(source[field]).trim();
+        if (value.length > MAX_METADATA_LENGTH) {
+            throw createHttpError(400, `${field} must be at most ${MAX_METADATA_LENGTH} characters`);
+        }
+
+        if (!value) {
+            metadata[field] = null;
+        } else if (METADATA_DATE_FIELDS.includes(field)) {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw createHttpError(400, `${field} must be a date such as 2024-05-01T12:00:00Z`);
+            }
+            metadata[field] = date;
+        } else if (field === 'language' && !LANGUAGE_TAG.test(value)) {
+            throw createHttpError(400, 'language must be a language tag such as en or en-US');
+        } else {
+            metadata[field] = value;
         }
+    }
+    return metadata;
+};
 
-        const originalSize = req.file.size;
+/**
+ * Parse page size and margin options
+ * @param {Object} source - Request body of /normalize, or the parsed `normalize` JSON of a merge request
+ * @returns {Object} normalizePdfPages options
+ */
+const parseNormalize = (source) => {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw createHttpError(400, 'Normalize options must be an object');
+    }
 
-        // Check Cloudinary limitations
-        if (originalSize > MAX_PDF_SIZE_FOR_COMPRESSION) {
-            return res.status(400).json({
-                error: 'PDF too large for Cloudinary compression',
-                limitation: `Maximum file size is ${MAX_PDF_SIZE_FOR_COMPRESSION / (1024 * 1024)}MB`,
-                suggestion: 'Consider splitting the PDF first or using a different compression tool'
+    const { size, orientation = 'auto', mode = 'fit', box = 'crop' } = source;
+    if (size !== undefined && size !== '' && !NORMALIZE_PAGE_SIZES[size]) {
+        throw createHttpError(400, `Invalid size. Allowed: ${Object.keys(NORMALIZE_PAGE_SIZES).join(', ')}`);
+    }
+    if (!IMAGE_ORIENTATIONS.includes(orientation)) {
+        throw createHttpError(400, `Invalid orientation. Allowed: ${IMAGE_ORIENTATIONS.join(', ')}`);
+    }
+    if (!NORMALIZE_MODES.includes(mode)) {
+        throw createHttpError(400, `Invalid mode. Allowed: ${NORMALIZE_MODES.join(', ')}`);
+    }
+    if (!MARGIN_BOXES.includes(box)) {
+        throw createHttpError(400, `Invalid box. Allowed: ${MARGIN_BOXES.join(', ')}`);
+    }
+
+    let { margins } = source;
+    if (typeof margins === 'string' && margins !== '') {
+        try {
+            margins = JSON.parse(margins);
+        } catch (e) {
+            throw createHttpError(400, 'Invalid margins format');
+        }
+    }
+    if (margins !== undefined && margins !== '' && margins !== null) {
+        if (typeof margins !== 'object' || Array.isArray(margins)) {
+            throw createHttpError(400, 'margins must be an object like {"top":10,"bottom":10}');
+        }
+        margins = Object.fromEntries(['top', 'right', 'bottom', 'left'].map(side => [side,
+            parseNumberField(margins[side], `margins.${side}`, { min: -MAX_PAGE_MARGIN_MM, max: MAX_PAGE_MARGIN_MM, fallback: 0 })
+        ]));
+    } else {
+        margins = null;
+    }
+
+    if (!size && !margins) {
+        throw createHttpError(400, 'A page size or margins are required');
+    }
+
+    return { size: size || null, orientation, mode, margins, box };
+};
+
+/**
+ * Parse requested page rotations
+ * Accepts `rotations` as JSON ([{ "pages": "1-3", "angle": 90 }, ...]) or the
+ * `pages` + `angle` shorthand for a single entry; pages use the parsePageRange grammar and
+ * must all exist
+ * @param {Object} body - Request body
+ * @param {number} totalPages - Page count of the PDF
+ * @returns {{pages: number[], angle: number}[]} Rotations with 0-based page indices
+ */
+const parseRotations = (body, totalPages) => {
+    let entries = body.rotations;
+
+    if (typeof entries === 'string') {
+        try {
+            entries = JSON.parse(entries);
+        } catch (e) {
+            throw createHttpError(400, 'Invalid rotations format', {
+                format: 'JSON array like [{ "pages": "1-3", "angle": 90 }]'
             });
         }
+    }
+
+    if (entries === undefined && body.angle !== undefined) {
+        entries = [{ pages: body.pages || `1-${totalPages}`, angle: body.angle }];
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw createHttpError(400, 'Rotations required', {
+            format: 'rotations as JSON array like [{ "pages": "1-3", "angle": 90 }], or pages and angle',
+            allowedAngles: ROTATION_ANGLES
+        });
+    }
 
-        // Get PDF info
-        const pdfInfo = await getPdfInfo(req.file.buffer);
+    return entries.map((entry, index) => {
+        const angle = parseInt(entry?.angle);
+        if (!ROTATION_ANGLES.includes(angle)) {
+            throw createHttpError(400, `Invalid angle in rotation ${index + 1}`, { allowedAngles: ROTATION_ANGLES });
+        }
 
-        if (pdfInfo.pageCount > MAX_PDF_PAGES_FOR_COMPRESSION) {
-            return res.status(400).json({
-                error: 'PDF has too many pages for Cloudinary compression',
-                limitation: `Maximum ${MAX_PDF_PAGES_FOR_COMPRESSION} pages supported`,
-                pageCount: pdfInfo.pageCount,
-                suggestion: 'Consider splitting the PDF first'
+        let pages;
+        try {
+            pages = parsePageRangeStrict(entry.pages, totalPages);
+        } catch (error) {
+            throw createHttpError(400, `Invalid pages in rotation ${index + 1}: ${error.message}`, {
+                code: error.code,
+                rotation: index + 1,
+                totalPages
             });
         }
 
-        // Upload to Cloudinary
-        const uploadResult = await uploadToCloudinary(req.file.buffer, {
-            resourceType: 'image', // PDFs are treated as images for optimization
-            format: 'pdf'
+        return { pages, angle };
+    });
+};
+
+/**
+ * Store multi-file results as requested by `output` (see OUTPUT_MODES)
+ * @param {Object[]} files - { fileName, buffer, ...fields }; extra fields are kept in the result
+ * @param {string} output - files, zip or both
+ * @param {Object} job - Job context used to report progress
+ * @param {Object} options - { resourceType, format, contentType, publicIdPrefix, zipName }
+ * @returns {Promise<{files: Object[], zip: Object|undefined}>} File descriptors (with downloadUrl
+ * unless output is "zip") and the stored ZIP
+ */
+const deliverFiles = async (files, output, job, options) => {
+    const { resourceType, format, contentType, publicIdPrefix, zipName } = options;
+    const timestamp = Date.now();
+
+    const descriptors = files.map(({ buffer, ...fields }) => ({ ...fields, size: buffer.length }));
+
+    // Upload each file to storage
+    if (output !== 'zip') {
+        job.progress(60, 'storing', { current: 0, total: files.length });
+        let uploadedCount = 0;
+        await Promise.all(files.map(async (file, index) => {
+            const uploadResult = await storage.upload(file.buffer, {
+                resourceType,
+                format,
+                contentType,
+                publicId: `${publicIdPrefix}_${timestamp}_part${index + 1}`
+            });
+
+            uploadedCount++;
+            job.progress(60 + (uploadedCount / files.length) * 30, 'storing', {
+                current: uploadedCount,
+                total: files.length
+            });
+
+            descriptors[index].downloadUrl = uploadResult.url;
+            descriptors[index].publicId = uploadResult.publicId;
+        }));
+    }
+
+    // Bundle all files into one archive
+    let zip;
+    if (output !== 'files') {
+        job.progress(90, 'storing');
+        const zipBuffer = await createZip(files.map(file => ({ name: file.fileName, buffer: file.buffer })));
+        const zipUpload = await storage.upload(zipBuffer, {
+            resourceType: 'raw',
+            format: 'zip',
+            publicId: `${publicIdPrefix}_${timestamp}`,
+            contentType: 'application/zip'
         });
+        zip = {
+            fileName: zipName,
+            downloadUrl: zipUpload.url,
+            publicId: zipUpload.publicId,
+            size: zipBuffer.length
+        };
+    }
 
-        // Generate optimized URL
-        const compressedUrl = cloudinary.url(uploadResult.public_id, {
-            transformation: [{ quality: 'auto' }],
-            format: 'pdf',
-            secure: true
+    return { files: descriptors, zip };
+};
+
+/**
+ * POST /api/pdf/compress
+ * Compress a PDF locally: downsample and re-encode images, share identical resources,
+ * drop unused objects and pack the rest into object streams
+ * Optional profile: screen, ebook (default), print, or all to compare the three
+ * Sizes and savings are measured against the unlocked input; for encrypted uploads
+ * uploadedSize is the size of the file as sent
+ */
+router.post('/compress', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.compress', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    const { profile = 'ebook' } = req.body;
+    const profileNames = Object.keys(OPTIMIZE_PROFILES);
+    if (profile !== 'all' && !profileNames.includes(profile)) {
+        throw createHttpError(400, `Invalid profile. Allowed: ${profileNames.join(', ')}, all`);
+    }
+    const profiles = profile === 'all' ? profileNames : [profile];
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const pdfInfo = await getPdfInfo(pdfBuffer);
+    // Savings are measured against the unlocked file, which is also what "unchanged" returns;
+    // decrypting alone changes the size, so the uploaded size is reported separately
+    const originalSize = pdfBuffer.length;
+    const decrypted = pdfBuffer !== req.file.buffer;
+
+    const results = [];
+    for (const [index, name] of profiles.entries()) {
+        const start = 10 + (index * 85) / profiles.length;
+        const span = 85 / profiles.length;
+
+        const optimized = await optimizePdf(pdfBuffer, name, (done, total) => {
+            job.progress(Math.round(start + (done / total) * span * 0.8), 'processing', { current: done, total });
         });
+        // Files that were already as small as they get are returned as they are (unlocked)
+        const unchanged = optimized.buffer.length >= pdfBuffer.length;
+        const buffer = unchanged ? pdfBuffer : optimized.buffer;
 
-        res.json({
-            success: true,
-            originalSize,
-            pageCount: pdfInfo.pageCount,
-            downloadUrl: compressedUrl,
-            publicId: uploadResult.public_id,
-            note: 'Actual compression ratio depends on PDF content (images compress better than text)'
+        job.progress(Math.round(start + span * 0.9), 'storing');
+        const uploadResult = await storage.upload(buffer, {
+            resourceType: 'raw',
+            format: 'pdf',
+            publicId: `compressed_${name}_${Date.now()}`
         });
 
-    } catch (error) {
-        console.error('PDF compression error:', error);
-        res.status(500).json({ error: 'Failed to compress PDF', details: error.message });
+        results.push({
+            profile: name,
+            size: buffer.length,
+            savedBytes: originalSize - buffer.length,
+            savedPercent: Math.round(((originalSize - buffer.length) / originalSize) * 1000) / 10,
+            images: optimized.images,
+            imagesRecompressed: unchanged ? 0 : optimized.imagesRecompressed,
+            duplicatesRemoved: unchanged ? 0 : optimized.duplicatesRemoved,
+            unusedRemoved: unchanged ? 0 : optimized.unusedRemoved,
+            downloadUrl: uploadResult.url,
+            publicId: uploadResult.publicId
+        });
     }
-});
+
+    return {
+        success: true,
+        originalSize,
+        ...(decrypted && { uploadedSize: req.file.size, decrypted }),
+        pageCount: pdfInfo.pageCount,
+        profile,
+        results,
+        // The (first) result is also kept at the top level for existing clients
+        compressedSize: results[0].size,
+        downloadUrl: results[0].downloadUrl,
+        publicId: results[0].publicId
+    };
+}, 'Failed to compress PDF'));
 
 /**
  * POST /api/pdf/merge
  * Merge multiple PDFs into one (server-side processing with pdf-lib)
+ * Optional metadata: JSON document properties for the result (e.g., {"title":"Q3 Report","author":"Finance"})
+ * Optional protection: JSON password protection for the result (same fields as /protect)
+ * Optional bookmarks=true: a bookmark per file (titled with its file name, or bookmarkLabels[i]),
+ * with the file's own bookmarks nested under it
+ * Optional normalize: JSON page size and margins for every page (same fields as /normalize)
+ * Optional pageRanges: JSON array with one page range per file, in file order (e.g. ["1-3,5", "", "4,2"]);
+ * pages are taken in the order written (repeats allowed), empty entries take every page
+ * Optional interleave=true (exactly 2 files): alternate the pages of the two files, e.g. the odd and even
+ * pages of a double-sided scan; reverseSecond=true takes the second file's pages last to first
  */
-router.post('/merge', uploadLimiter, uploadPdf.array('files', 10), handleMulterError, async (req, res) => {
-    try {
-        if (!req.files || req.files.length < 2) {
-            return res.status(400).json({ error: 'At least 2 PDF files are required for merging' });
+router.post('/merge', uploadLimiter, uploadPdf.array('files', 10), handleMulterError, processRequest('pdf.merge', async (req, job) => {
+    if (!req.files || req.files.length < 2) {
+        throw createHttpError(400, 'At least 2 PDF files are required for merging');
+    }
+
+    // Per-file passwords (JSON array in upload order), or one password for every file
+    let passwords = [];
+    if (req.body.passwords) {
+        try {
+            passwords = JSON.parse(req.body.passwords);
+        } catch (e) {
+            passwords = null;
+        }
+        if (!Array.isArray(passwords)) {
+            throw createHttpError(400, 'passwords must be a JSON array with one entry per file');
         }
+    }
 
-        // Get file buffers
-        const pdfBuffers = req.files.map(file => file.buffer);
+    // Optional password protection for the merged PDF
+    const protection = readProtection(req.body);
 
-        // Merge PDFs using pdf-lib
-        const mergedBuffer = await mergePdfs(pdfBuffers);
+    // Get file buffers, decrypting protected files
+    job.progress(5, 'parsing');
+    const pdfBuffers = [];
+    for (const [index, file] of req.files.entries()) {
+        pdfBuffers.push(await unlockPdf(file, passwords[index] || req.body.password, job));
+    }
 
-        // Get merged PDF info
-        const mergedInfo = await getPdfInfo(mergedBuffer);
+    // Optional document properties for the merged PDF
+    let metadata;
+    if (req.body.metadata) {
+        try {
+            metadata = parseMetadata(JSON.parse(req.body.metadata));
+        } catch (error) {
+            if (error.status) throw error;
+            throw createHttpError(400, 'Invalid metadata JSON', { allowedFields: METADATA_FIELDS });
+        }
+    }
 
-        // Upload merged PDF to Cloudinary
-        const uploadResult = await uploadToCloudinary(mergedBuffer, {
-            resourceType: 'raw',
-            format: 'pdf',
-            public_id: `merged_${Date.now()}`
-        });
+    // Optional bookmark per file: its label (JSON array in file order) or its file name
+    let bookmarks;
+    if (req.body.bookmarks === true || req.body.bookmarks === 'true' || req.body.bookmarkLabels) {
+        let labels = [];
+        if (req.body.bookmarkLabels) {
+            try {
+                labels = JSON.parse(req.body.bookmarkLabels);
+            } catch (e) {
+                labels = null;
+            }
+        }
+        if (!Array.isArray(labels) || labels.some(label => label !== null && typeof label !== 'string')) {
+            throw createHttpError(400, 'bookmarkLabels must be a JSON array of titles in file order');
+        }
+        if (labels.some(label => label && label.length > MAX_BOOKMARK_LENGTH)) {
+            throw createHttpError(400, `Bookmark titles must be at most ${MAX_BOOKMARK_LENGTH} characters`);
+        }
+        bookmarks = req.files.map((file, index) => labels[index]?.trim() || path.parse(file.originalname).name || `File ${index + 1}`);
+    }
 
-        res.json({
-            success: true,
-            pageCount: mergedInfo.pageCount,
-            filesCount: req.files.length,
-            downloadUrl: uploadResult.secure_url,
-            publicId: uploadResult.public_id,
-            size: mergedBuffer.length
-        });
+    // Optional pages to take from each file (JSON array in file order)
+    let pageRanges;
+    if (req.body.pageRanges) {
+        try {
+            pageRanges = JSON.parse(req.body.pageRanges);
+        } catch (e) {
+            pageRanges = null;
+        }
+        if (!Array.isArray(pageRanges) || pageRanges.some(range => range !== null && typeof range !== 'string')) {
+            throw createHttpError(400, 'pageRanges must be a JSON array of page ranges in file order (e.g. ["1-3,5", ""])');
+        }
+        if (pageRanges.length !== req.files.length) {
+            throw createHttpError(400, `pageRanges must have one entry per file (${req.files.length}), empty for every page`);
+        }
+    }
+
+    const interleave = req.body.interleave === true || req.body.interleave === 'true';
+    const reverseSecond = req.body.reverseSecond === true || req.body.reverseSecond === 'true';
+    if (interleave && req.files.length !== 2) {
+        throw createHttpError(400, 'Interleaving needs exactly 2 PDF files');
+    }
+    if (reverseSecond && !interleave) {
+        throw createHttpError(400, 'reverseSecond only applies when interleaving');
+    }
+
+    // Optional page size and margins for every merged page
+    let normalize;
+    if (req.body.normalize) {
+        try {
+            normalize = parseNormalize(JSON.parse(req.body.normalize));
+        } catch (error) {
+            if (error.status) throw error;
+            throw createHttpError(400, 'Invalid normalize JSON');
+        }
+    }
 
+    // Merge PDFs using pdf-lib
+    let mergedBuffer;
+    try {
+        mergedBuffer = await mergePdfs(pdfBuffers, (current, total) => {
+            job.progress(10 + (current / total) * 70, 'processing', { current, total });
+        }, { metadata, bookmarks, normalize, pageRanges, interleave, reverseSecond });
     } catch (error) {
-        console.error('PDF merge error:', error);
-        res.status(500).json({ error: 'Failed to merge PDFs', details: error.message });
+        if (error.code === 'INVALID_PAGE_RANGE') {
+            const fileName = req.files[error.fileIndex].originalname;
+            throw createHttpError(400, `${fileName}: ${error.message}`, { code: error.code, fileName });
+        }
+        if (error.code === 'INVALID_MARGINS') {
+            throw createHttpError(400, error.message, { code: error.code });
+        }
+        throw error;
+    }
+
+    // Get merged PDF info
+    const mergedInfo = await getPdfInfo(mergedBuffer);
+
+    if (protection) {
+        mergedBuffer = await encryptPdf(mergedBuffer, protection);
     }
-});
+
+    // Upload merged PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(mergedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `merged_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        pageCount: mergedInfo.pageCount,
+        filesCount: req.files.length,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: mergedBuffer.length
+    };
+}, 'Failed to merge PDFs'));
 
 /**
  * POST /api/pdf/split
- * Split a PDF by specified page ranges (server-side processing with pdf-lib)
- * Page ranges format: "1-3;5;7-10" creates 3 separate PDFs
+ * Split a PDF into several PDFs (server-side processing with pdf-lib)
+ * mode (see SPLIT_MODES):
+ * - ranges (default): pages like "1-3;5;7-10" creates 3 separate PDFs
+ * - every: parts of `every` pages
+ * - size: consecutive parts of at most `maxSizeMb` megabytes (a larger single page becomes its own part)
+ * - odd-even: the odd pages, then the even pages
+ * - pages: one PDF per page
+ * - bookmarks: one PDF per top-level bookmark, with its bookmarks
+ * output: "files" (default) uploads each part, "zip" returns one ZIP of all parts, "both" does both;
+ * parts are named after the original file and their pages (report.pdf, "1-3" => report_p1-3.pdf),
+ * odd/even (report_odd.pdf) or bookmark (report_02_Introduction.pdf)
+ * Optional protection: JSON password protection applied to every part (same fields as /protect)
  */
-router.post('/split', uploadLimiter, uploadPdf.single('file'), handleMulterError, async (req, res) => {
+router.post('/split', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.split', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    const { mode = 'ranges', pages, output = 'files' } = req.body;
+
+    if (!SPLIT_MODES.includes(mode)) {
+        throw createHttpError(400, `Invalid mode. Allowed: ${SPLIT_MODES.join(', ')}`);
+    }
+    if (!OUTPUT_MODES.includes(output)) {
+        throw createHttpError(400, `Invalid output. Allowed: ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    const protection = readProtection(req.body);
+
+    if (mode === 'ranges' && !pages) {
+        throw createHttpError(400, 'Page ranges required', {
+            format: 'Use format like "1-3;5;7-10" to create multiple PDFs',
+            example: '"1-5" for single PDF with pages 1-5, "1-3;4-6" for two separate PDFs'
+        });
+    }
+    if (mode === 'every' && !req.body.every) {
+        throw createHttpError(400, 'every (pages per part) required');
+    }
+    if (mode === 'size' && !req.body.maxSizeMb) {
+        throw createHttpError(400, 'maxSizeMb (largest part size) required');
+    }
+
+    const every = Math.round(parseNumberField(req.body.every, 'every', { min: 1, max: 10000, fallback: 1 }));
+    const maxSizeMb = parseNumberField(req.body.maxSizeMb, 'maxSizeMb', {
+        min: MIN_SPLIT_SIZE_MB,
+        max: MAX_SPLIT_SIZE_MB,
+        fallback: MAX_SPLIT_SIZE_MB
+    });
+
+    // Get original PDF info
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+
+    // Split PDF
+    let splitResults;
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        splitResults = await splitPdf(pdfBuffer, { mode, pages, every, maxSize: maxSizeMb * 1024 * 1024 }, (current, total) => {
+            job.progress(10 + (current / total) * 50, 'processing', { current, total });
+        });
+    } catch (error) {
+        if (error.code === 'NO_BOOKMARKS') {
+            throw createHttpError(400, error.message, { code: error.code });
         }
+        throw error;
+    }
 
-        const { pages } = req.body;
+    if (splitResults.length === 0) {
+        throw createHttpError(400, 'No valid pages specified');
+    }
 
-        if (!pages) {
-            return res.status(400).json({
-                error: 'Page ranges required',
-                format: 'Use format like "1-3;5;7-10" to create multiple PDFs',
-                example: '"1-5" for single PDF with pages 1-5, "1-3;4-6" for two separate PDFs'
-            });
+    // Each part is protected on its own
+    if (protection) {
+        for (const result of splitResults) {
+            result.buffer = await encryptPdf(result.buffer, protection);
         }
+    }
+
+    const baseName = baseFileName(req.file.originalname);
+    const parts = splitResults.map(result => ({
+        ...result,
+        fileName: `${baseName}_${safeFileName(result.name) || 'part'}.pdf`
+    }));
 
-        // Get original PDF info
-        const originalInfo = await getPdfInfo(req.file.buffer);
+    const { files: splitFiles, zip } = await deliverFiles(parts.map(part => ({
+        pages: part.pages,
+        pageCount: part.pageCount,
+        fileName: part.fileName,
+        ...(part.title !== undefined && { title: part.title }),
+        ...(part.oversized && { oversized: true }),
+        buffer: part.buffer
+    })), output, job, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicIdPrefix: 'split',
+        zipName: `${baseName}_split.zip`
+    });
 
-        // Split PDF
-        const splitResults = await splitPdf(req.file.buffer, pages);
+    return {
+        success: true,
+        mode,
+        originalPageCount: originalInfo.pageCount,
+        splitFiles,
+        zip
+    };
+}, 'Failed to split PDF'));
 
-        if (splitResults.length === 0) {
-            return res.status(400).json({ error: 'No valid pages specified' });
+/**
+ * POST /api/pdf/reorder
+ * Reorder pages in a PDF (server-side processing with pdf-lib)
+ * Optional rotations (same format as /rotate, original page numbers) are applied first
+ * Optional protection: JSON password protection for the result (same fields as /protect)
+ */
+router.post('/reorder', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.reorder', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    let { order } = req.body;
+
+    if (!order) {
+        throw createHttpError(400, 'Page order required', {
+            format: 'Array of page numbers in desired order, e.g., [3, 1, 2, 4]'
+        });
+    }
+
+    // Parse order if it's a string
+    if (typeof order === 'string') {
+        try {
+            order = JSON.parse(order);
+        } catch (e) {
+            // Try comma-separated format
+            order = order.split(',').map(n => parseInt(n.trim())).filter(n => !isNaN(n));
         }
+    }
 
-        // Upload each split PDF to Cloudinary
-        const uploadPromises = splitResults.map(async (result, index) => {
-            const uploadResult = await uploadToCloudinary(result.buffer, {
-                resourceType: 'raw',
-                format: 'pdf',
-                public_id: `split_${Date.now()}_part${index + 1}`
-            });
+    if (!Array.isArray(order) || order.length === 0) {
+        throw createHttpError(400, 'Invalid order format');
+    }
+
+    const protection = readProtection(req.body);
 
-            return {
-                pages: result.pages,
-                pageCount: result.pageCount,
-                downloadUrl: uploadResult.secure_url,
-                publicId: uploadResult.public_id,
-                size: result.buffer.length
-            };
+    // Get original PDF info
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+
+    const invalidPages = order.filter(n => !Number.isInteger(n) || n < 1 || n > originalInfo.pageCount);
+    if (invalidPages.length > 0) {
+        throw createHttpError(400, 'Order contains pages that do not exist', {
+            invalidPages,
+            totalPages: originalInfo.pageCount
         });
+    }
 
-        const uploadedFiles = await Promise.all(uploadPromises);
+    // Optional rotations, by original page number, applied before reordering
+    const rotations = req.body.rotations ? parseRotations(req.body, originalInfo.pageCount) : [];
+    const sourceBuffer = rotations.length > 0
+        ? await rotatePdfPages(pdfBuffer, rotations)
+        : pdfBuffer;
 
-        res.json({
-            success: true,
-            originalPageCount: originalInfo.pageCount,
-            splitFiles: uploadedFiles
+    // Reorder pages
+    let reorderedBuffer = await reorderPdfPages(sourceBuffer, order, (current, total) => {
+        job.progress(10 + (current / total) * 70, 'processing', { current, total });
+    });
+    const reorderedInfo = await getPdfInfo(reorderedBuffer);
+
+    if (protection) {
+        reorderedBuffer = await encryptPdf(reorderedBuffer, protection);
+    }
+
+    // Upload reordered PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(reorderedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `reordered_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        originalPageCount: originalInfo.pageCount,
+        newPageCount: reorderedInfo.pageCount,
+        newOrder: order,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: reorderedBuffer.length
+    };
+}, 'Failed to reorder PDF pages'));
+
+/**
+ * POST /api/pdf/pages
+ * Delete, duplicate and insert blank pages; operations run in order and
+ * each one refers to the pages left by the previous ones:
+ * [{ "op": "delete", "pages": "2-4" },
+ *  { "op": "duplicate", "pages": "1", "copies": 2 },
+ *  { "op": "insert-blank", "after": 3, "count": 1, "size": "a4", "orientation": "portrait" }]
+ */
+router.post('/pages', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.pages', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    let { operations } = req.body;
+
+    if (typeof operations === 'string') {
+        try {
+            operations = JSON.parse(operations);
+        } catch (e) {
+            throw createHttpError(400, 'Invalid operations format');
+        }
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw createHttpError(400, 'Page operations required', {
+            format: 'JSON array like [{ "op": "delete", "pages": "2-4" }]',
+            allowedOperations: PAGE_OPERATIONS
         });
+    }
 
+    // Get original PDF info
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+
+    // Apply the operations
+    let editedBuffer;
+    try {
+        editedBuffer = await editPdfPages(pdfBuffer, operations, (current, total) => {
+            job.progress(10 + (current / total) * 70, 'processing', { current, total });
+        });
     } catch (error) {
-        console.error('PDF split error:', error);
-        res.status(500).json({ error: 'Failed to split PDF', details: error.message });
+        if (error.code === 'INVALID_PAGE_RANGE' || error.code === 'INVALID_PAGE_OPERATION') {
+            throw createHttpError(400, error.message, { code: error.code });
+        }
+        throw error;
     }
-});
+    const editedInfo = await getPdfInfo(editedBuffer);
+
+    // Upload edited PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(editedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `edited_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        originalPageCount: originalInfo.pageCount,
+        newPageCount: editedInfo.pageCount,
+        operationsApplied: operations.length,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: editedBuffer.length
+    };
+}, 'Failed to edit PDF pages'));
 
 /**
- * POST /api/pdf/reorder
- * Reorder pages in a PDF (server-side processing with pdf-lib)
+ * POST /api/pdf/rotate
+ * Rotate pages clockwise by 90, 180 or 270 degrees
+ * rotations: [{ "pages": "1-3", "angle": 90 }, { "pages": "5", "angle": 180 }]
+ * or the shorthand pages="1-3" angle=90 (all pages when pages is omitted)
+ */
+router.post('/rotate', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.rotate', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+    const rotations = parseRotations(req.body, originalInfo.pageCount);
+
+    // Rotate pages
+    const rotatedBuffer = await rotatePdfPages(pdfBuffer, rotations, (current, total) => {
+        job.progress(10 + (current / total) * 70, 'processing', { current, total });
+    });
+
+    // Upload rotated PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(rotatedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `rotated_${Date.now()}`
+    });
+
+    const rotatedPages = [...new Set(rotations.flatMap(rotation => rotation.pages))]
+        .sort((a, b) => a - b)
+        .map(pageIndex => pageIndex + 1);
+
+    return {
+        success: true,
+        pageCount: originalInfo.pageCount,
+        rotatedPages,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: rotatedBuffer.length
+    };
+}, 'Failed to rotate PDF pages'));
+
+/**
+ * POST /api/pdf/normalize
+ * Give every page the same paper size, and remove or add margins
+ * size: a4, letter, a3, tabloid, a5 or legal; orientation: auto (each page keeps its own), portrait or landscape
+ * mode: fit (scale to fit), fill (scale to fill, cutting off the overflow) or center (no scaling)
+ * margins: JSON { top, right, bottom, left } in millimetres (positive removes, negative adds),
+ * set on the crop box (default) or only the trim box (box=trim); margins apply before the size
  */
-router.post('/reorder', uploadLimiter, uploadPdf.single('file'), handleMulterError, async (req, res) => {
+router.post('/normalize', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.normalize', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    const options = parseNormalize(req.body);
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+
+    let normalizedBuffer;
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        normalizedBuffer = await normalizePdfPages(pdfBuffer, options, (current, total) => {
+            job.progress(10 + (current / total) * 70, 'processing', { current, total });
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_MARGINS') {
+            throw createHttpError(400, error.message, { code: error.code });
         }
+        throw error;
+    }
 
-        let { order } = req.body;
+    // Upload normalized PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(normalizedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `normalized_${Date.now()}`
+    });
 
-        if (!order) {
-            return res.status(400).json({
-                error: 'Page order required',
-                format: 'Array of page numbers in desired order, e.g., [3, 1, 2, 4]'
-            });
-        }
+    return {
+        success: true,
+        pageCount: originalInfo.pageCount,
+        size: normalizedBuffer.length,
+        pageSize: options.size,
+        mode: options.size ? options.mode : null,
+        margins: options.margins,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId
+    };
+}, 'Failed to normalize PDF pages'));
 
-        // Parse order if it's a string
-        if (typeof order === 'string') {
-            try {
-                order = JSON.parse(order);
-            } catch (e) {
-                // Try comma-separated format
-                order = order.split(',').map(n => parseInt(n.trim())).filter(n => !isNaN(n));
-            }
-        }
+/**
+ * POST /api/pdf/impose
+ * Put 2, 4 or 6 pages on each sheet, or impose a saddle-stitch booklet
+ * layout: grid (default) or booklet; pagesPerSheet: 2, 4 or 6 (grid only)
+ * sheetSize: a4, letter, a3 or tabloid; orientation: auto, portrait or landscape
+ * margin and gutter in millimetres; order: ltr, rtl or ttb (booklets: ltr or rtl)
+ * preview=true returns a PNG of the first sheet instead of storing the PDF
+ */
+router.post('/impose', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.impose', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    const {
+        layout = 'grid',
+        sheetSize = 'a4',
+        orientation = 'auto',
+        order = 'ltr',
+        preview
+    } = req.body;
+
+    if (!IMPOSITION_LAYOUTS.includes(layout)) {
+        throw createHttpError(400, `Invalid layout. Allowed: ${IMPOSITION_LAYOUTS.join(', ')}`);
+    }
+    const pagesPerSheet = parseNumberField(req.body.pagesPerSheet, 'pagesPerSheet', { min: 2, max: 6, fallback: 2 });
+    if (layout === 'grid' && !IMPOSITION_GRIDS[pagesPerSheet]) {
+        throw createHttpError(400, `Invalid pagesPerSheet. Allowed: ${Object.keys(IMPOSITION_GRIDS).join(', ')}`);
+    }
+    if (!IMPOSITION_SHEET_SIZES[sheetSize]) {
+        throw createHttpError(400, `Invalid sheetSize. Allowed: ${Object.keys(IMPOSITION_SHEET_SIZES).join(', ')}`);
+    }
+    if (!IMAGE_ORIENTATIONS.includes(orientation)) {
+        throw createHttpError(400, `Invalid orientation. Allowed: ${IMAGE_ORIENTATIONS.join(', ')}`);
+    }
+    const orders = layout === 'booklet' ? IMPOSITION_ORDERS.filter(name => name !== 'ttb') : IMPOSITION_ORDERS;
+    if (!orders.includes(order)) {
+        throw createHttpError(400, `Invalid order. Allowed: ${orders.join(', ')}`);
+    }
+
+    const options = {
+        layout,
+        pagesPerSheet,
+        sheetSize,
+        orientation,
+        order,
+        margin: parseNumberField(req.body.margin, 'margin', { min: 0, max: MAX_IMAGE_MARGIN_MM, fallback: 10 }),
+        gutter: parseNumberField(req.body.gutter, 'gutter', { min: 0, max: MAX_IMAGE_MARGIN_MM, fallback: 5 })
+    };
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
 
-        if (!Array.isArray(order) || order.length === 0) {
-            return res.status(400).json({ error: 'Invalid order format' });
+    let imposed;
+    try {
+        imposed = await imposePdf(pdfBuffer, options, (current, total) => {
+            job.progress(10 + (current / total) * 70, 'processing', { current, total });
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_LAYOUT') {
+            throw createHttpError(400, error.message, { code: error.code });
         }
+        throw error;
+    }
+
+    if (preview === true || preview === 'true') {
+        return {
+            success: true,
+            sheetCount: imposed.sheetCount,
+            preview: await renderPreview(imposed.buffer, 0)
+        };
+    }
 
-        // Get original PDF info
-        const originalInfo = await getPdfInfo(req.file.buffer);
+    // Upload imposed PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(imposed.buffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `${layout === 'booklet' ? 'booklet' : `${pagesPerSheet}up`}_${Date.now()}`
+    });
 
-        // Reorder pages
-        const reorderedBuffer = await reorderPdfPages(req.file.buffer, order);
-        const reorderedInfo = await getPdfInfo(reorderedBuffer);
+    return {
+        success: true,
+        layout,
+        pageCount: originalInfo.pageCount,
+        sheetCount: imposed.sheetCount,
+        blankPages: imposed.blankPages,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: imposed.buffer.length
+    };
+}, 'Failed to impose PDF'));
 
-        // Upload reordered PDF to Cloudinary
-        const uploadResult = await uploadToCloudinary(reorderedBuffer, {
-            resourceType: 'raw',
-            format: 'pdf',
-            public_id: `reordered_${Date.now()}`
+/**
+ * POST /api/pdf/watermark
+ * Stamp a text or image watermark on pages of a PDF
+ * Fields: type (text, image), text, image (file), fontSize, color (#rrggbb), opacity (0-1),
+ * rotation (degrees), position (center, diagonal, corners, tiled), imageScale (0.05-1), pages
+ * preview=true returns a PNG of the first stamped page instead of storing the PDF
+ */
+router.post('/watermark', uploadLimiter, uploadAny.fields([{ name: 'file', maxCount: 1 }, { name: 'image', maxCount: 1 }]), handleMulterError, processRequest('pdf.watermark', async (req, job) => {
+    const file = req.files?.file?.[0];
+    const image = req.files?.image?.[0];
+
+    if (!file || !ALLOWED_PDF_TYPES.includes(file.mimetype)) {
+        throw createHttpError(400, 'No PDF uploaded');
+    }
+
+    const {
+        type = image ? 'image' : 'text',
+        text,
+        color = '#808080',
+        position = 'diagonal',
+        pages,
+        preview
+    } = req.body;
+
+    if (!['text', 'image'].includes(type)) {
+        throw createHttpError(400, 'Invalid type. Allowed: text, image');
+    }
+    if (type === 'text' && !(text && text.trim())) {
+        throw createHttpError(400, 'Watermark text required');
+    }
+    if (type === 'image' && (!image || !ALLOWED_IMAGE_TYPES.includes(image.mimetype))) {
+        throw createHttpError(400, 'Watermark image required', { allowedTypes: ALLOWED_IMAGE_TYPES });
+    }
+    if (!WATERMARK_POSITIONS.includes(position)) {
+        throw createHttpError(400, `Invalid position. Allowed: ${WATERMARK_POSITIONS.join(', ')}`);
+    }
+
+    const parsedColor = parseHexColor(color);
+    if (!parsedColor) {
+        throw createHttpError(400, 'Invalid color. Use a hex color like #ff0000');
+    }
+
+    const options = {
+        type,
+        text: text && text.trim(),
+        image: image?.buffer,
+        color: parsedColor,
+        position,
+        fontSize: parseNumberField(req.body.fontSize, 'fontSize', { min: 4, max: 400, fallback: 48 }),
+        opacity: parseNumberField(req.body.opacity, 'opacity', { min: 0, max: 1, fallback: 0.3 }),
+        rotation: parseNumberField(req.body.rotation, 'rotation', { min: -360, max: 360, fallback: 0 }),
+        imageScale: parseNumberField(req.body.imageScale, 'imageScale', { min: 0.05, max: 1, fallback: 0.3 })
+    };
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+    const pageIndices = resolvePages(pages, originalInfo.pageCount);
+    const isPreview = preview === true || preview === 'true';
+
+    // Stamp the pages (only the first one for a preview)
+    let stampedBuffer;
+    try {
+        stampedBuffer = await watermarkPdf(pdfBuffer, {
+            ...options,
+            pages: isPreview ? pageIndices.slice(0, 1) : pageIndices
+        }, (current, total) => {
+            job.progress(10 + (current / total) * 70, 'processing', { current, total });
         });
+    } catch (error) {
+        if (error.code === 'UNSUPPORTED_TEXT' || error.code === 'INVALID_IMAGE') {
+            throw createHttpError(400, error.message);
+        }
+        throw error;
+    }
 
-        res.json({
+    if (isPreview) {
+        return {
             success: true,
-            originalPageCount: originalInfo.pageCount,
-            newPageCount: reorderedInfo.pageCount,
-            newOrder: order,
-            downloadUrl: uploadResult.secure_url,
-            publicId: uploadResult.public_id,
-            size: reorderedBuffer.length
+            page: pageIndices[0] + 1,
+            preview: await renderPreview(stampedBuffer, pageIndices[0])
+        };
+    }
+
+    // Upload watermarked PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(stampedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `watermarked_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        pageCount: originalInfo.pageCount,
+        watermarkedPages: pageIndices.length,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: stampedBuffer.length
+    };
+}, 'Failed to watermark PDF'));
+
+/**
+ * POST /api/pdf/page-numbers
+ * Add page numbers, headers and footers from text templates
+ * Templates may use {n} (page number), {total}, {filename} and {date}
+ * Fields: header, footer, headerAlign, footerAlign (left, center, right), font, fontSize,
+ * color (#rrggbb), margin (mm), startNumber, skipFirst, pages
+ * preview=true returns a PNG of the first stamped page instead of storing the PDF
+ */
+router.post('/page-numbers', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.pageNumbers', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No PDF uploaded');
+    }
+
+    const {
+        headerAlign = 'center',
+        footerAlign = 'center',
+        font = 'helvetica',
+        color = '#000000',
+        pages,
+        preview
+    } = req.body;
+    const header = (req.body.header || '').trim();
+    // Plain page numbers when neither template is given
+    const footer = req.body.footer === undefined && !header ? 'Page {n} of {total}' : (req.body.footer || '').trim();
+
+    if (!header && !footer) {
+        throw createHttpError(400, 'Header or footer text required');
+    }
+    if (header.length > MAX_TEMPLATE_LENGTH || footer.length > MAX_TEMPLATE_LENGTH) {
+        throw createHttpError(400, `Header and footer must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    if (!TEXT_ALIGNMENTS.includes(headerAlign) || !TEXT_ALIGNMENTS.includes(footerAlign)) {
+        throw createHttpError(400, `Invalid alignment. Allowed: ${TEXT_ALIGNMENTS.join(', ')}`);
+    }
+    if (!STAMP_FONTS[font]) {
+        throw createHttpError(400, `Invalid font. Allowed: ${Object.keys(STAMP_FONTS).join(', ')}`);
+    }
+
+    const parsedColor = parseHexColor(color);
+    if (!parsedColor) {
+        throw createHttpError(400, 'Invalid color. Use a hex color like #ff0000');
+    }
+
+    const startNumber = parseNumberField(req.body.startNumber, 'startNumber', { min: 0, max: 100000, fallback: 1 });
+    if (!Number.isInteger(startNumber)) {
+        throw createHttpError(400, 'startNumber must be a whole number');
+    }
+
+    const options = {
+        header,
+        footer,
+        headerAlign,
+        footerAlign,
+        font,
+        color: parsedColor,
+        startNumber,
+        skipFirst: req.body.skipFirst === true || req.body.skipFirst === 'true',
+        filename: req.file.originalname,
+        fontSize: parseNumberField(req.body.fontSize, 'fontSize', { min: 4, max: 72, fallback: 10 }),
+        margin: parseNumberField(req.body.margin, 'margin', { min: 0, max: MAX_IMAGE_MARGIN_MM, fallback: 10 })
+    };
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const originalInfo = await getPdfInfo(pdfBuffer);
+    const pageIndices = resolvePages(pages, originalInfo.pageCount);
+    const isPreview = preview === true || preview === 'true';
+
+    // A preview shows the first page that actually gets text
+    const previewIndex = options.skipFirst && pageIndices.length > 1 ? 1 : 0;
+
+    let stampedBuffer;
+    try {
+        stampedBuffer = await addPageNumbers(pdfBuffer, {
+            ...options,
+            pages: pageIndices,
+            // Only the preview page is stamped, numbered as in the full run
+            ...(isPreview && { only: previewIndex })
+        }, (current, total) => {
+            job.progress(10 + (current / total) * 70, 'processing', { current, total });
         });
+    } catch (error) {
+        if (error.code === 'UNSUPPORTED_TEXT') {
+            throw createHttpError(400, error.message);
+        }
+        throw error;
+    }
+
+    if (isPreview) {
+        return {
+            success: true,
+            page: pageIndices[previewIndex] + 1,
+            preview: await renderPreview(stampedBuffer, pageIndices[previewIndex])
+        };
+    }
+
+    // Upload numbered PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(stampedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `numbered_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        pageCount: originalInfo.pageCount,
+        numberedPages: pageIndices.length - (options.skipFirst ? 1 : 0),
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: stampedBuffer.length
+    };
+}, 'Failed to add page numbers'));
 
+/**
+ * POST /api/pdf/from-images
+ * Build one PDF from several images, one image per page, in upload order
+ * Options: pageSize (fit, a4, letter), orientation (auto, portrait, landscape),
+ * margin in millimetres, fit (contain, cover, stretch)
+ */
+router.post('/from-images', uploadLimiter, uploadImage.array('files', MAX_FILES_PER_REQUEST), handleMulterError, processRequest('pdf.fromImages', async (req, job) => {
+    if (!req.files || req.files.length === 0) {
+        throw createHttpError(400, 'No images uploaded');
+    }
+
+    const {
+        pageSize = 'fit',
+        orientation = 'auto',
+        margin = '0',
+        fit = 'contain'
+    } = req.body;
+
+    if (!(pageSize in IMAGE_PAGE_SIZES)) {
+        throw createHttpError(400, `Invalid pageSize. Allowed: ${Object.keys(IMAGE_PAGE_SIZES).join(', ')}`);
+    }
+    if (!IMAGE_ORIENTATIONS.includes(orientation)) {
+        throw createHttpError(400, `Invalid orientation. Allowed: ${IMAGE_ORIENTATIONS.join(', ')}`);
+    }
+    if (!IMAGE_FIT_MODES.includes(fit)) {
+        throw createHttpError(400, `Invalid fit. Allowed: ${IMAGE_FIT_MODES.join(', ')}`);
+    }
+
+    const marginMm = Number(margin);
+    if (!Number.isFinite(marginMm) || marginMm < 0 || marginMm > MAX_IMAGE_MARGIN_MM) {
+        throw createHttpError(400, `Margin must be a number of millimetres between 0 and ${MAX_IMAGE_MARGIN_MM}`);
+    }
+
+    // Build the PDF
+    let pdfBuffer;
+    try {
+        pdfBuffer = await imagesToPdf(
+            req.files.map(file => file.buffer),
+            { pageSize, orientation, margin: marginMm, fit },
+            (current, total) => job.progress(5 + (current / total) * 75, 'processing', { current, total })
+        );
     } catch (error) {
-        console.error('PDF reorder error:', error);
-        res.status(500).json({ error: 'Failed to reorder PDF pages', details: error.message });
+        if (error.code === 'INVALID_IMAGE') {
+            const fileName = req.files[error.fileIndex].originalname;
+            throw createHttpError(400, `${fileName} could not be read as an image`, { code: error.code, fileName, details: error.message });
+        }
+        throw error;
     }
-});
+
+    // Upload to storage
+    job.progress(80, 'storing');
+    const uploadResult = await storage.upload(pdfBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `images_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        pageCount: req.files.length,
+        imagesCount: req.files.length,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: pdfBuffer.length
+    };
+}, 'Failed to create PDF from images'));
 
 /**
- * POST /api/pdf/info
- * Get PDF metadata (page count, etc.)
+ * POST /api/pdf/to-images
+ * Render PDF pages to PNG, JPEG or WebP images locally
+ * pages uses the same grammar as split ("1-3,5"; all pages when omitted; pages that do not exist are rejected),
+ * dpi sets the resolution and output delivers separate images, one ZIP, or both
  */
-router.post('/info', uploadPdf.single('file'), handleMulterError, async (req, res) => {
+router.post('/to-images', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.toImages', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    const {
+        pages,
+        dpi = '150',
+        format: requestedFormat = 'png',
+        quality = '85',
+        output = 'files'
+    } = req.body;
+
+    const format = normalizeRasterFormat(requestedFormat);
+    if (!format) {
+        throw createHttpError(400, 'Invalid format. Allowed: png, jpg, webp');
+    }
+    if (!OUTPUT_MODES.includes(output)) {
+        throw createHttpError(400, `Invalid output. Allowed: ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    const dpiValue = parseInt(dpi);
+    if (!(dpiValue >= MIN_DPI && dpiValue <= MAX_DPI)) {
+        throw createHttpError(400, `DPI must be between ${MIN_DPI} and ${MAX_DPI}`);
+    }
+    const qualityValue = Math.max(1, Math.min(100, parseInt(quality) || 85));
+
+    // Resolve the pages to render
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const pdfInfo = await getPdfInfo(pdfBuffer);
+    const pageIndices = resolvePages(pages, pdfInfo.pageCount);
+
+    // Render the pages
+    let rendered;
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        rendered = await rasterizePdf(pdfBuffer, {
+            pages: pageIndices,
+            dpi: dpiValue,
+            format,
+            quality: qualityValue
+        }, (current, total) => {
+            job.progress(10 + (current / total) * 50, 'processing', { current, total });
+        });
+    } catch (error) {
+        if (error.code === 'RASTER_TOO_LARGE') {
+            throw createHttpError(400, error.message, { suggestion: 'Use a lower DPI' });
         }
+        throw error;
+    }
+
+    const baseName = baseFileName(req.file.originalname);
+    const extension = format === 'jpeg' ? 'jpg' : format;
+    const { files: images, zip } = await deliverFiles(rendered.map(page => ({
+        page: page.pageNumber,
+        fileName: `${baseName}_p${page.pageNumber}.${extension}`,
+        width: page.width,
+        height: page.height,
+        buffer: page.buffer
+    })), output, job, {
+        resourceType: 'image',
+        format: extension,
+        contentType: `image/${format}`,
+        publicIdPrefix: 'pages',
+        zipName: `${baseName}_${extension}.zip`
+    });
+
+    return {
+        success: true,
+        originalPageCount: pdfInfo.pageCount,
+        dpi: dpiValue,
+        format: extension,
+        images,
+        zip
+    };
+}, 'Failed to render PDF pages'));
+
+/**
+ * POST /api/pdf/metadata
+ * Read or change document properties
+ * With only a file, returns the current properties. Any of title, author, subject, keywords,
+ * creator, producer, creationDate, modificationDate (ISO 8601) and language changes that
+ * property (an empty value removes it) and returns the updated PDF
+ */
+router.post('/metadata', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.metadata', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
 
-        const info = await getPdfInfo(req.file.buffer);
+    const changes = parseMetadata(req.body);
 
-        res.json({
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    if (Object.keys(changes).length === 0) {
+        return {
             success: true,
-            pageCount: info.pageCount,
-            title: info.title,
-            author: info.author,
-            size: req.file.size
+            metadata: await readPdfMetadata(pdfBuffer)
+        };
+    }
+
+    job.progress(30, 'processing');
+    const { buffer, metadata } = await writePdfMetadata(pdfBuffer, changes);
+
+    // Upload updated PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(buffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `metadata_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        metadata,
+        updatedFields: Object.keys(changes),
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: buffer.length
+    };
+}, 'Failed to update PDF metadata'));
+
+/**
+ * POST /api/pdf/form-fields
+ * List the form fields of a PDF: name, type, current value, options and flags
+ */
+router.post('/form-fields', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.formFields', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const { fields, xfa } = await listFormFields(pdfBuffer);
+
+    return {
+        success: true,
+        fieldCount: fields.length,
+        fields,
+        xfa
+    };
+}, 'Failed to read PDF form fields'));
+
+/**
+ * POST /api/pdf/fill-form
+ * Fill form fields and optionally flatten them into the pages
+ * fields: JSON object of values by field name (as listed by /form-fields), e.g.,
+ * {"name":"Ann","agree":true,"size":"M","colors":["Red","Blue"]}; null or "" clears a field
+ */
+router.post('/fill-form', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.fillForm', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    let values = {};
+    if (req.body.fields) {
+        try {
+            values = JSON.parse(req.body.fields);
+        } catch (e) {
+            values = null;
+        }
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw createHttpError(400, 'Invalid fields format', {
+            format: 'JSON object of values by field name, e.g., {"name":"Ann","agree":true}'
         });
+    }
+
+    const flatten = req.body.flatten === true || req.body.flatten === 'true';
+    if (Object.keys(values).length === 0 && !flatten) {
+        throw createHttpError(400, 'No field values given');
+    }
 
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+
+    job.progress(30, 'processing');
+    let result;
+    try {
+        result = await fillFormFields(pdfBuffer, values, { flatten });
     } catch (error) {
-        console.error('PDF info error:', error);
-        res.status(500).json({ error: 'Failed to get PDF info', details: error.message });
+        if (['FORM_FIELD_NOT_FOUND', 'INVALID_FORM_VALUE', 'UNSUPPORTED_TEXT'].includes(error.code)) {
+            throw createHttpError(400, error.message, error.fieldName ? { field: error.fieldName } : undefined);
+        }
+        throw error;
+    }
+
+    // Upload filled PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(result.buffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `filled_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        filled: result.filled,
+        flattened: result.flattened,
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: result.buffer.length
+    };
+}, 'Failed to fill PDF form'));
+
+/**
+ * POST /api/pdf/protect
+ * Password-protect a PDF and restrict printing, copying, editing or commenting
+ * userPassword is needed to open the result; ownerPassword lifts the restrictions
+ * (a random one is used when omitted). permissions: JSON flags, false withholds one,
+ * e.g., {"print":false,"copy":false}. encryption: aes-256 (default) or aes-128
+ */
+router.post('/protect', uploadLimiter, uploadPdf.single('file'), handleMulterError, processRequest('pdf.protect', async (req, job) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
     }
-});
+
+    const protection = parseProtection(req.body);
+
+    job.progress(5, 'parsing');
+    const pdfBuffer = await unlockPdf(req.file, req.body.password, job);
+    const pdfInfo = await getPdfInfo(pdfBuffer);
+
+    job.progress(30, 'processing');
+    const protectedBuffer = await encryptPdf(pdfBuffer, protection);
+
+    // Upload protected PDF to storage
+    job.progress(85, 'storing');
+    const uploadResult = await storage.upload(protectedBuffer, {
+        resourceType: 'raw',
+        format: 'pdf',
+        publicId: `protected_${Date.now()}`
+    });
+
+    return {
+        success: true,
+        pageCount: pdfInfo.pageCount,
+        encryption: protection.algorithm,
+        userPassword: Boolean(protection.userPassword),
+        permissions: Object.fromEntries(Object.keys(PERMISSIONS).map(name => [name, protection.permissions[name] !== false])),
+        downloadUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        size: protectedBuffer.length
+    };
+}, 'Failed to protect PDF'));
+
+/**
+ * POST /api/pdf/info
+ * Inspect a PDF: version, pages, security, interactive content, fonts, images and metadata
+ */
+router.post('/info', uploadPdf.single('file'), handleMulterError, processRequest('pdf.info', async (req) => {
+    if (!req.file) {
+        throw createHttpError(400, 'No file uploaded');
+    }
+
+    const report = await inspectPdf(req.file.buffer);
+
+    return {
+        success: true,
+        ...report,
+        // Kept at the top level for existing clients
+        title: report.metadata?.title ?? null,
+        author: report.metadata?.author ?? null,
+        size: req.file.size
+    };
+}, 'Failed to get PDF info'));
 
 module.exports = router;
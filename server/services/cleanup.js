@@ -1,5 +1,5 @@
 const cron = require('node-cron');
-const { cloudinary, getResourcesByTag, deleteResource } = require('../config/cloudinary');
+const storage = require('./storage');
 
 // Configuration
 const CLEANUP_INTERVAL = parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 15;
@@ -25,21 +25,21 @@ const cleanupResourceType = async (resourceType) => {
     let deletedCount = 0;
 
     try {
-        const result = await getResourcesByTag('temp_upload', resourceType);
+        const resources = await storage.listByTag('temp_upload', resourceType);
 
-        if (!result.resources || result.resources.length === 0) {
+        if (resources.length === 0) {
             return 0;
         }
 
-        const expiredResources = result.resources.filter(r => isExpired(r.created_at));
+        const expiredResources = resources.filter(r => isExpired(r.createdAt));
 
         for (const resource of expiredResources) {
             try {
-                await deleteResource(resource.public_id, resourceType);
-                console.log(`[Cleanup] Deleted ${resourceType}: ${resource.public_id}`);
+                await storage.delete(resource.publicId, resourceType);
+                console.log(`[Cleanup] Deleted ${resourceType}: ${resource.publicId}`);
                 deletedCount++;
             } catch (error) {
-                console.error(`[Cleanup] Failed to delete ${resource.public_id}:`, error.message);
+                console.error(`[Cleanup] Failed to delete ${resource.publicId}:`, error.message);
             }
         }
     } catch (error) {
@@ -0,0 +1,249 @@
+const sharp = require('sharp');
+
+/**
+ * Image Processing Service
+ * Runs the Cloudinary-style transformation objects built in routes/images.js
+ * on this server with sharp, so results can be produced without Cloudinary:
+ * - { crop: 'crop', x, y, width, height }
+ * - { aspect_ratio: '16:9', crop: 'crop', gravity: 'center' }
+ * - { crop: 'scale', width, height }
+ * - { angle: 90 }
+ * - { effect: 'brightness:20' } / { effect: 'contrast:-10' }
+ * - { quality: 60 | 'auto' | 'auto:low' }
+ * - { fetch_format: 'auto' } (keeps the source format)
+ */
+
+// Output formats supported by the local engine (sharp format names)
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Quality used for Cloudinary's automatic quality levels
+const AUTO_QUALITY = {
+    auto: 80,
+    'auto:good': 80,
+    'auto:eco': 70,
+    'auto:low': 60,
+    'auto:best': 90
+};
+
+/**
+ * Normalize a requested format to a sharp format name
+ * @param {string} format - Requested format (jpg, jpeg, png, webp, gif)
+ * @returns {string|null} Sharp format name or null if unsupported
+ */
+const normalizeFormat = (format) => {
+    if (!format) return null;
+    const value = format.toLowerCase() === 'jpg' ? 'jpeg' : format.toLowerCase();
+    return OUTPUT_FORMATS.includes(value) ? value : null;
+};
+
+/**
+ * Convert a sharp format name to a file extension
+ * @param {string} format - Sharp format name
+ * @returns {string} File extension without dot
+ */
+const formatToExtension = (format) => (format === 'jpeg' ? 'jpg' : format);
+
+/**
+ * Decode an image into raw pixels so each step starts from a materialized result
+ * (sharp reorders operations within a single pipeline)
+ * @param {sharp.Sharp} pipeline - Sharp pipeline
+ * @returns {Promise<{data: Buffer, info: Object}>} Raw pixel data and info
+ */
+const toRaw = (pipeline) => pipeline.raw().toBuffer({ resolveWithObject: true });
+
+/**
+ * Create a sharp pipeline from raw pixel data
+ * @param {{data: Buffer, info: Object}} image - Raw pixel data and info
+ * @returns {sharp.Sharp} Sharp pipeline
+ */
+const fromRaw = ({ data, info }) => sharp(data, {
+    raw: { width: info.width, height: info.height, channels: info.channels }
+});
+
+/**
+ * Center-crop region for an aspect ratio such as "16:9"
+ * @param {number} width - Current width
+ * @param {number} height - Current height
+ * @param {string} ratio - Aspect ratio string
+ * @returns {Object|null} Extract region or null if the ratio is invalid
+ */
+const aspectRatioRegion = (width, height, ratio) => {
+    const [w, h] = String(ratio).split(':').map(Number);
+    if (!w || !h) return null;
+
+    const target = w / h;
+    let cropWidth = width;
+    let cropHeight = Math.round(width / target);
+
+    if (cropHeight > height) {
+        cropHeight = height;
+        cropWidth = Math.round(height * target);
+    }
+
+    return {
+        left: Math.floor((width - cropWidth) / 2),
+        top: Math.floor((height - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight
+    };
+};
+
+/**
+ * Apply a single transformation object to a decoded image
+ * @param {{data: Buffer, info: Object}} image - Raw pixel data and info
+ * @param {Object} transformation - Cloudinary-style transformation object
+ * @returns {Promise<{data: Buffer, info: Object}>} Transformed raw image
+ */
+const applyTransformation = async (image, transformation) => {
+    const { width, height } = image.info;
+    const t = transformation;
+
+    if (t.crop === 'crop' && t.aspect_ratio) {
+        const region = aspectRatioRegion(width, height, t.aspect_ratio);
+        return region ? toRaw(fromRaw(image).extract(region)) : image;
+    }
+
+    if (t.crop === 'crop') {
+        // Clamp the region to the image bounds like Cloudinary does
+        const left = Math.max(0, Math.min(width - 1, Math.round(t.x || 0)));
+        const top = Math.max(0, Math.min(height - 1, Math.round(t.y || 0)));
+        const region = {
+            left,
+            top,
+            width: Math.max(1, Math.min(width - left, Math.round(t.width || width))),
+            height: Math.max(1, Math.min(height - top, Math.round(t.height || height)))
+        };
+        return toRaw(fromRaw(image).extract(region));
+    }
+
+    if (t.crop === 'scale') {
+        const resizeWidth = parseInt(t.width) || null;
+        const resizeHeight = parseInt(t.height) || null;
+        if (!resizeWidth && !resizeHeight) return image;
+        // Both dimensions stretch to the exact size; one dimension keeps the aspect ratio
+        const fit = resizeWidth && resizeHeight ? 'fill' : 'cover';
+        return toRaw(fromRaw(image).resize(resizeWidth, resizeHeight, { fit }));
+    }
+
+    if (t.angle !== undefined) {
+        const angle = parseInt(t.angle) || 0;
+        if (angle % 360 === 0) return image;
+        if (angle % 90 === 0) return toRaw(fromRaw(image).rotate(angle));
+        // Free angles leave transparent corners
+        return toRaw(fromRaw(image).ensureAlpha().rotate(angle, {
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        }));
+    }
+
+    if (typeof t.effect === 'string') {
+        const [effect, rawAmount] = t.effect.split(':');
+        const amount = Math.max(-100, Math.min(100, parseInt(rawAmount) || 0)) / 100;
+
+        if (effect === 'brightness') {
+            return toRaw(fromRaw(image).modulate({ brightness: 1 + amount }));
+        }
+        if (effect === 'contrast') {
+            // Stretch values around mid-grey
+            const slope = 1 + amount;
+            return toRaw(fromRaw(image).linear(slope, 128 * (1 - slope)));
+        }
+    }
+
+    // quality / fetch_format only affect encoding
+    return image;
+};
+
+/**
+ * Resolve the encoder quality from the transformation list
+ * @param {Object[]} transformations - Transformation objects
+ * @returns {number} Quality (1-100)
+ */
+const resolveQuality = (transformations) => {
+    const entry = [...transformations].reverse().find(t => t.quality !== undefined);
+    if (!entry) return AUTO_QUALITY.auto;
+    if (AUTO_QUALITY[entry.quality]) return AUTO_QUALITY[entry.quality];
+    return Math.max(1, Math.min(100, parseInt(entry.quality) || AUTO_QUALITY.auto));
+};
+
+/**
+ * Encode a raw image in the requested format
+ * @param {{data: Buffer, info: Object}} image - Raw pixel data and info
+ * @param {string} format - Sharp format name
+ * @param {number} quality - Encoder quality
+ * @returns {Promise<{data: Buffer, info: Object}>} Encoded image
+ */
+const encode = (image, format, quality) => {
+    const pipeline = fromRaw(image);
+
+    switch (format) {
+        case 'jpeg':
+            // JPEG has no alpha channel: flatten onto white
+            return pipeline.flatten({ background: '#ffffff' })
+                .jpeg({ quality, mozjpeg: true })
+                .toBuffer({ resolveWithObject: true });
+        case 'png':
+            return pipeline.png({ quality, compressionLevel: 9, palette: quality < 100 })
+                .toBuffer({ resolveWithObject: true });
+        case 'webp':
+            return pipeline.webp({ quality }).toBuffer({ resolveWithObject: true });
+        case 'gif':
+            return pipeline.gif().toBuffer({ resolveWithObject: true });
+        default:
+            throw new Error(`Unsupported output format: ${format}`);
+    }
+};
+
+/**
+ * Read basic image metadata (EXIF orientation applied)
+ * @param {Buffer} buffer - Image buffer
+ * @returns {Promise<{width: number, height: number, format: string, bytes: number}>} Metadata
+ */
+const getImageInfo = async (buffer) => {
+    const metadata = await sharp(buffer).metadata();
+    const swapped = metadata.orientation >= 5;
+    return {
+        width: swapped ? metadata.height : metadata.width,
+        height: swapped ? metadata.width : metadata.height,
+        format: metadata.format,
+        bytes: buffer.length
+    };
+};
+
+/**
+ * Apply a list of Cloudinary-style transformations locally
+ * @param {Buffer} buffer - Source image buffer
+ * @param {Object[]} transformations - Transformation objects, applied in order
+ * @param {Object} options - { format } output format (defaults to the source format)
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, format: string, bytes: number}>} Output image
+ */
+const processImage = async (buffer, transformations = [], options = {}) => {
+    const metadata = await sharp(buffer).metadata();
+    const format = normalizeFormat(options.format)
+        || normalizeFormat(metadata.format)
+        || 'png';
+
+    // Apply EXIF orientation first, as Cloudinary does on upload
+    let image = await toRaw(sharp(buffer).rotate());
+
+    for (const transformation of transformations) {
+        image = await applyTransformation(image, transformation);
+    }
+
+    const { data, info } = await encode(image, format, resolveQuality(transformations));
+
+    return {
+        buffer: data,
+        width: info.width,
+        height: info.height,
+        format,
+        bytes: data.length
+    };
+};
+
+module.exports = {
+    processImage,
+    getImageInfo,
+    normalizeFormat,
+    formatToExtension,
+    OUTPUT_FORMATS
+};
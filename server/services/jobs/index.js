@@ -0,0 +1,277 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { createMemoryJobStore } = require('./memoryStore');
+
+/**
+ * Job Service
+ * Runs processing work in the background and tracks its status:
+ * queued -> running -> succeeded | failed
+ *
+ * While running, work reports named stages (received, parsing, processing,
+ * storing, done) with a percentage and optional "current of total" counter.
+ * Every update is published to subscribers (see subscribeToJob).
+ *
+ * Stores share one interface (create, get, update, delete; all async),
+ * selected with JOB_STORE. Only the in-memory store exists today.
+ */
+
+// Configuration from environment or defaults
+const JOB_STORE = process.env.JOB_STORE || 'memory';
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_TTL_MINUTES = parseInt(process.env.JOB_TTL_MINUTES) || 60;
+
+const stores = {
+    memory: () => createMemoryJobStore()
+};
+
+if (!stores[JOB_STORE]) {
+    throw new Error(`Unknown JOB_STORE "${JOB_STORE}". Allowed: ${Object.keys(stores).join(', ')}`);
+}
+
+const store = stores[JOB_STORE]();
+
+// Progress events, keyed by job ID (listeners may subscribe before the job exists)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Pending work waiting for a free slot: { id, work, failureMessage }
+const pending = [];
+let running = 0;
+
+/**
+ * Convert a thrown error into the error payload stored on a failed job
+ * @param {Error} error - Thrown error
+ * @param {string} failureMessage - Message used for unexpected errors
+ * @returns {Object} { status, message, details }
+ */
+const serializeError = (error, failureMessage) => {
+    if (error.status && error.status < 500) {
+        return { status: error.status, message: error.message, ...error.details };
+    }
+    return { status: 500, message: failureMessage, details: error.message };
+};
+
+/**
+ * Public view of a job, as returned by the status endpoint and progress events
+ * @param {Object} job - Stored job
+ * @returns {Object} Job status
+ */
+const toStatus = (job) => ({
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    current: job.current,
+    total: job.total,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+/**
+ * Update a job and notify subscribers
+ * @param {string} id - Job ID
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<Object|null>} Updated job
+ */
+const updateJob = async (id, patch) => {
+    const job = await store.update(id, patch);
+    if (job) events.emit(id, toStatus(job));
+    return job;
+};
+
+/**
+ * Forget a finished job once its TTL has passed
+ * @param {string} id - Job ID
+ */
+const scheduleExpiry = (id) => {
+    const timer = setTimeout(() => store.delete(id), JOB_TTL_MINUTES * 60 * 1000);
+    timer.unref();
+};
+
+/**
+ * Create the context handed to job work
+ * context.progress(percent, stage, { current, total }) reports progress;
+ * stage and counters are kept until the next call that sets them.
+ * context.notice(code, message, details) records something the user should know
+ * about a job that still succeeded; notices are added to the result
+ * @param {string} id - Job ID
+ * @returns {Object} Job context
+ */
+const createContext = (id) => {
+    const notices = [];
+    return {
+        id,
+        notices,
+        notice: (code, message, details = {}) => {
+            notices.push({ code, message, ...details });
+        },
+        progress: (progress, stage, counter = {}) => {
+            const patch = {
+                progress: Math.max(0, Math.min(100, Math.round(progress))),
+                current: counter.current ?? null,
+                total: counter.total ?? null
+            };
+            if (stage) patch.stage = stage;
+            return updateJob(id, patch);
+        }
+    };
+};
+
+/**
+ * Run a job's work, recording progress and outcome
+ * Failures are not logged here: whoever receives the error logs it once
+ * @param {string} id - Job ID
+ * @param {Function} work - async (context) => result
+ * @param {string} failureMessage - Message used for unexpected errors
+ * @returns {Promise<{result: *, error: Error|null}>} Outcome
+ */
+const runJob = async (id, work, failureMessage) => {
+    await updateJob(id, {
+        status: 'running',
+        stage: 'received',
+        startedAt: new Date().toISOString()
+    });
+
+    let outcome;
+    try {
+        const context = createContext(id);
+        let result = await work(context);
+        if (context.notices.length > 0 && result && typeof result === 'object') {
+            result = { ...result, notices: context.notices };
+        }
+        await updateJob(id, {
+            status: 'succeeded',
+            stage: 'done',
+            progress: 100,
+            current: null,
+            total: null,
+            result,
+            finishedAt: new Date().toISOString()
+        });
+        outcome = { result, error: null };
+    } catch (error) {
+        await updateJob(id, {
+            status: 'failed',
+            error: serializeError(error, failureMessage),
+            finishedAt: new Date().toISOString()
+        });
+        outcome = { result: null, error };
+    }
+
+    scheduleExpiry(id);
+    return outcome;
+};
+
+/**
+ * Start queued jobs while slots are free
+ */
+const drain = () => {
+    while (running < JOB_CONCURRENCY && pending.length > 0) {
+        const { id, work, failureMessage } = pending.shift();
+        running++;
+        runJob(id, work, failureMessage).then(({ error }) => {
+            // Client errors (invalid input) are reported to the client, not logged as server errors
+            if (error && serializeError(error, failureMessage).status >= 500) {
+                console.error(`[Jobs] ${id} failed:`, error);
+            }
+        }).finally(() => {
+            running--;
+            drain();
+        });
+    }
+};
+
+/**
+ * Create a job record
+ * A client-chosen ID (a UUID not in use) lets the client subscribe to
+ * progress before the request that starts the job has finished uploading
+ * @param {string} type - Job type
+ * @param {string} requestedId - Optional client-chosen ID
+ * @returns {Promise<Object>} Created job
+ */
+const createJob = async (type, requestedId) => {
+    const id = requestedId && isUuid(requestedId) && !(await store.get(requestedId))
+        ? requestedId
+        : uuidv4();
+
+    const job = await store.create({
+        id,
+        type,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        current: null,
+        total: null,
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    });
+    events.emit(id, toStatus(job));
+    return job;
+};
+
+/**
+ * Queue work as a background job
+ * @param {string} type - Job type (e.g. 'pdf.merge')
+ * @param {Function} work - async (context) => result; see createContext
+ * @param {Object} options - { failureMessage, id }
+ * @returns {Promise<Object>} Created job
+ */
+const enqueueJob = async (type, work, { failureMessage = 'Job failed', id } = {}) => {
+    const job = await createJob(type, id);
+
+    pending.push({ id: job.id, work, failureMessage });
+    drain();
+
+    return job;
+};
+
+/**
+ * Run work immediately (outside the queue) while tracking it as a job,
+ * so clients can follow its progress
+ * @param {string} type - Job type (e.g. 'pdf.merge')
+ * @param {Function} work - async (context) => result; see createContext
+ * @param {Object} options - { failureMessage, id }
+ * @returns {Promise<{jobId: string, result: *}>} Job ID and result; throws the work's error
+ */
+const runTrackedJob = async (type, work, { failureMessage = 'Job failed', id } = {}) => {
+    const job = await createJob(type, id);
+    const { result, error } = await runJob(job.id, work, failureMessage);
+    if (error) throw error;
+    return { jobId: job.id, result };
+};
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job status or null if unknown or expired
+ */
+const getJob = async (id) => {
+    const job = await store.get(id);
+    return job ? toStatus(job) : null;
+};
+
+/**
+ * Listen for progress updates of a job
+ * @param {string} id - Job ID
+ * @param {Function} listener - (status) => void
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToJob = (id, listener) => {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+};
+
+module.exports = {
+    enqueueJob,
+    runTrackedJob,
+    getJob,
+    subscribeToJob,
+    serializeError
+};
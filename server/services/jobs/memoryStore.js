@@ -0,0 +1,33 @@
+/**
+ * In-memory job store
+ * Jobs live in this process only: they are lost on restart and are not shared
+ * between instances (e.g. separate serverless invocations).
+ * Every method returns a Promise so persistent stores can share the interface.
+ * @returns {Object} Job store
+ */
+const createMemoryJobStore = () => {
+    const jobs = new Map();
+
+    return {
+        name: 'memory',
+        create: async (job) => {
+            jobs.set(job.id, { ...job });
+            return { ...job };
+        },
+        get: async (id) => {
+            const job = jobs.get(id);
+            return job ? { ...job } : null;
+        },
+        update: async (id, patch) => {
+            const job = jobs.get(id);
+            if (!job) return null;
+            Object.assign(job, patch);
+            return { ...job };
+        },
+        delete: async (id) => {
+            jobs.delete(id);
+        }
+    };
+};
+
+module.exports = { createMemoryJobStore };
@@ -0,0 +1,262 @@
+const {
+    PDFDocument,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFStream,
+    PDFNumber,
+    PageSizes
+} = require('pdf-lib');
+const { readMetadata, POINTS_PER_MM } = require('./pdfProcessor');
+const { walkNameTree } = require('./pdfOutline');
+
+/**
+ * PDF Inspection Service
+ * Builds a structural report of a PDF (version, pages, security, interactive
+ * content, fonts, images and metadata) without modifying it
+ */
+
+// Paper sizes recognised in page reports, in points (portrait)
+const PAPER_SIZES = {
+    A3: PageSizes.A3,
+    A4: PageSizes.A4,
+    A5: PageSizes.A5,
+    Letter: PageSizes.Letter,
+    Legal: PageSizes.Legal,
+    Tabloid: PageSizes.Tabloid
+};
+
+// Difference still considered the same paper size, in points
+const PAPER_TOLERANCE = 2;
+
+/**
+ * Name the paper size of a page
+ * @param {number} width - Width in points
+ * @param {number} height - Height in points
+ * @returns {string|null} Paper name (e.g. "A4") or null if not a standard size
+ */
+const paperName = (width, height) => {
+    const [short, long] = width < height ? [width, height] : [height, width];
+    const match = Object.entries(PAPER_SIZES).find(([, [w, h]]) =>
+        Math.abs(w - short) <= PAPER_TOLERANCE && Math.abs(h - long) <= PAPER_TOLERANCE
+    );
+    return match ? match[0] : null;
+};
+
+/**
+ * Read the PDF version: the file header, unless the catalog declares a later one
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {PDFDocument} pdf - Loaded document
+ * @returns {string|null} Version such as "1.7"
+ */
+const readVersion = (pdfBuffer, pdf) => {
+    const header = pdfBuffer.subarray(0, 1024).toString('latin1').match(/%PDF-(\d+\.\d+)/);
+    const catalogVersion = pdf.catalog.lookupMaybe(PDFName.of('Version'), PDFName)?.decodeText();
+    const versions = [header?.[1], catalogVersion].filter(Boolean);
+    if (versions.length === 0) return null;
+    return versions.reduce((a, b) => (parseFloat(b) > parseFloat(a) ? b : a));
+};
+
+/**
+ * Count outline (bookmark) items
+ * @param {PDFDict} catalog - Document catalog
+ * @returns {{count: number, topLevel: number}} Total and top-level items
+ */
+const countOutlines = (catalog) => {
+    const outlines = catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    const seen = new Set();
+    let count = 0;
+
+    const walk = (item, depth) => {
+        let topLevel = 0;
+        while (item instanceof PDFDict && !seen.has(item)) {
+            seen.add(item);
+            count++;
+            if (depth === 0) topLevel++;
+            walk(item.lookup(PDFName.of('First')), depth + 1);
+            item = item.lookup(PDFName.of('Next'));
+        }
+        return topLevel;
+    };
+
+    const topLevel = outlines ? walk(outlines.lookup(PDFName.of('First')), 0) : 0;
+    return { count, topLevel };
+};
+
+/**
+ * Inspect a PDF
+ * Encrypted files are inspected as far as their structure allows; strings
+ * (metadata, attachment names) cannot be read without the password
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<Object>} Inspection report
+ */
+const inspectPdf = async (pdfBuffer) => {
+    const pdf = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+    const { catalog, context } = pdf;
+    const name = (value) => PDFName.of(value);
+
+    // Pages
+    const annotationTypes = {};
+    const pages = pdf.getPages().map((page, index) => {
+        const { width, height } = page.getMediaBox();
+        const crop = page.getCropBox();
+        const annots = page.node.lookupMaybe(name('Annots'), PDFArray);
+        const annotationCount = annots ? annots.size() : 0;
+
+        for (let i = 0; i < annotationCount; i++) {
+            const annot = annots.lookup(i);
+            const subtype = annot instanceof PDFDict ? annot.lookupMaybe(name('Subtype'), PDFName)?.decodeText() : null;
+            annotationTypes[subtype || 'Unknown'] = (annotationTypes[subtype || 'Unknown'] || 0) + 1;
+        }
+
+        const cropped = crop.width !== width || crop.height !== height;
+        return {
+            pageNumber: index + 1,
+            width: Math.round(width * 100) / 100,
+            height: Math.round(height * 100) / 100,
+            widthMm: Math.round(width / POINTS_PER_MM),
+            heightMm: Math.round(height / POINTS_PER_MM),
+            paper: paperName(width, height),
+            orientation: width > height ? 'landscape' : 'portrait',
+            rotation: page.getRotation().angle,
+            ...(cropped && { cropBox: { width: Math.round(crop.width * 100) / 100, height: Math.round(crop.height * 100) / 100 } }),
+            annotations: annotationCount
+        };
+    });
+
+    // Distinct page sizes, in order of first appearance
+    const pageSizes = [];
+    for (const page of pages) {
+        const size = pageSizes.find(s => s.width === page.width && s.height === page.height);
+        if (size) {
+            size.count++;
+        } else {
+            pageSizes.push({ width: page.width, height: page.height, paper: page.paper, count: 1 });
+        }
+    }
+
+    // Security
+    const trailerInfo = context.trailerInfo;
+    const encryptDict = trailerInfo.Encrypt ? context.lookup(trailerInfo.Encrypt) : null;
+    const encryption = encryptDict instanceof PDFDict
+        ? {
+            filter: encryptDict.lookupMaybe(name('Filter'), PDFName)?.decodeText() || null,
+            version: encryptDict.lookupMaybe(name('V'), PDFNumber)?.asNumber() ?? null,
+            revision: encryptDict.lookupMaybe(name('R'), PDFNumber)?.asNumber() ?? null,
+            keyLength: encryptDict.lookupMaybe(name('Length'), PDFNumber)?.asNumber() ?? null
+        }
+        : null;
+
+    // Forms
+    const acroForm = catalog.lookupMaybe(name('AcroForm'), PDFDict);
+    let fieldCount = acroForm?.lookupMaybe(name('Fields'), PDFArray)?.size() || 0;
+    if (acroForm && !pdf.isEncrypted) {
+        try {
+            // Counts terminal fields rather than top-level entries
+            fieldCount = pdf.getForm().getFields().length;
+        } catch (e) {
+            // Malformed form: keep the top-level count
+        }
+    }
+
+    // Attachments and document-level JavaScript (name trees)
+    const namesDict = catalog.lookupMaybe(name('Names'), PDFDict);
+    const attachments = [];
+    let javascript = false;
+    walkNameTree(namesDict?.lookup(name('EmbeddedFiles')), (fileName, spec) => {
+        const embedded = spec instanceof PDFDict ? spec.lookupMaybe(name('EF'), PDFDict)?.lookup(name('F')) : null;
+        const params = embedded instanceof PDFStream ? embedded.dict.lookupMaybe(name('Params'), PDFDict) : null;
+        const size = params?.lookupMaybe(name('Size'), PDFNumber)?.asNumber();
+        attachments.push({
+            name: pdf.isEncrypted ? null : fileName,
+            size: size ?? (embedded instanceof PDFStream ? embedded.getContentsSize() : null)
+        });
+    });
+    walkNameTree(namesDict?.lookup(name('JavaScript')), () => {
+        javascript = true;
+    });
+
+    // Fonts, images and JavaScript actions, from every object in the file
+    const fonts = new Map();
+    const softMasks = new Set();
+    const images = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        const dict = object instanceof PDFStream ? object.dict : object;
+        if (!(dict instanceof PDFDict)) continue;
+
+        const type = dict.lookupMaybe(name('Type'), PDFName)?.decodeText();
+        const subtype = dict.lookupMaybe(name('Subtype'), PDFName)?.decodeText();
+
+        if (dict.has(name('JS')) || dict.lookupMaybe(name('S'), PDFName)?.decodeText() === 'JavaScript') {
+            javascript = true;
+        }
+
+        if (object instanceof PDFStream && subtype === 'Image') {
+            const mask = dict.get(name('SMask'));
+            if (mask) softMasks.add(mask.toString());
+            images.push({
+                ref: ref.toString(),
+                width: dict.lookupMaybe(name('Width'), PDFNumber)?.asNumber() || 0,
+                height: dict.lookupMaybe(name('Height'), PDFNumber)?.asNumber() || 0,
+                size: object.getContentsSize()
+            });
+        } else if (type === 'Font' && subtype !== 'Type3' && !['CIDFontType0', 'CIDFontType2'].includes(subtype)) {
+            const baseFont = dict.lookupMaybe(name('BaseFont'), PDFName)?.decodeText() || 'Unnamed';
+            // Composite (Type0) fonts keep their descriptor on the descendant font
+            const descendant = dict.lookupMaybe(name('DescendantFonts'), PDFArray)?.lookup(0);
+            const descriptor = (descendant instanceof PDFDict ? descendant : dict).lookupMaybe(name('FontDescriptor'), PDFDict);
+            const embedded = Boolean(descriptor && ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(name(key))));
+            const subset = /^[A-Z]{6}\+/.test(baseFont);
+            const fontName = subset ? baseFont.slice(7) : baseFont;
+            const key = `${fontName}|${subtype}|${embedded}`;
+
+            if (!fonts.has(key)) {
+                fonts.set(key, { name: fontName, type: subtype || null, embedded, subset });
+            }
+        }
+    }
+
+    // Soft masks are the alpha channel of another image, not images of their own
+    const pictures = images.filter(image => !softMasks.has(image.ref));
+    const outlines = countOutlines(catalog);
+
+    return {
+        version: readVersion(pdfBuffer, pdf),
+        size: pdfBuffer.length,
+        pageCount: pages.length,
+        pageSizes,
+        pages,
+        encrypted: pdf.isEncrypted,
+        encryption,
+        forms: {
+            present: Boolean(acroForm),
+            fieldCount,
+            xfa: Boolean(acroForm?.has(name('XFA')))
+        },
+        annotations: {
+            count: Object.values(annotationTypes).reduce((sum, n) => sum + n, 0),
+            types: annotationTypes
+        },
+        attachments,
+        javascript,
+        outlines: {
+            present: outlines.count > 0,
+            ...outlines
+        },
+        fonts: [...fonts.values()].sort((a, b) => a.name.localeCompare(b.name)),
+        images: {
+            count: pictures.length,
+            totalSize: pictures.reduce((sum, image) => sum + image.size, 0),
+            largest: pictures.reduce((largest, image) =>
+                (!largest || image.width * image.height > largest.width * largest.height
+                    ? { width: image.width, height: image.height }
+                    : largest), null)
+        },
+        // Strings of encrypted files are unreadable without the password
+        metadata: pdf.isEncrypted ? null : readMetadata(pdf)
+    };
+};
+
+module.exports = {
+    inspectPdf
+};
@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const {
+    PDFDocument,
+    PDFStreamWriter,
+    PDFHeader,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFNumber,
+    PDFBool,
+    PDFRef,
+    PDFRawStream
+} = require('pdf-lib');
+
+/**
+ * PDF Optimization Service
+ * Makes PDFs smaller without rendering them:
+ * - Downsample and re-encode embedded images as JPEG
+ * - Share identical streams, fonts and graphics states instead of keeping copies
+ * - Drop objects that nothing refers to
+ * - Compress uncompressed streams and pack objects into object streams
+ */
+
+// Image resolution and JPEG quality per profile
+const OPTIMIZE_PROFILES = {
+    screen: { dpi: 72, quality: 50 },
+    ebook: { dpi: 150, quality: 70 },
+    print: { dpi: 300, quality: 85 }
+};
+
+// Images smaller than this are left alone, in bytes (re-encoding gains little)
+const MIN_IMAGE_BYTES = 4 * 1024;
+
+// Dictionary types that are shared when identical (pages and annotations keep their identity)
+const SHARED_DICT_TYPES = ['Font', 'FontDescriptor', 'ExtGState', 'Encoding'];
+
+// Deduplication passes; each pass can make the objects referring to merged ones identical
+const MAX_DEDUPE_PASSES = 4;
+
+/**
+ * Number of colour components of an image colour space that can be re-encoded as JPEG
+ * @param {PDFObject} colorSpace - ColorSpace entry of an image (resolved)
+ * @param {PDFContext} context - Document context
+ * @returns {number|null} 1 or 3, or null if the colour space is not supported
+ */
+const jpegComponents = (colorSpace, context) => {
+    let name = colorSpace instanceof PDFName ? colorSpace.decodeText() : null;
+    if (colorSpace instanceof PDFArray) {
+        name = colorSpace.lookupMaybe(0, PDFName)?.decodeText();
+        if (name === 'ICCBased') {
+            const profile = context.lookup(colorSpace.get(1));
+            const n = profile?.dict?.lookupMaybe(PDFName.of('N'), PDFNumber)?.asNumber();
+            return n === 1 || n === 3 ? n : null;
+        }
+    }
+    if (name === 'DeviceGray' || name === 'CalGray') return 1;
+    if (name === 'DeviceRGB' || name === 'CalRGB') return 3;
+    return null;
+};
+
+/**
+ * Undo PNG predictors (Predictor 10-15) of Flate-encoded image data
+ * @param {Buffer} data - Inflated data, one filter-type byte per row
+ * @param {number} rowLength - Bytes per row, without the filter-type byte
+ * @param {number} bytesPerPixel - Bytes per pixel
+ * @returns {Buffer|null} Unfiltered rows, or null if the data is malformed
+ */
+const unfilterPng = (data, rowLength, bytesPerPixel) => {
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = Buffer.alloc(rows * rowLength);
+
+    for (let row = 0; row < rows; row++) {
+        const type = data[row * (rowLength + 1)];
+        const input = row * (rowLength + 1) + 1;
+        const start = row * rowLength;
+
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? output[start + i - bytesPerPixel] : 0;
+            const up = row > 0 ? output[start - rowLength + i] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? output[start - rowLength + i - bytesPerPixel] : 0;
+            let predicted;
+            switch (type) {
+                case 0: predicted = 0; break;
+                case 1: predicted = left; break;
+                case 2: predicted = up; break;
+                case 3: predicted = (left + up) >> 1; break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                    break;
+                }
+                default: return null;
+            }
+            output[start + i] = (data[input + i] + predicted) & 0xff;
+        }
+    }
+    return output;
+};
+
+/**
+ * Build a sharp pipeline for an image XObject, if it can be re-encoded safely
+ * Only 8-bit grey or RGB images stored as JPEG or Flate pixels qualify; masks,
+ * colour-key masks, Decode arrays and other colour spaces are left untouched
+ * @param {PDFRawStream} stream - Image stream
+ * @param {PDFContext} context - Document context
+ * @returns {{ image: Object, width: number, height: number, components: number }|null} Pipeline, or null
+ */
+const readImage = (stream, context) => {
+    const { dict } = stream;
+    const get = (key, type) => dict.lookupMaybe(PDFName.of(key), type);
+
+    if (get('ImageMask', PDFBool)?.asBoolean() || dict.has(PDFName.of('Decode')) || dict.has(PDFName.of('Mask'))) {
+        return null;
+    }
+    const width = get('Width', PDFNumber)?.asNumber();
+    const height = get('Height', PDFNumber)?.asNumber();
+    const components = jpegComponents(dict.lookup(PDFName.of('ColorSpace')), context);
+    if (!width || !height || !components) return null;
+
+    const filter = dict.lookup(PDFName.of('Filter'));
+    const filterName = filter instanceof PDFName ? filter.decodeText()
+        : filter instanceof PDFArray && filter.size() === 1 ? filter.lookupMaybe(0, PDFName)?.decodeText() : null;
+
+    if (filterName === 'DCTDecode') {
+        return { image: sharp(Buffer.from(stream.contents)), width, height, components };
+    }
+    if (filterName !== 'FlateDecode' || (get('BitsPerComponent', PDFNumber)?.asNumber() ?? 8) !== 8) {
+        return null;
+    }
+
+    let params = dict.lookup(PDFName.of('DecodeParms'));
+    if (params instanceof PDFArray) params = params.lookup(0);
+    const predictor = params instanceof PDFDict ? params.lookupMaybe(PDFName.of('Predictor'), PDFNumber)?.asNumber() ?? 1 : 1;
+    if (predictor !== 1 && predictor < 10) return null;
+
+    let pixels = zlib.inflateSync(Buffer.from(stream.contents));
+    if (predictor >= 10) {
+        pixels = unfilterPng(pixels, width * components, components);
+    }
+    if (!pixels || pixels.length < width * height * components) return null;
+
+    return {
+        image: sharp(pixels.subarray(0, width * height * components), { raw: { width, height, channels: components } }),
+        width,
+        height,
+        components
+    };
+};
+
+/**
+ * Re-encode an image XObject as a JPEG no larger than the profile needs
+ * @param {PDFRawStream} stream - Image stream
+ * @param {PDFContext} context - Document context
+ * @param {number} maxDimension - Largest width or height kept, in pixels
+ * @param {number} quality - JPEG quality
+ * @returns {Promise<PDFRawStream|null>} Smaller stream, or null if the image is kept
+ */
+const recompressImage = async (stream, context, maxDimension, quality) => {
+    const source = readImage(stream, context);
+    if (!source) return null;
+
+    const { width, height, components } = source;
+    // Images that already fit are only re-encoded, and kept unless that makes them smaller
+    let pipeline = source.image;
+    if (width > maxDimension || height > maxDimension) {
+        pipeline = pipeline.resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+    }
+    if (components === 1) pipeline = pipeline.toColourspace('b-w');
+
+    const { data, info } = await pipeline.jpeg({ quality, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+    if (info.channels !== components || data.length >= stream.contents.length) return null;
+
+    const dict = stream.dict.clone(context);
+    dict.set(PDFName.of('Width'), PDFNumber.of(info.width));
+    dict.set(PDFName.of('Height'), PDFNumber.of(info.height));
+    dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+    dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    dict.set(PDFName.of('Length'), PDFNumber.of(data.length));
+    dict.delete(PDFName.of('DecodeParms'));
+    return PDFRawStream.of(dict, new Uint8Array(data));
+};
+
+/**
+ * Replace references in an object, in place
+ * @param {PDFObject} object - Object (dictionaries, arrays and stream dictionaries are walked)
+ * @param {Map} replacements - Reference string => PDFRef to use instead
+ * @returns {PDFObject} The object, or its replacement reference
+ */
+const replaceRefs = (object, replacements) => {
+    if (object instanceof PDFRef) return replacements.get(object.toString()) || object;
+    if (object instanceof PDFRawStream) {
+        replaceRefs(object.dict, replacements);
+    } else if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+            object.set(key, replaceRefs(value, replacements));
+        }
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) {
+            object.set(i, replaceRefs(object.get(i), replacements));
+        }
+    }
+    return object;
+};
+
+/**
+ * Point every reference to an identical stream or shared dictionary at one copy
+ * @param {PDFContext} context - Document context
+ * @returns {number} Number of objects that became unused
+ */
+const dedupeObjects = (context) => {
+    let removed = 0;
+
+    for (let pass = 0; pass < MAX_DEDUPE_PASSES; pass++) {
+        const canonical = new Map();
+        const replacements = new Map();
+
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            let key = null;
+            if (object instanceof PDFRawStream) {
+                const hash = crypto.createHash('sha256').update(object.contents).digest('hex');
+                key = `stream:${object.dict.toString()}:${hash}`;
+            } else if (object instanceof PDFDict) {
+                const type = object.lookupMaybe(PDFName.of('Type'), PDFName)?.decodeText();
+                if (SHARED_DICT_TYPES.includes(type)) key = `dict:${object.toString()}`;
+            }
+            if (!key) continue;
+
+            if (canonical.has(key)) {
+                replacements.set(ref.toString(), canonical.get(key));
+            } else {
+                canonical.set(key, ref);
+            }
+        }
+
+        if (replacements.size === 0) break;
+        for (const [, object] of context.enumerateIndirectObjects()) {
+            replaceRefs(object, replacements);
+        }
+        for (const key of Object.keys(context.trailerInfo)) {
+            context.trailerInfo[key] = replaceRefs(context.trailerInfo[key], replacements);
+        }
+        removed += replacements.size;
+    }
+
+    return removed;
+};
+
+/**
+ * Delete objects that cannot be reached from the trailer
+ * Leftover object streams, cross-reference streams and orphaned resources go this way
+ * @param {PDFContext} context - Document context
+ * @returns {number} Number of objects deleted
+ */
+const removeUnusedObjects = (context) => {
+    const reachable = new Set();
+    const pending = [context.trailerInfo.Root, context.trailerInfo.Info];
+
+    while (pending.length > 0) {
+        const object = pending.pop();
+        if (object instanceof PDFRef) {
+            const key = object.toString();
+            if (reachable.has(key)) continue;
+            reachable.add(key);
+            pending.push(context.lookup(object));
+        } else if (object instanceof PDFRawStream) {
+            pending.push(object.dict);
+        } else if (object instanceof PDFDict) {
+            pending.push(...object.values());
+        } else if (object instanceof PDFArray) {
+            pending.push(...object.asArray());
+        }
+    }
+
+    let removed = 0;
+    for (const [ref] of context.enumerateIndirectObjects()) {
+        if (!reachable.has(ref.toString())) {
+            context.delete(ref);
+            removed++;
+        }
+    }
+    return removed;
+};
+
+/**
+ * Flate-compress streams that are stored without a filter (XMP metadata stays readable)
+ * @param {PDFContext} context - Document context
+ */
+const compressPlainStreams = (context) => {
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream) || object.dict.has(PDFName.of('Filter'))) continue;
+        if (object.dict.lookupMaybe(PDFName.of('Type'), PDFName)?.decodeText() === 'Metadata') continue;
+
+        const compressed = zlib.deflateSync(Buffer.from(object.contents), { level: 9 });
+        if (compressed.length >= object.contents.length) continue;
+
+        const dict = object.dict.clone(context);
+        dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+        dict.set(PDFName.of('Length'), PDFNumber.of(compressed.length));
+        dict.delete(PDFName.of('DecodeParms'));
+        context.assign(ref, PDFRawStream.of(dict, new Uint8Array(compressed)));
+    }
+};
+
+/**
+ * Optimize a PDF for a profile
+ * @param {Buffer} pdfBuffer - Unencrypted PDF buffer
+ * @param {string} profile - screen, ebook or print
+ * @param {Function} onProgress - Optional (imagesDone, totalImages) callback
+ * @returns {Promise<{ buffer: Buffer, images: number, imagesRecompressed: number, duplicatesRemoved: number, unusedRemoved: number }>}
+ */
+const optimizePdf = async (pdfBuffer, profile = 'ebook', onProgress = () => {}) => {
+    const { dpi, quality } = OPTIMIZE_PROFILES[profile];
+    const pdf = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const { context } = pdf;
+
+    // Images are never kept larger than needed to cover the largest page at the profile resolution
+    const longestSide = Math.max(...pdf.getPages().map(page => {
+        const { width, height } = page.getSize();
+        return Math.max(width, height);
+    }));
+    const maxDimension = Math.ceil((longestSide / 72) * dpi);
+
+    // Soft masks are the alpha channel of another image and are kept lossless
+    const softMasks = new Set();
+    const images = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream)) continue;
+        if (object.dict.lookupMaybe(PDFName.of('Subtype'), PDFName)?.decodeText() !== 'Image') continue;
+        const mask = object.dict.get(PDFName.of('SMask'));
+        if (mask instanceof PDFRef) softMasks.add(mask.toString());
+        images.push([ref, object]);
+    }
+
+    let imagesRecompressed = 0;
+    for (const [index, [ref, stream]] of images.entries()) {
+        if (!softMasks.has(ref.toString()) && stream.contents.length >= MIN_IMAGE_BYTES) {
+            try {
+                const smaller = await recompressImage(stream, context, maxDimension, quality);
+                if (smaller) {
+                    context.assign(ref, smaller);
+                    imagesRecompressed++;
+                }
+            } catch (error) {
+                // Images that cannot be decoded are kept as they are
+            }
+        }
+        onProgress(index + 1, images.length);
+    }
+
+    const duplicatesRemoved = dedupeObjects(context);
+    const unusedRemoved = removeUnusedObjects(context);
+    compressPlainStreams(context);
+
+    // Object streams need PDF 1.5
+    const version = parseFloat(context.header.toString().match(/\d+\.\d+/)?.[0]) || 1.7;
+    if (version < 1.5) context.header = PDFHeader.forVersion(1, 5);
+
+    const buffer = await PDFStreamWriter.forContext(context, Infinity, true, 100).serializeToBuffer();
+
+    return {
+        buffer: Buffer.from(buffer),
+        images: images.filter(([ref]) => !softMasks.has(ref.toString())).length,
+        imagesRecompressed,
+        duplicatesRemoved,
+        unusedRemoved
+    };
+};
+
+module.exports = {
+    optimizePdf,
+    OPTIMIZE_PROFILES
+};
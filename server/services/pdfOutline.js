@@ -0,0 +1,251 @@
+const {
+    PDFDict,
+    PDFArray,
+    PDFName,
+    PDFNumber,
+    PDFNull,
+    PDFString,
+    PDFHexString,
+    PDFRef
+} = require('pdf-lib');
+
+/**
+ * PDF Outline Service
+ * Reads bookmarks (the document outline) into a plain tree and writes such a
+ * tree back into a document, so bookmarks can survive page copies between documents
+ *
+ * Outline items are { title, pageIndex, view, open, children }:
+ * - pageIndex: 0-based target page, or null when the target cannot be resolved
+ * - view: how the page is shown, e.g. ['XYZ', 0, 792, null] or ['Fit'] (null for the default)
+ * - open: whether the item's children are shown
+ */
+
+// Deepest outline level that is read (guards against malformed, deeply nested outlines)
+const MAX_OUTLINE_DEPTH = 32;
+
+/**
+ * Collect the leaves of a name tree (e.g. /EmbeddedFiles, /Dests)
+ * @param {PDFDict} node - Name tree node
+ * @param {Function} visit - (name, value) callback
+ * @param {Set} seen - Nodes already visited (guards against cycles)
+ */
+const walkNameTree = (node, visit, seen = new Set()) => {
+    if (!(node instanceof PDFDict) || seen.has(node)) return;
+    seen.add(node);
+
+    const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    for (let i = 0; names && i + 1 < names.size(); i += 2) {
+        const name = names.lookup(i);
+        visit(name?.decodeText ? name.decodeText() : String(name), names.lookup(i + 1));
+    }
+
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    for (let i = 0; kids && i < kids.size(); i++) {
+        walkNameTree(kids.lookup(i), visit, seen);
+    }
+};
+
+/**
+ * Text of a PDF string or name
+ * @param {PDFObject} object - String, hex string or name
+ * @returns {string} Text (empty if not text)
+ */
+const textOf = (object) => {
+    if (object instanceof PDFString || object instanceof PDFHexString || object instanceof PDFName) {
+        return object.decodeText();
+    }
+    return '';
+};
+
+/**
+ * Build a resolver for the destinations of a document
+ * @param {PDFDocument} pdf - Loaded document
+ * @returns {Function} (destination) => { pageIndex, view }
+ */
+const createDestinationResolver = (pdf) => {
+    const pageRefs = pdf.getPages().map(page => page.ref);
+    let namedDestinations = null;
+
+    // Named destinations: the PDF 1.1 /Dests dictionary and the /Names /Dests name tree
+    const lookupNamed = (name) => {
+        if (!namedDestinations) {
+            namedDestinations = new Map();
+            const dests = pdf.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+            for (const [key, value] of dests ? dests.entries() : []) {
+                namedDestinations.set(key.decodeText(), pdf.context.lookup(value));
+            }
+            const names = pdf.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+            walkNameTree(names?.lookup(PDFName.of('Dests')), (key, value) => namedDestinations.set(key, value));
+        }
+        return namedDestinations.get(name);
+    };
+
+    const resolve = (destination, depth = 0) => {
+        if (destination instanceof PDFRef) destination = pdf.context.lookup(destination);
+        if (depth < 2 && (destination instanceof PDFName || destination instanceof PDFString || destination instanceof PDFHexString)) {
+            return resolve(lookupNamed(textOf(destination)), depth + 1);
+        }
+        // Named destinations may be wrapped in a dictionary
+        if (destination instanceof PDFDict) {
+            return resolve(destination.get(PDFName.of('D')), depth + 1);
+        }
+        if (!(destination instanceof PDFArray) || destination.size() === 0) {
+            return { pageIndex: null, view: null };
+        }
+
+        const target = destination.get(0);
+        const pageIndex = target instanceof PDFRef ? pageRefs.indexOf(target) : -1;
+        const view = destination.asArray().slice(1).map(value => {
+            const object = pdf.context.lookup(value);
+            if (object instanceof PDFName) return object.decodeText();
+            if (object instanceof PDFNumber) return object.asNumber();
+            return null;
+        });
+
+        return {
+            pageIndex: pageIndex === -1 ? null : pageIndex,
+            view: typeof view[0] === 'string' ? view : null
+        };
+    };
+
+    return resolve;
+};
+
+/**
+ * Read the outline of a document
+ * @param {PDFDocument} pdf - Loaded document
+ * @returns {Object[]} Top-level outline items (empty if the document has none)
+ */
+const readOutline = (pdf) => {
+    const outlines = pdf.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!outlines) return [];
+
+    const resolve = createDestinationResolver(pdf);
+    const seen = new Set();
+
+    const readItems = (first, depth) => {
+        const items = [];
+        let item = pdf.context.lookup(first);
+
+        while (item instanceof PDFDict && !seen.has(item) && depth < MAX_OUTLINE_DEPTH) {
+            seen.add(item);
+
+            // Destination, or a go-to action
+            let destination = item.get(PDFName.of('Dest'));
+            if (!destination) {
+                const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+                if (action?.lookupMaybe(PDFName.of('S'), PDFName)?.decodeText() === 'GoTo') {
+                    destination = action.get(PDFName.of('D'));
+                }
+            }
+
+            const count = item.lookupMaybe(PDFName.of('Count'), PDFNumber)?.asNumber() || 0;
+            items.push({
+                title: textOf(item.lookup(PDFName.of('Title'))),
+                ...resolve(destination),
+                open: count > 0,
+                children: readItems(item.get(PDFName.of('First')), depth + 1)
+            });
+
+            item = item.lookup(PDFName.of('Next'));
+        }
+        return items;
+    };
+
+    return readItems(outlines.get(PDFName.of('First')), 0);
+};
+
+/**
+ * Number of items shown when an item is opened, counting open descendants
+ * @param {Object[]} children - Child items
+ * @returns {number} Visible descendant count
+ */
+const visibleCount = (children) => children.reduce(
+    (sum, child) => sum + 1 + (child.open ? visibleCount(child.children) : 0),
+    0
+);
+
+/**
+ * Replace the outline of a document
+ * @param {PDFDocument} pdf - Document to write into
+ * @param {Object[]} items - Top-level outline items; pageIndex refers to pages of this document
+ */
+const writeOutline = (pdf, items) => {
+    const { context } = pdf;
+    const pageRefs = pdf.getPages().map(page => page.ref);
+
+    if (items.length === 0) {
+        pdf.catalog.delete(PDFName.of('Outlines'));
+        return;
+    }
+
+    // Link a list of siblings under a parent and return the refs of the first and last
+    const writeItems = (siblings, parentRef) => {
+        const refs = siblings.map(() => context.nextRef());
+
+        siblings.forEach((item, i) => {
+            const dict = context.obj({
+                Title: PDFHexString.fromText(item.title || 'Untitled'),
+                Parent: parentRef
+            });
+            if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+            if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+            const pageRef = pageRefs[item.pageIndex];
+            if (pageRef) {
+                const view = item.view || ['Fit'];
+                dict.set(PDFName.of('Dest'), context.obj([
+                    pageRef,
+                    PDFName.of(view[0]),
+                    ...view.slice(1).map(value => (typeof value === 'number' ? PDFNumber.of(value) : PDFNull))
+                ]));
+            }
+
+            if (item.children?.length > 0) {
+                const { first, last } = writeItems(item.children, refs[i]);
+                const count = visibleCount(item.children);
+                dict.set(PDFName.of('First'), first);
+                dict.set(PDFName.of('Last'), last);
+                dict.set(PDFName.of('Count'), PDFNumber.of(item.open ? count : -count));
+            }
+
+            context.assign(refs[i], dict);
+        });
+
+        return { first: refs[0], last: refs[refs.length - 1] };
+    };
+
+    const outlinesRef = context.nextRef();
+    const { first, last } = writeItems(items, outlinesRef);
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: first,
+        Last: last,
+        Count: visibleCount(items)
+    }));
+    pdf.catalog.set(PDFName.of('Outlines'), outlinesRef);
+};
+
+/**
+ * Move outline items to other pages, e.g. after copying pages into another document
+ * Items whose page is not mapped keep their title but lose their destination
+ * @param {Object[]} items - Outline items
+ * @param {Function} mapPage - (pageIndex) => new page index, or null/undefined if the page is gone
+ * @returns {Object[]} New outline items
+ */
+const remapOutline = (items, mapPage) => items.map(item => {
+    const pageIndex = item.pageIndex === null ? null : mapPage(item.pageIndex) ?? null;
+    return {
+        ...item,
+        pageIndex,
+        view: pageIndex === null ? null : item.view,
+        children: remapOutline(item.children, mapPage)
+    };
+});
+
+module.exports = {
+    readOutline,
+    writeOutline,
+    remapOutline,
+    walkNameTree
+};
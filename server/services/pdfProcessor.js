@@ -1,25 +1,305 @@
-const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+const {
+    PDFDocument,
+    PageSizes,
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath,
+    concatTransformationMatrix,
+    degrees,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFNumber,
+    PDFTextField,
+    PDFCheckBox,
+    PDFRadioGroup,
+    PDFDropdown,
+    PDFOptionList,
+    PDFButton,
+    PDFSignature
+} = require('pdf-lib');
+const { readOutline, writeOutline, remapOutline } = require('./pdfOutline');
 
 /**
  * PDF Processing Service
  * Handles operations that Cloudinary cannot perform:
  * - Merge multiple PDFs
- * - Split PDF by pages
+ * - Split PDF by page ranges, page count, file size, odd/even pages or bookmarks
  * - Reorder PDF pages
+ * - Rotate PDF pages
+ * - Delete, duplicate and insert blank pages
+ * - Normalize page sizes and adjust margins (crop and trim boxes)
+ * - Impose pages: N-up sheets and saddle-stitch booklets
+ * - Build a PDF from images
+ * - Read and write document properties (metadata)
+ * - List, fill and flatten form fields (AcroForms)
  */
 
+// Clockwise rotations accepted for pages, in degrees
+const ROTATION_ANGLES = [90, 180, 270];
+
+// Points per millimetre (PDF units are 1/72 inch)
+const POINTS_PER_MM = 72 / 25.4;
+
+// Standard page sizes, in points (portrait)
+const PAGE_SIZES = {
+    a4: PageSizes.A4,
+    letter: PageSizes.Letter
+};
+
+// Page sizes for images-to-PDF; "fit" sizes each page to its image
+const IMAGE_PAGE_SIZES = {
+    fit: null,
+    ...PAGE_SIZES
+};
+
+// Ways splitPdf divides a document
+const SPLIT_MODES = ['ranges', 'every', 'size', 'odd-even', 'pages', 'bookmarks'];
+
+// Longest bookmark title used in the part names of a split by bookmarks
+const MAX_PART_TITLE_LENGTH = 60;
+
+// Operations accepted by editPdfPages
+const PAGE_OPERATIONS = ['delete', 'duplicate', 'insert-blank'];
+
+// Most copies or blank pages a single operation may add
+const MAX_PAGES_PER_OPERATION = 50;
+
+// How an image is placed in the page area inside the margins
+const IMAGE_FIT_MODES = ['contain', 'cover', 'stretch'];
+
+// Page orientation for fixed page sizes; "auto" turns the page to match each image
+const IMAGE_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+// Imposition: N-up grids, or saddle-stitch booklets (two pages per side, folded in the middle)
+const IMPOSITION_LAYOUTS = ['grid', 'booklet'];
+
+// Pages per sheet for grids, as [columns, rows] on a portrait sheet (landscape sheets swap them)
+const IMPOSITION_GRIDS = {
+    2: [1, 2],
+    4: [2, 2],
+    6: [2, 3]
+};
+
+// Sheet sizes pages are imposed on, in points (portrait)
+const IMPOSITION_SHEET_SIZES = {
+    ...PAGE_SIZES,
+    a3: PageSizes.A3,
+    tabloid: PageSizes.Tabloid
+};
+
+// Order pages fill a sheet: rows left to right, rows right to left, or columns top to bottom
+// (rtl also binds booklets on the right)
+const IMPOSITION_ORDERS = ['ltr', 'rtl', 'ttb'];
+
+// Paper sizes pages can be normalized to, in points (portrait)
+const NORMALIZE_PAGE_SIZES = {
+    ...IMPOSITION_SHEET_SIZES,
+    a5: PageSizes.A5,
+    legal: PageSizes.Legal
+};
+
+// How page content is placed on the new paper size: scaled to fit inside it,
+// scaled to fill it (the overflow is cut off), or centred at its own size
+const NORMALIZE_MODES = ['fit', 'fill', 'center'];
+
+// Boxes margins can be set on: crop (what viewers show; also sets the trim box) or trim (finished size for printing)
+const MARGIN_BOXES = ['crop', 'trim'];
+
+// Page sides in clockwise order, as used by margins
+const PAGE_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Page boxes that follow the content when a page is resized
+const SECONDARY_BOXES = ['TrimBox', 'BleedBox', 'ArtBox'];
+
+// Document properties: Info dictionary keys, and the catalog's /Lang for language
+const METADATA_KEYS = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator',
+    producer: 'Producer',
+    creationDate: 'CreationDate',
+    modificationDate: 'ModDate',
+    language: 'Lang'
+};
+const METADATA_FIELDS = Object.keys(METADATA_KEYS);
+const METADATA_DATE_FIELDS = ['creationDate', 'modificationDate'];
+
+// Form field types, as reported when listing fields
+const FORM_FIELD_TYPES = [
+    [PDFTextField, 'text'],
+    [PDFCheckBox, 'checkbox'],
+    [PDFRadioGroup, 'radio'],
+    [PDFDropdown, 'dropdown'],
+    [PDFOptionList, 'optionList'],
+    [PDFButton, 'button'],
+    [PDFSignature, 'signature']
+];
+
+/**
+ * Read document properties from a loaded PDF
+ * Values that are missing or malformed are reported as null
+ * @param {PDFDocument} pdf - Loaded document
+ * @returns {Object} Properties keyed by METADATA_FIELDS (dates as ISO strings)
+ */
+const readMetadata = (pdf) => {
+    const read = (getter) => {
+        try {
+            return getter() ?? null;
+        } catch (e) {
+            return null;
+        }
+    };
+    const creationDate = read(() => pdf.getCreationDate());
+    const modificationDate = read(() => pdf.getModificationDate());
+
+    return {
+        title: read(() => pdf.getTitle()),
+        author: read(() => pdf.getAuthor()),
+        subject: read(() => pdf.getSubject()),
+        keywords: read(() => pdf.getKeywords()),
+        creator: read(() => pdf.getCreator()),
+        producer: read(() => pdf.getProducer()),
+        creationDate: creationDate ? creationDate.toISOString() : null,
+        modificationDate: modificationDate ? modificationDate.toISOString() : null,
+        language: read(() => pdf.catalog.lookup(PDFName.of('Lang'))?.decodeText())
+    };
+};
+
+/**
+ * Write document properties to a loaded PDF
+ * Fields left undefined are kept; null or empty values remove the property
+ * @param {PDFDocument} pdf - Loaded document
+ * @param {Object} metadata - Properties keyed by METADATA_FIELDS (dates as Date objects)
+ */
+const applyMetadata = (pdf, metadata) => {
+    for (const field of METADATA_FIELDS) {
+        const value = metadata[field];
+        if (value === undefined) continue;
+
+        if (value === null || value === '') {
+            const dict = field === 'language' ? pdf.catalog : pdf.getInfoDict();
+            dict.delete(PDFName.of(METADATA_KEYS[field]));
+            continue;
+        }
+
+        switch (field) {
+            case 'title': pdf.setTitle(value); break;
+            case 'author': pdf.setAuthor(value); break;
+            case 'subject': pdf.setSubject(value); break;
+            // Kept as typed: pdf-lib joins keyword lists with spaces
+            case 'keywords': pdf.setKeywords([value]); break;
+            case 'creator': pdf.setCreator(value); break;
+            case 'producer': pdf.setProducer(value); break;
+            case 'creationDate': pdf.setCreationDate(value); break;
+            case 'modificationDate': pdf.setModificationDate(value); break;
+            case 'language': pdf.setLanguage(value); break;
+        }
+    }
+};
+
 /**
  * Merge multiple PDF buffers into a single PDF
  * @param {Buffer[]} pdfBuffers - Array of PDF file buffers
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ * @param {Object} options - Merge options
+ * @param {Object} options.metadata - Document properties for the merged PDF (see applyMetadata)
+ * @param {string[]} options.bookmarks - One bookmark title per source: adds a top-level bookmark to
+ * the first page of each source, with the source's own bookmarks nested under it
+ * @param {Object} options.normalize - Page size and margins applied to every merged page (see normalizePdfPages)
+ * @param {string[]} options.pageRanges - Pages to take from each source, in parsePageRange syntax
+ * (e.g. "5,1-3"), in the order written (see parsePageSequence); a missing or empty entry takes every page
+ * @param {boolean} options.interleave - Alternate pages from the sources (first page of each, then the
+ * second, ...) instead of appending them; pages left over from longer sources follow in turn
+ * @param {boolean} options.reverseSecond - When interleaving, take the second source's pages last to first
+ * (for the even pages of a double-sided scan, which come out of the scanner backwards)
  * @returns {Promise<Buffer>} Merged PDF buffer
+ * @throws {Error} code INVALID_PAGE_RANGE (with fileIndex, the source's index) for an invalid page range,
+ * code INVALID_MARGINS if the normalize margins leave nothing of a page
  */
-const mergePdfs = async (pdfBuffers) => {
+const mergePdfs = async (pdfBuffers, onProgress = () => {}, options = {}) => {
     const mergedPdf = await PDFDocument.create();
+    const sources = [];
 
     for (const buffer of pdfBuffers) {
-        const pdf = await PDFDocument.load(buffer);
-        const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-        pages.forEach(page => mergedPdf.addPage(page));
+        sources.push(await PDFDocument.load(buffer));
+    }
+
+    // Pages taken from each source, in order
+    const selections = sources.map((pdf, index) => {
+        const pageRange = options.pageRanges?.[index];
+        if (!pageRange || !String(pageRange).trim()) return pdf.getPageIndices();
+        try {
+            return parsePageSequence(pageRange, pdf.getPageCount());
+        } catch (error) {
+            error.fileIndex = index;
+            throw error;
+        }
+    });
+    if (options.interleave && options.reverseSecond && selections[1]) {
+        selections[1].reverse();
+    }
+
+    // Output order as [source index, position in its selection]
+    const order = [];
+    if (options.interleave) {
+        const longest = Math.max(...selections.map(selection => selection.length));
+        for (let position = 0; position < longest; position++) {
+            selections.forEach((selection, index) => {
+                if (position < selection.length) order.push([index, position]);
+            });
+        }
+    } else {
+        selections.forEach((selection, index) => selection.forEach((_, position) => order.push([index, position])));
+    }
+
+    // Copy each source in one go, so pages share its fonts and images
+    const copies = [];
+    for (const [index, pdf] of sources.entries()) {
+        copies.push(await mergedPdf.copyPages(pdf, selections[index]));
+    }
+
+    // Where each source page ended up in the merged PDF (its first copy, if taken more than once)
+    const mergedIndices = sources.map(() => new Map());
+    order.forEach(([index, position], mergedIndex) => {
+        mergedPdf.addPage(copies[index][position]);
+        const pageIndex = selections[index][position];
+        if (!mergedIndices[index].has(pageIndex)) mergedIndices[index].set(pageIndex, mergedIndex);
+        onProgress(mergedIndex + 1, order.length);
+    });
+
+    const outline = [];
+    if (options.bookmarks) {
+        for (const [index, pdf] of sources.entries()) {
+            // A malformed outline only loses the source's own bookmarks
+            let children = [];
+            try {
+                children = remapOutline(readOutline(pdf), pageIndex => mergedIndices[index].get(pageIndex));
+            } catch (e) {
+                children = [];
+            }
+            const firstPage = Math.min(...mergedIndices[index].values());
+            outline.push({ title: options.bookmarks[index], pageIndex: firstPage, view: null, open: false, children });
+        }
+    }
+
+    if (options.normalize) {
+        normalizePages(mergedPdf, options.normalize);
+    }
+
+    if (options.bookmarks) {
+        writeOutline(mergedPdf, outline);
+        // Open with the bookmarks panel showing
+        mergedPdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+
+    if (options.metadata) {
+        applyMetadata(mergedPdf, options.metadata);
     }
 
     const mergedBuffer = await mergedPdf.save();
@@ -55,35 +335,260 @@ const parsePageRange = (pageString, totalPages) => {
 };
 
 /**
- * Split a PDF into multiple PDFs based on page ranges
- * @param {Buffer} pdfBuffer - Original PDF buffer
- * @param {string} pageRanges - Comma-separated page ranges (e.g., "1-3,5,7-10")
- * @returns {Promise<{buffer: Buffer, pages: string}[]>} Array of split PDF buffers with their page info
+ * Parse a page range string strictly into pages in the order written, using the parsePageRange grammar
+ * Unlike parsePageRange, invalid or out-of-range references are reported instead of skipped,
+ * and pages are neither sorted nor de-duplicated ("5,1-3" => [4, 0, 1, 2])
+ * @param {string} pageString - Page range string (e.g. "5,1-3")
+ * @param {number} totalPages - Total number of pages in the PDF
+ * @returns {number[]} 0-based page indices, in order
+ * @throws {Error} code INVALID_PAGE_RANGE
  */
-const splitPdf = async (pdfBuffer, pageRanges) => {
-    const originalPdf = await PDFDocument.load(pdfBuffer);
-    const totalPages = originalPdf.getPageCount();
-    const results = [];
+const parsePageSequence = (pageString, totalPages) => {
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.code = 'INVALID_PAGE_RANGE';
+        return error;
+    };
+
+    const parts = String(pageString ?? '').split(',').map(s => s.trim()).filter(s => s);
+    if (parts.length === 0) {
+        throw invalid('No pages specified');
+    }
 
-    // If pageRanges contains multiple groups separated by semicolons, split into multiple PDFs
-    // Otherwise, create a single PDF with the specified pages
-    const groups = pageRanges.split(';').map(s => s.trim()).filter(s => s);
+    const pages = [];
+    for (const part of parts) {
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) {
+            throw invalid(`Invalid page reference "${part}"`);
+        }
+
+        const start = parseInt(match[1]);
+        const end = match[2] !== undefined ? parseInt(match[2]) : start;
+        if (start > end) {
+            throw invalid(`Invalid page range "${part}": start is after end`);
+        }
+        if (start < 1 || end > totalPages) {
+            throw invalid(`Page ${start < 1 ? start : end} does not exist (the document has ${totalPages} pages)`);
+        }
+
+        for (let i = start; i <= end; i++) pages.push(i - 1);
+    }
 
-    for (const group of groups) {
-        const pageIndices = parsePageRange(group, totalPages);
+    return pages;
+};
 
-        if (pageIndices.length === 0) continue;
+/**
+ * Parse a page range string strictly, using the parsePageRange grammar
+ * Unlike parsePageRange, invalid or out-of-range references are reported instead of skipped
+ * @param {string} pageString - Page range string (e.g. "1-3,5")
+ * @param {number} totalPages - Total number of pages in the PDF
+ * @returns {number[]} Sorted, unique 0-based page indices
+ * @throws {Error} code INVALID_PAGE_RANGE
+ */
+const parsePageRangeStrict = (pageString, totalPages) => [...new Set(parsePageSequence(pageString, totalPages))]
+    .sort((a, b) => a - b);
 
-        const newPdf = await PDFDocument.create();
-        const pages = await newPdf.copyPages(originalPdf, pageIndices);
-        pages.forEach(page => newPdf.addPage(page));
+/**
+ * Compact page label for page indices, e.g. [0, 1, 2, 4] => "1-3,5"
+ * @param {number[]} pageIndices - Sorted 0-based page indices
+ * @returns {string} 1-based page ranges
+ */
+const formatPageRange = (pageIndices) => {
+    const ranges = [];
+    for (const pageIndex of pageIndices) {
+        const last = ranges[ranges.length - 1];
+        if (last && pageIndex === last[1] + 1) {
+            last[1] = pageIndex;
+        } else {
+            ranges.push([pageIndex, pageIndex]);
+        }
+    }
+    return ranges.map(([first, last]) => (first === last ? `${first + 1}` : `${first + 1}-${last + 1}`)).join(',');
+};
 
-        const buffer = await newPdf.save();
+/**
+ * Copy pages of a document into a new PDF
+ * @param {PDFDocument} source - Loaded document
+ * @param {number[]} pageIndices - 0-based page indices, in output order
+ * @param {Object[]} outline - Optional bookmarks for the new PDF (page indices of the new PDF)
+ * @returns {Promise<Buffer>} New PDF buffer
+ */
+const copyPagesToPdf = async (source, pageIndices, outline = []) => {
+    const pdf = await PDFDocument.create();
+    const pages = await pdf.copyPages(source, pageIndices);
+    pages.forEach(page => pdf.addPage(page));
+
+    if (outline.length > 0) {
+        writeOutline(pdf, outline);
+        pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+
+    return Buffer.from(await pdf.save());
+};
+
+/**
+ * Plan the parts of a split (every mode except size)
+ * Parts are { pageIndices, pages, name, title?, outline? }: pages is a label for the
+ * pages in the part, name a short file name suffix (e.g. "p1-3", "odd", "02_Introduction")
+ * @param {PDFDocument} pdf - Loaded document
+ * @param {string} mode - One of SPLIT_MODES except size
+ * @param {Object} options - { pages, every } (see splitPdf)
+ * @returns {Object[]} Parts, in output order
+ * @throws {Error} code NO_BOOKMARKS in bookmarks mode when no top-level bookmark points to a page
+ */
+const planSplit = (pdf, mode, { pages, every }) => {
+    const totalPages = pdf.getPageCount();
+    const allPages = Array.from({ length: totalPages }, (_, i) => i);
+    const byRange = (pageIndices) => {
+        const label = formatPageRange(pageIndices);
+        return { pageIndices, pages: label, name: `p${label}` };
+    };
+
+    switch (mode) {
+        case 'every': {
+            const parts = [];
+            for (let start = 0; start < totalPages; start += every) {
+                parts.push(byRange(allPages.slice(start, start + every)));
+            }
+            return parts;
+        }
+
+        case 'odd-even':
+            return [
+                { pageIndices: allPages.filter(i => i % 2 === 0), pages: 'odd', name: 'odd' },
+                { pageIndices: allPages.filter(i => i % 2 === 1), pages: 'even', name: 'even' }
+            ].filter(part => part.pageIndices.length > 0);
+
+        case 'pages':
+            return allPages.map(i => byRange([i]));
+
+        case 'bookmarks': {
+            // Top-level bookmarks by the page they start on; bookmarks sharing a page share a part
+            const starts = new Map();
+            for (const item of readOutline(pdf)) {
+                if (item.pageIndex === null) continue;
+                if (!starts.has(item.pageIndex)) starts.set(item.pageIndex, []);
+                starts.get(item.pageIndex).push(item);
+            }
+            if (starts.size === 0) {
+                const error = new Error('The PDF has no top-level bookmarks that point to a page');
+                error.code = 'NO_BOOKMARKS';
+                throw error;
+            }
+
+            // Pages before the first bookmark become a part of their own
+            const sections = [...starts.entries()].sort(([a], [b]) => a - b);
+            if (sections[0][0] > 0) sections.unshift([0, []]);
+
+            const width = String(sections.length).length;
+            return sections.map(([start, items], index) => {
+                const end = index + 1 < sections.length ? sections[index + 1][0] : totalPages;
+                const number = String(index + 1).padStart(width, '0');
+                const title = items[0]?.title || null;
+                return {
+                    pageIndices: allPages.slice(start, end),
+                    pages: formatPageRange(allPages.slice(start, end)),
+                    name: `${number}_${(title || 'front').slice(0, MAX_PART_TITLE_LENGTH)}`,
+                    title,
+                    // The part keeps its bookmarks, with their children
+                    outline: remapOutline(items, i => (i >= start && i < end ? i - start : null))
+                };
+            });
+        }
+
+        default: {
+            // Explicit groups separated by semicolons, e.g. "1-3;5;7-10"
+            return pages.split(';').map(s => s.trim()).filter(s => s)
+                .map(group => ({ pageIndices: parsePageRange(group, totalPages), pages: group, name: `p${group.replace(/\s+/g, '').replace(/,/g, '_')}` }))
+                .filter(part => part.pageIndices.length > 0);
+        }
+    }
+};
+
+/**
+ * Split a document into consecutive parts no larger than a byte size
+ * Each part grows by doubling until it is too large, then the largest part that fits is
+ * searched in between; a single page larger than the limit becomes a part of its own
+ * @param {PDFDocument} pdf - Loaded document
+ * @param {number} maxSize - Largest part size in bytes
+ * @param {Function} onProgress - (pagesDone, totalPages) callback
+ * @returns {Promise<Object[]>} Parts with their buffer (see splitPdf)
+ */
+const splitPdfBySize = async (pdf, maxSize, onProgress) => {
+    const totalPages = pdf.getPageCount();
+    const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+    const parts = [];
+
+    for (let start = 0; start < totalPages;) {
+        // end of the largest part known to fit, and of the smallest known not to
+        let fit = start + 1;
+        let fitBuffer = await copyPagesToPdf(pdf, [start]);
+        let tooLarge = fitBuffer.length > maxSize ? fit + 1 : totalPages + 1;
+
+        while (tooLarge - fit > 1 && fit < totalPages) {
+            const end = tooLarge > totalPages
+                ? Math.min(start + (fit - start) * 2, totalPages)
+                : Math.floor((fit + tooLarge) / 2);
+            const buffer = await copyPagesToPdf(pdf, range(start, end));
+            if (buffer.length <= maxSize) {
+                fit = end;
+                fitBuffer = buffer;
+            } else {
+                tooLarge = end;
+            }
+        }
+
+        const label = formatPageRange(range(start, fit));
+        parts.push({
+            buffer: fitBuffer,
+            pages: label,
+            pageCount: fit - start,
+            name: `p${label}`,
+            oversized: fitBuffer.length > maxSize
+        });
+        start = fit;
+        onProgress(fit, totalPages);
+    }
+
+    return parts;
+};
+
+/**
+ * Split a PDF into multiple PDFs
+ * Modes (see SPLIT_MODES):
+ * - ranges: one part per semicolon-separated group of pages (e.g. "1-3;5;7-10")
+ * - every: parts of `every` pages
+ * - size: consecutive parts of at most `maxSize` bytes
+ * - odd-even: odd pages, then even pages
+ * - pages: one part per page
+ * - bookmarks: one part per top-level bookmark, keeping its bookmarks (pages before the first
+ *   bookmark form a part of their own)
+ * @param {Buffer} pdfBuffer - Original PDF buffer
+ * @param {Object|string} options - { mode = 'ranges', pages, every, maxSize }, or page ranges (ranges mode)
+ * @param {Function} onProgress - Optional (done, total) callback, in parts (pages in size mode)
+ * @returns {Promise<{buffer: Buffer, pages: string, pageCount: number, name: string}[]>} Split PDF
+ * buffers with a label of their pages and a file name suffix; bookmark parts also have a title,
+ * and size parts an oversized flag for single pages over the limit
+ * @throws {Error} code NO_BOOKMARKS (bookmarks mode)
+ */
+const splitPdf = async (pdfBuffer, options, onProgress = () => {}) => {
+    const { mode = 'ranges', ...modeOptions } = typeof options === 'string' ? { pages: options } : options;
+    const originalPdf = await PDFDocument.load(pdfBuffer);
+
+    if (mode === 'size') {
+        return splitPdfBySize(originalPdf, modeOptions.maxSize, onProgress);
+    }
+
+    const parts = planSplit(originalPdf, mode, modeOptions);
+    const results = [];
+
+    for (const [index, { pageIndices, outline, ...part }] of parts.entries()) {
         results.push({
-            buffer: Buffer.from(buffer),
-            pages: group,
+            ...part,
+            buffer: await copyPagesToPdf(originalPdf, pageIndices, outline),
             pageCount: pageIndices.length
         });
+        onProgress(index + 1, parts.length);
     }
 
     return results;
@@ -93,9 +598,10 @@ const splitPdf = async (pdfBuffer, pageRanges) => {
  * Reorder pages in a PDF
  * @param {Buffer} pdfBuffer - Original PDF buffer
  * @param {number[]} newOrder - Array of 1-based page numbers in desired order
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
  * @returns {Promise<Buffer>} Reordered PDF buffer
  */
-const reorderPdfPages = async (pdfBuffer, newOrder) => {
+const reorderPdfPages = async (pdfBuffer, newOrder, onProgress = () => {}) => {
     const originalPdf = await PDFDocument.load(pdfBuffer);
     const totalPages = originalPdf.getPageCount();
 
@@ -110,12 +616,502 @@ const reorderPdfPages = async (pdfBuffer, newOrder) => {
 
     const reorderedPdf = await PDFDocument.create();
     const pages = await reorderedPdf.copyPages(originalPdf, validOrder);
-    pages.forEach(page => reorderedPdf.addPage(page));
+    pages.forEach((page, index) => {
+        reorderedPdf.addPage(page);
+        onProgress(index + 1, pages.length);
+    });
 
     const buffer = await reorderedPdf.save();
     return Buffer.from(buffer);
 };
 
+/**
+ * Rotate pages of a PDF clockwise, on top of any rotation they already have
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {{pages: number[], angle: number}[]} rotations - 0-based page indices and angle (90, 180, 270);
+ * a page listed in several entries is rotated by their sum
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ * @returns {Promise<Buffer>} Rotated PDF buffer
+ */
+const rotatePdfPages = async (pdfBuffer, rotations, onProgress = () => {}) => {
+    const pdf = await PDFDocument.load(pdfBuffer);
+    const pages = pdf.getPages();
+
+    // Total extra rotation per page index
+    const angles = new Map();
+    for (const { pages: pageIndices, angle } of rotations) {
+        for (const pageIndex of pageIndices) {
+            angles.set(pageIndex, ((angles.get(pageIndex) || 0) + angle) % 360);
+        }
+    }
+
+    let pagesDone = 0;
+    for (const [pageIndex, angle] of angles) {
+        const page = pages[pageIndex];
+        if (page && angle !== 0) {
+            page.setRotation(degrees((page.getRotation().angle + angle) % 360));
+        }
+        onProgress(++pagesDone, angles.size);
+    }
+
+    const buffer = await pdf.save();
+    return Buffer.from(buffer);
+};
+
+/**
+ * Apply page operations to a PDF, in order; each operation sees the result of the previous ones
+ * - { op: 'delete', pages: '2-4' }
+ * - { op: 'duplicate', pages: '1,3', copies: 1 } (copies follow their original)
+ * - { op: 'insert-blank', after: 0, count: 1, size: 'match' | 'a4' | 'letter', orientation: 'portrait' | 'landscape' }
+ *   (after: page number the blank pages follow, 0 for the start; "match" copies the size of the neighbouring page)
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object[]} operations - Operations to apply
+ * @param {Function} onProgress - Optional (operationsDone, totalOperations) callback
+ * @returns {Promise<Buffer>} Edited PDF buffer
+ * @throws {Error} code INVALID_PAGE_RANGE or INVALID_PAGE_OPERATION, message prefixed with the operation number
+ */
+const editPdfPages = async (pdfBuffer, operations, onProgress = () => {}) => {
+    const pdf = await PDFDocument.load(pdfBuffer);
+
+    for (const [index, operation] of operations.entries()) {
+        const fail = (message, code = 'INVALID_PAGE_OPERATION') => {
+            const error = new Error(`Operation ${index + 1}: ${message}`);
+            error.code = code;
+            return error;
+        };
+        const pageIndices = (pageString) => {
+            try {
+                return parsePageRangeStrict(pageString, pdf.getPageCount());
+            } catch (error) {
+                throw fail(error.message, error.code);
+            }
+        };
+        const countOf = (value, name) => {
+            const count = value === undefined ? 1 : Number(value);
+            if (!Number.isInteger(count) || count < 1 || count > MAX_PAGES_PER_OPERATION) {
+                throw fail(`${name} must be a whole number between 1 and ${MAX_PAGES_PER_OPERATION}`);
+            }
+            return count;
+        };
+
+        switch (operation?.op) {
+            case 'delete': {
+                const indices = pageIndices(operation.pages);
+                if (indices.length === pdf.getPageCount()) {
+                    throw fail('cannot delete every page');
+                }
+                // Remove from the end so earlier indices stay valid
+                for (const pageIndex of indices.reverse()) {
+                    pdf.removePage(pageIndex);
+                }
+                break;
+            }
+
+            case 'duplicate': {
+                const indices = pageIndices(operation.pages);
+                const copies = countOf(operation.copies, 'copies');
+                // Insert from the end so earlier indices stay valid
+                for (const pageIndex of indices.reverse()) {
+                    const duplicates = await pdf.copyPages(pdf, Array(copies).fill(pageIndex));
+                    duplicates.forEach((page, n) => pdf.insertPage(pageIndex + 1 + n, page));
+                }
+                break;
+            }
+
+            case 'insert-blank': {
+                const totalPages = pdf.getPageCount();
+                const after = Number(operation.after ?? totalPages);
+                if (!Number.isInteger(after) || after < 0 || after > totalPages) {
+                    throw fail(`after must be a page number between 0 and ${totalPages}`);
+                }
+                const count = countOf(operation.count, 'count');
+                const { size = 'match', orientation = 'portrait' } = operation;
+
+                let dimensions;
+                if (size === 'match') {
+                    const neighbour = pdf.getPage(after > 0 ? after - 1 : 0);
+                    const { width, height } = neighbour.getSize();
+                    dimensions = [width, height];
+                } else if (PAGE_SIZES[size]) {
+                    const [shortSide, longSide] = PAGE_SIZES[size];
+                    if (!['portrait', 'landscape'].includes(orientation)) {
+                        throw fail('orientation must be portrait or landscape');
+                    }
+                    dimensions = orientation === 'landscape' ? [longSide, shortSide] : [shortSide, longSide];
+                } else {
+                    throw fail(`size must be one of: match, ${Object.keys(PAGE_SIZES).join(', ')}`);
+                }
+
+                for (let n = 0; n < count; n++) {
+                    pdf.insertPage(after + n, dimensions);
+                }
+                break;
+            }
+
+            default:
+                throw fail(`unknown operation "${operation?.op}". Allowed: ${PAGE_OPERATIONS.join(', ')}`);
+        }
+
+        onProgress(index + 1, operations.length);
+    }
+
+    const buffer = await pdf.save();
+    return Buffer.from(buffer);
+};
+
+/**
+ * Read a box of a page, if the page sets it itself
+ * @param {PDFPage} page - Page
+ * @param {string} name - Box name, e.g. TrimBox
+ * @returns {number[]|null} [left, bottom, right, top], or null
+ */
+const readBox = (page, name) => {
+    const box = page.node.lookupMaybe(PDFName.of(name), PDFArray);
+    if (!box || box.size() !== 4) return null;
+    const [x1, y1, x2, y2] = box.asArray().map(value => page.doc.context.lookup(value)?.asNumber?.() ?? 0);
+    return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+};
+
+/**
+ * Move and scale the content of a page; its annotations follow, and content
+ * outside the old crop box stays hidden
+ * @param {PDFPage} page - Page
+ * @param {number} scale - Scale factor
+ * @param {number} dx - Horizontal offset after scaling, in points
+ * @param {number} dy - Vertical offset after scaling, in points
+ */
+const transformPage = (page, scale, dx, dy) => {
+    const { context } = page.doc;
+    const { x, y, width, height } = page.getCropBox();
+
+    if (page.node.Contents()) {
+        page.node.normalize();
+        const start = context.register(context.contentStream([
+            pushGraphicsState(),
+            concatTransformationMatrix(scale, 0, 0, scale, dx, dy),
+            rectangle(x, y, width, height),
+            clip(),
+            endPath()
+        ]));
+        const end = context.register(context.contentStream([popGraphicsState()]));
+        page.node.wrapContentStreams(start, end);
+    }
+
+    const movePoints = (array) => {
+        for (let i = 0; i + 1 < array.size(); i += 2) {
+            const px = array.lookupMaybe(i, PDFNumber)?.asNumber();
+            const py = array.lookupMaybe(i + 1, PDFNumber)?.asNumber();
+            if (px === undefined || py === undefined) continue;
+            array.set(i, PDFNumber.of(px * scale + dx));
+            array.set(i + 1, PDFNumber.of(py * scale + dy));
+        }
+    };
+
+    const annots = page.node.Annots();
+    for (let i = 0; annots && i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        if (!(annot instanceof PDFDict)) continue;
+        for (const key of ['Rect', 'QuadPoints', 'Vertices', 'L', 'CL']) {
+            const points = annot.lookupMaybe(PDFName.of(key), PDFArray);
+            if (points) movePoints(points);
+        }
+        const inkList = annot.lookupMaybe(PDFName.of('InkList'), PDFArray);
+        for (let j = 0; inkList && j < inkList.size(); j++) {
+            const stroke = inkList.lookup(j);
+            if (stroke instanceof PDFArray) movePoints(stroke);
+        }
+    }
+
+    for (const name of SECONDARY_BOXES) {
+        const box = readBox(page, name);
+        if (box) {
+            page.node.set(PDFName.of(name), context.obj(box.map(value => value * scale).map((value, i) => value + (i % 2 ? dy : dx))));
+        }
+    }
+};
+
+/**
+ * Remove or add margins by moving the crop box (or only the trim box)
+ * Sides are as the page is shown, so rotated pages lose the margin the reader expects
+ * @param {PDFPage} page - Page
+ * @param {Object} margins - { top, right, bottom, left } in millimetres; positive values remove, negative values add
+ * @param {string} box - "crop" (default) or "trim"
+ * @throws {Error} code INVALID_MARGINS if the margins leave nothing of the page
+ */
+const adjustPageMargins = (page, margins, box = 'crop') => {
+    const angle = ((page.getRotation().angle % 360) + 360) % 360;
+    const turns = Math.round(angle / 90) % 4;
+    // The unrotated side that is shown at each side of the rotated page
+    const [top, right, bottom, left] = PAGE_SIDES.map((_, index) =>
+        (Number(margins[PAGE_SIDES[(index + turns) % 4]]) || 0) * POINTS_PER_MM
+    );
+
+    const crop = page.getCropBox();
+    const x = crop.x + left;
+    const y = crop.y + bottom;
+    const width = crop.width - left - right;
+    const height = crop.height - top - bottom;
+    if (width < 1 || height < 1) {
+        const error = new Error('The margins leave nothing of the page');
+        error.code = 'INVALID_MARGINS';
+        throw error;
+    }
+
+    // Added margins grow the media box, which every other box must fit in
+    const media = page.getMediaBox();
+    const mediaLeft = Math.min(media.x, x);
+    const mediaBottom = Math.min(media.y, y);
+    const mediaRight = Math.max(media.x + media.width, x + width);
+    const mediaTop = Math.max(media.y + media.height, y + height);
+    page.setMediaBox(mediaLeft, mediaBottom, mediaRight - mediaLeft, mediaTop - mediaBottom);
+
+    if (box === 'trim') {
+        // The crop box must still contain the trim box
+        const cropLeft = Math.min(crop.x, x);
+        const cropBottom = Math.min(crop.y, y);
+        page.setCropBox(cropLeft, cropBottom,
+            Math.max(crop.x + crop.width, x + width) - cropLeft,
+            Math.max(crop.y + crop.height, y + height) - cropBottom);
+        page.setTrimBox(x, y, width, height);
+    } else {
+        page.setCropBox(x, y, width, height);
+        page.setTrimBox(x, y, width, height);
+    }
+};
+
+/**
+ * Scale or pad a page to a paper size
+ * @param {PDFPage} page - Page
+ * @param {Object} options - { size, orientation, mode }, see normalizePdfPages
+ */
+const resizePage = (page, { size, orientation = 'auto', mode = 'fit' }) => {
+    const { x, y, width, height } = page.getCropBox();
+    const angle = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = angle === 90 || angle === 270;
+
+    // Paper size as shown, then in the page's own (unrotated) coordinates
+    const [shortSide, longSide] = NORMALIZE_PAGE_SIZES[size];
+    const shownLandscape = sideways ? height > width : width > height;
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && shownLandscape);
+    const shownWidth = landscape ? longSide : shortSide;
+    const shownHeight = landscape ? shortSide : longSide;
+    const targetWidth = sideways ? shownHeight : shownWidth;
+    const targetHeight = sideways ? shownWidth : shownHeight;
+
+    let scale = 1;
+    if (mode === 'fit') scale = Math.min(targetWidth / width, targetHeight / height);
+    if (mode === 'fill') scale = Math.max(targetWidth / width, targetHeight / height);
+
+    const dx = (targetWidth - width * scale) / 2 - x * scale;
+    const dy = (targetHeight - height * scale) / 2 - y * scale;
+
+    // Pages that already have the size are left as they are
+    const unchanged = Math.abs(scale - 1) < 0.001 && Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5;
+    if (!unchanged) transformPage(page, scale, dx, dy);
+
+    page.setMediaBox(0, 0, targetWidth, targetHeight);
+    page.setCropBox(0, 0, targetWidth, targetHeight);
+    // Other boxes may not extend past the new page
+    for (const name of SECONDARY_BOXES) {
+        const box = readBox(page, name);
+        if (!box) continue;
+        const [left, bottom, right, top] = [
+            Math.max(0, box[0]), Math.max(0, box[1]), Math.min(targetWidth, box[2]), Math.min(targetHeight, box[3])
+        ];
+        if (right - left < 1 || top - bottom < 1) {
+            page.node.delete(PDFName.of(name));
+        } else {
+            page.node.set(PDFName.of(name), page.doc.context.obj([left, bottom, right, top]));
+        }
+    }
+};
+
+/**
+ * Apply margins and a paper size to every page of a loaded document
+ * @param {PDFDocument} pdf - Document to change in place
+ * @param {Object} options - See normalizePdfPages
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ */
+const normalizePages = (pdf, options, onProgress = () => {}) => {
+    const pages = pdf.getPages();
+    pages.forEach((page, index) => {
+        if (options.margins) adjustPageMargins(page, options.margins, options.box);
+        if (options.size) resizePage(page, options);
+        onProgress(index + 1, pages.length);
+    });
+};
+
+/**
+ * Normalize page sizes and margins: margins are applied first, then every page is
+ * scaled or padded to the paper size (pages keep their rotation, text and links)
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} options - Normalize options
+ * @param {string} options.size - Key of NORMALIZE_PAGE_SIZES (optional: margins only)
+ * @param {string} options.orientation - "auto" (each page keeps its own), "portrait" or "landscape"
+ * @param {string} options.mode - One of NORMALIZE_MODES (default "fit")
+ * @param {Object} options.margins - { top, right, bottom, left } in millimetres; positive values remove, negative values add (optional)
+ * @param {string} options.box - Box the margins are set on, one of MARGIN_BOXES (default "crop")
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ * @returns {Promise<Buffer>} Normalized PDF buffer
+ * @throws {Error} code INVALID_MARGINS if the margins leave nothing of a page
+ */
+const normalizePdfPages = async (pdfBuffer, options, onProgress = () => {}) => {
+    const pdf = await PDFDocument.load(pdfBuffer);
+    normalizePages(pdf, options, onProgress);
+    const buffer = await pdf.save();
+    return Buffer.from(buffer);
+};
+
+/**
+ * Page order of a saddle-stitch booklet, padded with blank pages to a multiple of four
+ * Each sheet side holds two pages, listed as [left, right]: the outer side of the first
+ * sheet carries the last and the first page, its inner side the second and second-to-last
+ * @param {number} pageCount - Number of pages
+ * @returns {(number|null)[]} 0-based page indices, two per side; null for blank pages
+ */
+const bookletOrder = (pageCount) => {
+    const total = Math.ceil(pageCount / 4) * 4;
+    const slots = [];
+    for (let sheet = 0; sheet < total / 4; sheet++) {
+        slots.push(total - 1 - 2 * sheet, 2 * sheet, 2 * sheet + 1, total - 2 - 2 * sheet);
+    }
+    return slots.map(pageIndex => (pageIndex < pageCount ? pageIndex : null));
+};
+
+/**
+ * Place several pages on each sheet (N-up), or impose a saddle-stitch booklet
+ * Pages are scaled to fit their cell, keeping their proportions and rotation.
+ * Annotations and form fields are not carried over (flatten forms first)
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} options - Imposition options
+ * @param {string} options.layout - "grid" (default) or "booklet" (two pages per side, print duplex flipping on the short edge)
+ * @param {number} options.pagesPerSheet - 2, 4 or 6, for grids
+ * @param {string} options.sheetSize - Key of IMPOSITION_SHEET_SIZES (default "a4")
+ * @param {string} options.orientation - "auto" (whichever fits the pages larger), "portrait" or "landscape"
+ * @param {number} options.margin - Margin around the sheet, in millimetres
+ * @param {number} options.gutter - Space between pages, in millimetres (the fold of a booklet)
+ * @param {string} options.order - Order pages fill a sheet, one of IMPOSITION_ORDERS (booklets: ltr or rtl)
+ * @param {Function} onProgress - Optional (sheetsDone, totalSheets) callback
+ * @returns {Promise<{buffer: Buffer, sheetCount: number, blankPages: number}>} Imposed PDF, its sheet count and the blank pages added
+ * @throws {Error} code INVALID_LAYOUT if the margins and gutter leave no room for the pages
+ */
+const imposePdf = async (pdfBuffer, options = {}, onProgress = () => {}) => {
+    const {
+        layout = 'grid',
+        pagesPerSheet = 2,
+        sheetSize = 'a4',
+        orientation = 'auto',
+        margin = 10,
+        gutter = 5,
+        order = 'ltr'
+    } = options;
+    const marginPt = Math.max(0, margin) * POINTS_PER_MM;
+    const gutterPt = Math.max(0, gutter) * POINTS_PER_MM;
+
+    const source = await PDFDocument.load(pdfBuffer);
+    const sourcePages = source.getPages();
+    const booklet = layout === 'booklet';
+    const slots = booklet ? bookletOrder(sourcePages.length) : sourcePages.map((page, index) => index);
+
+    // Displayed size of each page: its crop box, turned by its rotation
+    const pageSizes = sourcePages.map(page => {
+        const { width, height } = page.getCropBox();
+        const angle = ((page.getRotation().angle % 360) + 360) % 360;
+        return angle === 90 || angle === 270
+            ? { width: height, height: width, angle }
+            : { width, height, angle };
+    });
+
+    // Sheet and cell geometry for an orientation
+    const geometry = (landscape) => {
+        const [shortSide, longSide] = IMPOSITION_SHEET_SIZES[sheetSize];
+        const [portraitColumns, portraitRows] = booklet ? [1, 2] : IMPOSITION_GRIDS[pagesPerSheet];
+        const columns = landscape ? portraitRows : portraitColumns;
+        const rows = landscape ? portraitColumns : portraitRows;
+        const sheetWidth = landscape ? longSide : shortSide;
+        const sheetHeight = landscape ? shortSide : longSide;
+        return {
+            sheetWidth,
+            sheetHeight,
+            columns,
+            rows,
+            cellWidth: (sheetWidth - marginPt * 2 - gutterPt * (columns - 1)) / columns,
+            cellHeight: (sheetHeight - marginPt * 2 - gutterPt * (rows - 1)) / rows
+        };
+    };
+    const fitScale = ({ cellWidth, cellHeight }, { width, height }) => Math.min(cellWidth / width, cellHeight / height);
+
+    let landscape = orientation === 'landscape';
+    if (orientation === 'auto') {
+        landscape = fitScale(geometry(true), pageSizes[0]) > fitScale(geometry(false), pageSizes[0]);
+    }
+    const sheet = geometry(landscape);
+    if (sheet.cellWidth <= 0 || sheet.cellHeight <= 0) {
+        const error = new Error('The margin and gutter leave no room for the pages');
+        error.code = 'INVALID_LAYOUT';
+        throw error;
+    }
+
+    // Pages without content are left blank (pdf-lib cannot embed them)
+    const pdf = await PDFDocument.create();
+    const drawable = sourcePages.filter(page => page.node.Contents());
+    const embeddedPages = await pdf.embedPages(drawable, drawable.map(page => {
+        const { x, y, width, height } = page.getCropBox();
+        return { left: x, bottom: y, right: x + width, top: y + height };
+    }));
+    const embedded = new Map(drawable.map((page, index) => [page, embeddedPages[index]]));
+
+    const cellsPerSheet = sheet.columns * sheet.rows;
+    const sheetCount = Math.ceil(slots.length / cellsPerSheet);
+
+    for (let sheetIndex = 0; sheetIndex < sheetCount; sheetIndex++) {
+        const page = pdf.addPage([sheet.sheetWidth, sheet.sheetHeight]);
+
+        for (let cell = 0; cell < cellsPerSheet; cell++) {
+            const pageIndex = slots[sheetIndex * cellsPerSheet + cell];
+            const embeddedPage = pageIndex === null || pageIndex === undefined ? null : embedded.get(sourcePages[pageIndex]);
+            if (!embeddedPage) continue;
+
+            const column = order === 'ttb' ? Math.floor(cell / sheet.rows)
+                : order === 'rtl' ? sheet.columns - 1 - (cell % sheet.columns) : cell % sheet.columns;
+            const row = order === 'ttb' ? cell % sheet.rows : Math.floor(cell / sheet.columns);
+
+            // Centre the page in its cell (row 0 is the top of the sheet)
+            const size = pageSizes[pageIndex];
+            const scale = fitScale(sheet, size);
+            const width = size.width * scale;
+            const height = size.height * scale;
+            const x = marginPt + column * (sheet.cellWidth + gutterPt) + (sheet.cellWidth - width) / 2;
+            const y = sheet.sheetHeight - marginPt - (row + 1) * sheet.cellHeight - row * gutterPt + (sheet.cellHeight - height) / 2;
+
+            // Rotated pages are drawn turned clockwise about a corner, so the origin moves to that corner
+            const origins = {
+                0: [x, y],
+                90: [x, y + height],
+                180: [x + width, y + height],
+                270: [x + width, y]
+            };
+            const [originX, originY] = origins[size.angle] || origins[0];
+            page.drawPage(embeddedPage, {
+                x: originX,
+                y: originY,
+                xScale: scale,
+                yScale: scale,
+                rotate: degrees(-size.angle)
+            });
+        }
+
+        onProgress(sheetIndex + 1, sheetCount);
+    }
+
+    const buffer = await pdf.save();
+    return {
+        buffer: Buffer.from(buffer),
+        sheetCount,
+        blankPages: slots.filter(pageIndex => pageIndex === null).length
+    };
+};
+
 /**
  * Get PDF metadata (page count, etc.)
  * @param {Buffer} pdfBuffer - PDF buffer
@@ -130,10 +1126,424 @@ const getPdfInfo = async (pdfBuffer) => {
     };
 };
 
+/**
+ * Read all document properties of a PDF
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<Object>} Properties keyed by METADATA_FIELDS (dates as ISO strings, missing values null)
+ */
+const readPdfMetadata = async (pdfBuffer) => {
+    // updateMetadata: false keeps pdf-lib from replacing Producer and the dates on load
+    const pdf = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    return readMetadata(pdf);
+};
+
+/**
+ * Change document properties of a PDF
+ * The modification date is set to now unless one is given
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Object} metadata - Properties to change (see applyMetadata)
+ * @returns {Promise<{buffer: Buffer, metadata: Object}>} Updated PDF and its properties
+ */
+const writePdfMetadata = async (pdfBuffer, metadata) => {
+    const pdf = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    applyMetadata(pdf, { modificationDate: new Date(), ...metadata });
+
+    const buffer = await pdf.save();
+    return { buffer: Buffer.from(buffer), metadata: readMetadata(pdf) };
+};
+
+/**
+ * Create an error with a code for form operations
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {string} fieldName - Field the error is about (optional)
+ * @returns {Error} Error
+ */
+const formError = (code, message, fieldName) => {
+    const error = new Error(message);
+    error.code = code;
+    if (fieldName) error.fieldName = fieldName;
+    return error;
+};
+
+/**
+ * Type name of a form field
+ * @param {PDFField} field - pdf-lib form field
+ * @returns {string} One of text, checkbox, radio, dropdown, optionList, button, signature (or unknown)
+ */
+const formFieldType = (field) => FORM_FIELD_TYPES.find(([type]) => field instanceof type)?.[1] || 'unknown';
+
+/**
+ * Describe a form field: type, current value, choices and flags
+ * @param {PDFField} field - pdf-lib form field
+ * @param {PDFDocument} pdf - Document the field belongs to
+ * @returns {Object} Field description
+ */
+const describeFormField = (field, pdf) => {
+    const type = formFieldType(field);
+    const pageRefs = pdf.getPages().map(page => page.ref);
+
+    // Pages showing the field: the widget's /P entry, or the page whose /Annots lists it
+    const pages = new Set();
+    for (const widget of field.acroField.getWidgets()) {
+        let pageIndex = pageRefs.indexOf(widget.P());
+        if (pageIndex === -1) {
+            const widgetRef = pdf.context.getObjectRef(widget.dict);
+            pageIndex = pdf.getPages().findIndex(page => page.node.Annots()?.asArray().includes(widgetRef));
+        }
+        if (pageIndex !== -1) pages.add(pageIndex + 1);
+    }
+
+    const description = {
+        name: field.getName(),
+        type,
+        value: null,
+        required: field.isRequired(),
+        readOnly: field.isReadOnly(),
+        pages: [...pages].sort((a, b) => a - b)
+    };
+
+    switch (type) {
+        case 'text':
+            description.value = field.getText() ?? '';
+            description.multiline = field.isMultiline();
+            description.maxLength = field.getMaxLength() ?? null;
+            break;
+        case 'checkbox':
+            description.value = field.isChecked();
+            break;
+        case 'radio':
+            description.value = field.getSelected() ?? null;
+            description.options = field.getOptions();
+            break;
+        case 'dropdown':
+            description.value = field.getSelected();
+            description.options = field.getOptions();
+            description.multiSelect = field.isMultiselect();
+            description.editable = field.isEditable();
+            break;
+        case 'optionList':
+            description.value = field.getSelected();
+            description.options = field.getOptions();
+            description.multiSelect = field.isMultiselect();
+            break;
+        default:
+            break;
+    }
+    return description;
+};
+
+/**
+ * List the form fields of a PDF
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<{fields: Object[], xfa: boolean}>} Field descriptions (see describeFormField), in
+ * document order, and whether the form also has XFA data (which is not read)
+ */
+const listFormFields = async (pdfBuffer) => {
+    const pdf = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const acroForm = pdf.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+    if (!acroForm) {
+        return { fields: [], xfa: false };
+    }
+
+    const xfa = acroForm.has(PDFName.of('XFA'));
+    const fields = pdf.getForm().getFields().map(field => describeFormField(field, pdf));
+    return { fields, xfa };
+};
+
+/**
+ * Set the value of a form field
+ * @param {PDFField} field - pdf-lib form field
+ * @param {*} value - Text for text fields, true/false for checkboxes, an option (or null to clear)
+ * for radio groups, and an option or array of options for dropdowns and option lists
+ * @throws {Error} code INVALID_FORM_VALUE
+ */
+const setFormFieldValue = (field, value) => {
+    const name = field.getName();
+    const type = formFieldType(field);
+    const invalid = (message) => formError('INVALID_FORM_VALUE', `${name}: ${message}`, name);
+    const cleared = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+    switch (type) {
+        case 'text': {
+            if (!['string', 'number'].includes(typeof value) && value !== null) {
+                throw invalid('expected text');
+            }
+            const text = value === null ? '' : String(value);
+            const maxLength = field.getMaxLength();
+            if (maxLength !== undefined && text.length > maxLength) {
+                throw invalid(`at most ${maxLength} characters allowed`);
+            }
+            field.setText(text || undefined);
+            break;
+        }
+
+        case 'checkbox':
+            if (typeof value !== 'boolean') throw invalid('expected true or false');
+            if (value) field.check(); else field.uncheck();
+            break;
+
+        case 'radio': {
+            if (cleared) {
+                field.clear();
+                break;
+            }
+            const options = field.getOptions();
+            if (typeof value !== 'string' || !options.includes(value)) {
+                throw invalid(`expected one of: ${options.join(', ')}`);
+            }
+            field.select(value);
+            break;
+        }
+
+        case 'dropdown':
+        case 'optionList': {
+            if (cleared) {
+                field.clear();
+                break;
+            }
+            const selected = Array.isArray(value) ? value : [value];
+            if (selected.some(option => typeof option !== 'string')) {
+                throw invalid('expected an option or an array of options');
+            }
+            if (selected.length > 1 && !field.isMultiselect()) {
+                throw invalid('only one option can be selected');
+            }
+            const options = field.getOptions();
+            const custom = type === 'dropdown' && field.isEditable();
+            const unknown = selected.filter(option => !options.includes(option));
+            if (unknown.length > 0 && !custom) {
+                throw invalid(`unknown option "${unknown[0]}". Allowed: ${options.join(', ')}`);
+            }
+            field.select(selected.length === 1 ? selected[0] : selected);
+            break;
+        }
+
+        default:
+            throw invalid(`${type} fields cannot be filled`);
+    }
+};
+
+/**
+ * Fill form fields and optionally flatten the form into page content
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Object} values - Field values by fully qualified field name (see setFormFieldValue)
+ * @param {Object} options - Fill options
+ * @param {boolean} options.flatten - Draw the fields onto the pages and remove the form
+ * @returns {Promise<{buffer: Buffer, filled: string[], flattened: boolean}>} Filled PDF and the names of the fields set
+ * @throws {Error} code FORM_FIELD_NOT_FOUND, INVALID_FORM_VALUE or UNSUPPORTED_TEXT
+ */
+const fillFormFields = async (pdfBuffer, values, options = {}) => {
+    const { flatten = false } = options;
+    const pdf = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+
+    if (!pdf.catalog.has(PDFName.of('AcroForm'))) {
+        throw formError('FORM_FIELD_NOT_FOUND', 'This PDF has no form fields');
+    }
+    const form = pdf.getForm();
+
+    for (const [name, value] of Object.entries(values)) {
+        const field = form.getFields().find(candidate => candidate.getName() === name);
+        if (!field) {
+            throw formError('FORM_FIELD_NOT_FOUND', `No form field named "${name}"`, name);
+        }
+        setFormFieldValue(field, value);
+    }
+
+    // Appearances are drawn with the form's default font, which only covers Latin text
+    let buffer;
+    try {
+        if (flatten) form.flatten();
+        buffer = await pdf.save();
+    } catch (error) {
+        if (/cannot encode/i.test(error.message)) {
+            throw formError('UNSUPPORTED_TEXT', 'A form value contains characters the form font cannot draw');
+        }
+        throw error;
+    }
+
+    return { buffer: Buffer.from(buffer), filled: Object.keys(values), flattened: flatten };
+};
+
+/**
+ * Prepare an image for embedding: pdf-lib only reads JPEG and PNG and ignores
+ * EXIF orientation, so other formats and rotated JPEGs are re-encoded upright
+ * @param {Buffer} buffer - Image buffer
+ * @returns {Promise<{buffer: Buffer, type: string, width: number, height: number, dpi: number}>} Embeddable image
+ */
+const prepareImage = async (buffer) => {
+    const metadata = await sharp(buffer).metadata();
+    const dpi = metadata.density || 72;
+    const upright = !metadata.orientation || metadata.orientation === 1;
+
+    if (metadata.format === 'jpeg' && upright) {
+        return { buffer, type: 'jpeg', width: metadata.width, height: metadata.height, dpi };
+    }
+    if (metadata.format === 'png' && upright) {
+        return { buffer, type: 'png', width: metadata.width, height: metadata.height, dpi };
+    }
+
+    const pipeline = sharp(buffer).rotate();
+    const { data, info } = metadata.format === 'jpeg'
+        ? await pipeline.jpeg({ quality: 92 }).toBuffer({ resolveWithObject: true })
+        : await pipeline.png().toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, type: info.format, width: info.width, height: info.height, dpi };
+};
+
+/**
+ * Embed an image (JPEG, PNG, WebP, GIF) into a PDF document
+ * @param {PDFDocument} pdf - Target document
+ * @param {Buffer} buffer - Image buffer
+ * @returns {Promise<{embedded: PDFImage, width: number, height: number, dpi: number}>} Embedded image and its pixel size
+ * @throws {Error} code INVALID_IMAGE if the image cannot be decoded
+ */
+const embedImage = async (pdf, buffer) => {
+    let image;
+    try {
+        image = await prepareImage(buffer);
+    } catch (e) {
+        const error = new Error(`The image could not be read: ${e.message}`);
+        error.code = 'INVALID_IMAGE';
+        throw error;
+    }
+    // Copy into a standalone array: pdf-lib reads JPEGs from the start of the
+    // underlying ArrayBuffer, which Node may share between small Buffers
+    const bytes = new Uint8Array(image.buffer);
+    const embedded = image.type === 'jpeg'
+        ? await pdf.embedJpg(bytes)
+        : await pdf.embedPng(bytes);
+
+    return { embedded, width: image.width, height: image.height, dpi: image.dpi };
+};
+
+/**
+ * Create a PDF with one image per page
+ * @param {Buffer[]} imageBuffers - Images (JPEG, PNG, WebP, GIF) in page order
+ * @param {Object} options - Layout options
+ * @param {string} options.pageSize - "fit" (page matches the image), "a4" or "letter"
+ * @param {string} options.orientation - "auto" (follows the image), "portrait" or "landscape"; ignored for "fit"
+ * @param {number} options.margin - Margin on every side, in millimetres
+ * @param {string} options.fit - "contain" (whole image visible), "cover" (fill and crop) or "stretch"
+ * @param {Function} onProgress - Optional (imagesDone, totalImages) callback
+ * @returns {Promise<Buffer>} PDF buffer
+ * @throws {Error} code INVALID_IMAGE (with fileIndex, the image's index) if an image cannot be decoded
+ */
+const imagesToPdf = async (imageBuffers, options = {}, onProgress = () => {}) => {
+    const {
+        pageSize = 'fit',
+        orientation = 'auto',
+        margin = 0,
+        fit = 'contain'
+    } = options;
+    const marginPt = Math.max(0, margin) * POINTS_PER_MM;
+    const pdf = await PDFDocument.create();
+
+    for (const [index, buffer] of imageBuffers.entries()) {
+        let embedded;
+        let image;
+        try {
+            ({ embedded, ...image } = await embedImage(pdf, buffer));
+        } catch (error) {
+            if (error.code === 'INVALID_IMAGE') error.fileIndex = index;
+            throw error;
+        }
+
+        // Image size in points, from its resolution
+        const imageWidth = image.width * 72 / image.dpi;
+        const imageHeight = image.height * 72 / image.dpi;
+
+        let pageWidth;
+        let pageHeight;
+        if (!IMAGE_PAGE_SIZES[pageSize]) {
+            pageWidth = imageWidth + marginPt * 2;
+            pageHeight = imageHeight + marginPt * 2;
+        } else {
+            const [shortSide, longSide] = IMAGE_PAGE_SIZES[pageSize];
+            const landscape = orientation === 'landscape'
+                || (orientation === 'auto' && image.width > image.height);
+            pageWidth = landscape ? longSide : shortSide;
+            pageHeight = landscape ? shortSide : longSide;
+        }
+
+        const page = pdf.addPage([pageWidth, pageHeight]);
+        const areaWidth = Math.max(1, pageWidth - marginPt * 2);
+        const areaHeight = Math.max(1, pageHeight - marginPt * 2);
+
+        let drawWidth = areaWidth;
+        let drawHeight = areaHeight;
+        if (fit !== 'stretch') {
+            const scale = fit === 'cover'
+                ? Math.max(areaWidth / imageWidth, areaHeight / imageHeight)
+                : Math.min(areaWidth / imageWidth, areaHeight / imageHeight);
+            drawWidth = imageWidth * scale;
+            drawHeight = imageHeight * scale;
+        }
+
+        const drawOptions = {
+            x: marginPt + (areaWidth - drawWidth) / 2,
+            y: marginPt + (areaHeight - drawHeight) / 2,
+            width: drawWidth,
+            height: drawHeight
+        };
+
+        if (fit === 'cover') {
+            // Clip the overflow to the page area
+            page.pushOperators(
+                pushGraphicsState(),
+                rectangle(marginPt, marginPt, areaWidth, areaHeight),
+                clip(),
+                endPath()
+            );
+            page.drawImage(embedded, drawOptions);
+            page.pushOperators(popGraphicsState());
+        } else {
+            page.drawImage(embedded, drawOptions);
+        }
+
+        onProgress(index + 1, imageBuffers.length);
+    }
+
+    const pdfBuffer = await pdf.save();
+    return Buffer.from(pdfBuffer);
+};
+
 module.exports = {
     mergePdfs,
     splitPdf,
     reorderPdfPages,
+    rotatePdfPages,
+    editPdfPages,
+    normalizePdfPages,
+    imposePdf,
     getPdfInfo,
-    parsePageRange
+    readPdfMetadata,
+    writePdfMetadata,
+    readMetadata,
+    listFormFields,
+    fillFormFields,
+    parsePageRange,
+    parsePageSequence,
+    parsePageRangeStrict,
+    planSplit,
+    bookletOrder,
+    imagesToPdf,
+    embedImage,
+    POINTS_PER_MM,
+    ROTATION_ANGLES,
+    PAGE_SIZES,
+    PAGE_OPERATIONS,
+    SPLIT_MODES,
+    IMAGE_PAGE_SIZES,
+    IMAGE_FIT_MODES,
+    IMAGE_ORIENTATIONS,
+    IMPOSITION_LAYOUTS,
+    IMPOSITION_GRIDS,
+    IMPOSITION_SHEET_SIZES,
+    IMPOSITION_ORDERS,
+    NORMALIZE_PAGE_SIZES,
+    NORMALIZE_MODES,
+    MARGIN_BOXES,
+    METADATA_FIELDS,
+    METADATA_DATE_FIELDS
 };
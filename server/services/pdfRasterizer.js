@@ -0,0 +1,109 @@
+const path = require('path');
+
+/**
+ * PDF Rasterizing Service
+ * Renders PDF pages to images locally with pdf.js and @napi-rs/canvas,
+ * so it works without Cloudinary or network access
+ */
+
+// Output formats (canvas encoder names)
+const RASTER_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Allowed resolution range, in dots per inch
+const MIN_DPI = 36;
+const MAX_DPI = 600;
+
+// Largest page rendering accepted, in pixels (keeps memory use bounded)
+const MAX_RASTER_PIXELS = 40 * 1000 * 1000;
+
+// Fonts and character maps shipped with pdf.js, needed for text in non-embedded fonts
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const STANDARD_FONT_DATA_URL = path.join(PDFJS_DIR, 'standard_fonts') + path.sep;
+const CMAP_URL = path.join(PDFJS_DIR, 'cmaps') + path.sep;
+
+// pdf.js is published as an ES module: load it once, on first use
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+};
+
+/**
+ * Normalize a requested raster format
+ * @param {string} format - Requested format (png, jpg, jpeg, webp)
+ * @returns {string|null} Canvas encoder name or null if unsupported
+ */
+const normalizeRasterFormat = (format) => {
+    if (!format) return null;
+    const value = format.toLowerCase() === 'jpg' ? 'jpeg' : format.toLowerCase();
+    return RASTER_FORMATS.includes(value) ? value : null;
+};
+
+/**
+ * Render PDF pages to images
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} options - Rendering options
+ * @param {number[]} options.pages - 0-based page indices to render, in order
+ * @param {number} options.dpi - Resolution in dots per inch
+ * @param {string} options.format - Output format (png, jpeg, webp)
+ * @param {number} options.quality - Encoder quality for jpeg and webp (1-100)
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ * @returns {Promise<{pageNumber: number, buffer: Buffer, width: number, height: number}[]>} Rendered pages
+ */
+const rasterizePdf = async (pdfBuffer, options, onProgress = () => {}) => {
+    const { pages, dpi = 150, format = 'png', quality = 85 } = options;
+    const pdfjs = await loadPdfjs();
+
+    const doc = await pdfjs.getDocument({
+        data: new Uint8Array(pdfBuffer),
+        isEvalSupported: false,
+        standardFontDataUrl: STANDARD_FONT_DATA_URL,
+        cMapUrl: CMAP_URL,
+        cMapPacked: true
+    }).promise;
+
+    try {
+        const results = [];
+
+        for (const [index, pageIndex] of pages.entries()) {
+            const page = await doc.getPage(pageIndex + 1);
+            // PDF units are 1/72 inch
+            const viewport = page.getViewport({ scale: dpi / 72 });
+            const width = Math.ceil(viewport.width);
+            const height = Math.ceil(viewport.height);
+
+            if (width * height > MAX_RASTER_PIXELS) {
+                const error = new Error(`Page ${pageIndex + 1} is too large to render at ${dpi} DPI`);
+                error.code = 'RASTER_TOO_LARGE';
+                throw error;
+            }
+
+            const { canvas, context } = doc.canvasFactory.create(width, height);
+            await page.render({ canvasContext: context, viewport }).promise;
+
+            const buffer = format === 'png'
+                ? await canvas.encode('png')
+                : await canvas.encode(format, quality);
+
+            results.push({ pageNumber: pageIndex + 1, buffer, width, height });
+
+            page.cleanup();
+            doc.canvasFactory.destroy({ canvas, context });
+            onProgress(index + 1, pages.length);
+        }
+
+        return results;
+    } finally {
+        await doc.destroy();
+    }
+};
+
+module.exports = {
+    rasterizePdf,
+    normalizeRasterFormat,
+    RASTER_FORMATS,
+    MIN_DPI,
+    MAX_DPI
+};
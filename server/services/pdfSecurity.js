@@ -0,0 +1,678 @@
+const crypto = require('crypto');
+const {
+    PDFParser,
+    PDFWriter,
+    PDFDict,
+    PDFArray,
+    PDFName,
+    PDFNumber,
+    PDFBool,
+    PDFString,
+    PDFHexString,
+    PDFRawStream,
+    PDFRef,
+    PDFHeader
+} = require('pdf-lib');
+
+/**
+ * PDF Security Service
+ * Implements the PDF standard security handler (ISO 32000), which pdf-lib lacks:
+ * - Detect encrypted PDFs
+ * - Decrypt them with the user or owner password (RC4 40-128 bit, AES-128, AES-256)
+ * - Encrypt them with a user password, an owner password and permission flags
+ *   (AES-256, revision 6, or AES-128, revision 4, for older readers)
+ *
+ * Errors carry a code so routes can report them precisely:
+ * PDF_ENCRYPTED (password required), PDF_PASSWORD_INCORRECT and PDF_ENCRYPTION_UNSUPPORTED
+ */
+
+// Permissions that can be withheld, and the /P bits (1-based) each one controls.
+// Accessibility extraction (bit 10) is always granted, as ISO 32000-2 requires readers to
+const PERMISSIONS = {
+    print: [3, 12], // print, and print at full quality
+    copy: [5], // copy or extract text and graphics
+    modify: [4, 11], // change contents, and insert, delete or rotate pages
+    annotate: [6, 9] // add comments, and fill in form fields
+};
+
+// Encryption methods for protected output
+const ENCRYPTION_ALGORITHMS = ['aes-256', 'aes-128'];
+
+// Padding string used to extend passwords to 32 bytes (revisions 2-4)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+/**
+ * Create an error with a code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+const securityError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+/**
+ * RC4 stream cipher (not available in OpenSSL 3's default provider)
+ * @param {Buffer} key - Key
+ * @param {Uint8Array} data - Input
+ * @returns {Buffer} Output
+ */
+const rc4 = (key, data) => {
+    const s = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) s[i] = i;
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 255;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+
+    const output = Buffer.alloc(data.length);
+    for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+        i = (i + 1) & 255;
+        j = (j + s[i]) & 255;
+        [s[i], s[j]] = [s[j], s[i]];
+        output[k] = data[k] ^ s[(s[i] + s[j]) & 255];
+    }
+    return output;
+};
+
+/**
+ * AES-CBC without automatic padding
+ * @param {string} mode - "encrypt" or "decrypt"
+ * @param {Buffer} key - 16 or 32 byte key
+ * @param {Buffer} iv - 16 byte initialization vector
+ * @param {Buffer} data - Input (a multiple of 16 bytes)
+ * @returns {Buffer} Output
+ */
+const aesCbc = (mode, key, iv, data) => {
+    const algorithm = `aes-${key.length * 8}-cbc`;
+    const cipher = mode === 'encrypt'
+        ? crypto.createCipheriv(algorithm, key, iv)
+        : crypto.createDecipheriv(algorithm, key, iv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+/**
+ * Decrypt AES data: a 16 byte IV followed by the ciphertext, PKCS#5 padded
+ * @param {Buffer} key - Object key
+ * @param {Uint8Array} data - Encrypted data
+ * @returns {Buffer} Plain data
+ */
+const aesDecrypt = (key, data) => {
+    const bytes = Buffer.from(data);
+    // Some writers leave garbage after the last full block
+    const length = Math.floor((bytes.length - 16) / 16) * 16;
+    if (length <= 0) return Buffer.alloc(0);
+
+    const plain = aesCbc('decrypt', key, bytes.subarray(0, 16), bytes.subarray(16, 16 + length));
+    const padding = plain[plain.length - 1];
+    const padded = padding >= 1 && padding <= 16 && plain.subarray(plain.length - padding).every(b => b === padding);
+    return padded ? plain.subarray(0, plain.length - padding) : plain;
+};
+
+/**
+ * Encrypt data with AES: a random 16 byte IV followed by the PKCS#5 padded ciphertext
+ * @param {Buffer} key - Object key
+ * @param {Uint8Array} data - Plain data
+ * @returns {Buffer} Encrypted data
+ */
+const aesEncrypt = (key, data) => {
+    const iv = crypto.randomBytes(16);
+    const padding = 16 - (data.length % 16);
+    const padded = Buffer.concat([Buffer.from(data), Buffer.alloc(padding, padding)]);
+    return Buffer.concat([iv, aesCbc('encrypt', key, iv, padded)]);
+};
+
+/**
+ * Pad or truncate a password to 32 bytes (revisions 2-4)
+ * @param {Buffer} password - Password bytes
+ * @returns {Buffer} Padded password
+ */
+const padPassword = (password) => Buffer.concat([password.subarray(0, 32), PASSWORD_PADDING]).subarray(0, 32);
+
+/**
+ * XOR every byte of a key with a value (RC4 iterations of revisions 3-4)
+ * @param {Buffer} key - Key
+ * @param {number} value - Byte value
+ * @returns {Buffer} New key
+ */
+const xorKey = (key, value) => Buffer.from(key.map(b => b ^ value));
+
+/**
+ * Password bytes for a security handler revision
+ * Revisions 2-4 use PDFDocEncoding (Latin-1 for practical purposes), 5-6 UTF-8
+ * @param {string} password - Password
+ * @param {number} revision - Security handler revision
+ * @returns {Buffer} Password bytes
+ */
+const passwordBytes = (password, revision) => (revision >= 5
+    ? Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127)
+    : Buffer.from(password, 'latin1'));
+
+/**
+ * File key from a user password, revisions 2-4 (ISO 32000-1, algorithm 2)
+ * @param {Buffer} password - Password bytes
+ * @param {Object} handler - Parsed encryption dictionary
+ * @returns {Buffer} File key
+ */
+const computeLegacyKey = (password, handler) => {
+    const permissions = Buffer.alloc(4);
+    permissions.writeInt32LE(handler.P);
+    const noMetadata = handler.R >= 4 && !handler.encryptMetadata ? Buffer.from([255, 255, 255, 255]) : Buffer.alloc(0);
+
+    let hash = md5(padPassword(password), handler.O, permissions, handler.id, noMetadata);
+    if (handler.R >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, handler.keyLength));
+    }
+    return hash.subarray(0, handler.keyLength);
+};
+
+/**
+ * Value of /U for a file key, revisions 2-4 (algorithms 4 and 5)
+ * Only the first 16 bytes are significant for revisions 3-4
+ * @param {Buffer} key - File key
+ * @param {Object} handler - Parsed encryption dictionary
+ * @returns {Buffer} /U value
+ */
+const computeLegacyU = (key, handler) => {
+    if (handler.R === 2) return rc4(key, PASSWORD_PADDING);
+
+    let value = rc4(key, md5(PASSWORD_PADDING, handler.id));
+    for (let i = 1; i <= 19; i++) value = rc4(xorKey(key, i), value);
+    return Buffer.concat([value, Buffer.alloc(16)]);
+};
+
+/**
+ * RC4 key derived from the owner password, revisions 2-4 (algorithm 3, steps a-d)
+ * @param {Buffer} ownerPassword - Owner password bytes
+ * @param {Object} handler - Parsed encryption dictionary
+ * @returns {Buffer} Key
+ */
+const computeOwnerKey = (ownerPassword, handler) => {
+    let hash = md5(padPassword(ownerPassword));
+    if (handler.R >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash);
+    }
+    return hash.subarray(0, handler.keyLength);
+};
+
+/**
+ * Password hash, revisions 5-6 (ISO 32000-2, algorithm 2.B; revision 5 is a single SHA-256)
+ * @param {Buffer} password - Password bytes
+ * @param {Buffer} salt - 8 byte salt
+ * @param {Buffer} userData - 48 bytes of /U for owner hashes, empty for user hashes
+ * @param {number} revision - 5 or 6
+ * @returns {Buffer} 32 byte hash
+ */
+const hashPassword = (password, salt, userData, revision) => {
+    let k = sha256(password, salt, userData);
+    if (revision === 5) return k;
+
+    let e = Buffer.alloc(0);
+    for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+        const block = Buffer.concat([password, k, userData]);
+        e = aesCbc('encrypt', k.subarray(0, 16), k.subarray(16, 32), Buffer.concat(Array(64).fill(block)));
+        const remainder = e.subarray(0, 16).reduce((sum, b) => sum + b, 0) % 3;
+        k = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(e).digest();
+    }
+    return k.subarray(0, 32);
+};
+
+/**
+ * Authenticate a password and compute the file key
+ * @param {string} password - Password (user or owner)
+ * @param {Object} handler - Parsed encryption dictionary
+ * @returns {{fileKey: Buffer, owner: boolean}|null} File key and whether the password is the
+ * owner password, or null if the password is wrong
+ */
+const authenticate = (password, handler) => {
+    const bytes = passwordBytes(password, handler.R);
+
+    if (handler.R >= 5) {
+        const { O, U, OE, UE, R } = handler;
+        const zeroIv = Buffer.alloc(16);
+
+        if (hashPassword(bytes, O.subarray(32, 40), U.subarray(0, 48), R).equals(O.subarray(0, 32))) {
+            const fileKey = aesCbc('decrypt', hashPassword(bytes, O.subarray(40, 48), U.subarray(0, 48), R), zeroIv, OE.subarray(0, 32));
+            return { fileKey, owner: true };
+        }
+        if (hashPassword(bytes, U.subarray(32, 40), Buffer.alloc(0), R).equals(U.subarray(0, 32))) {
+            const fileKey = aesCbc('decrypt', hashPassword(bytes, U.subarray(40, 48), Buffer.alloc(0), R), zeroIv, UE.subarray(0, 32));
+            return { fileKey, owner: false };
+        }
+        return null;
+    }
+
+    const significant = handler.R === 2 ? 32 : 16;
+    const matchesU = (key) => computeLegacyU(key, handler).subarray(0, significant)
+        .equals(handler.U.subarray(0, significant));
+
+    // As the owner password: /O holds the user password encrypted with the owner key
+    const ownerKey = computeOwnerKey(bytes, handler);
+    let userPassword = handler.O;
+    if (handler.R === 2) {
+        userPassword = rc4(ownerKey, userPassword);
+    } else {
+        for (let i = 19; i >= 0; i--) userPassword = rc4(xorKey(ownerKey, i), userPassword);
+    }
+    const ownerFileKey = computeLegacyKey(userPassword, handler);
+    if (matchesU(ownerFileKey)) return { fileKey: ownerFileKey, owner: true };
+
+    // As the user password
+    const userKey = computeLegacyKey(bytes, handler);
+    return matchesU(userKey) ? { fileKey: userKey, owner: false } : null;
+};
+
+/**
+ * Permissions an encryption dictionary withholds
+ * @param {Object} handler - Parsed encryption dictionary
+ * @returns {string[]} Names from PERMISSIONS whose bits are not all granted
+ */
+const withheldPermissions = ({ P, R }) => Object.entries(PERMISSIONS)
+    // Revision 2 only defines bits 3-6
+    .filter(([, bits]) => bits.some(bit => (R > 2 || bit <= 6) && (P & (1 << (bit - 1))) === 0))
+    .map(([name]) => name);
+
+/**
+ * Compute /P from the permissions to grant
+ * @param {Object} permissions - { print, copy, modify, annotate }; omitted ones are granted
+ * @returns {number} /P value (a signed 32-bit integer)
+ */
+const permissionFlags = (permissions = {}) => {
+    // Bits 7-8 and 13-32 are reserved and must be set; bits 1-2 must be clear
+    let flags = 0xFFFFF0C0 | (1 << 9);
+    for (const [name, bits] of Object.entries(PERMISSIONS)) {
+        if (permissions[name] === false) continue;
+        for (const bit of bits) flags |= 1 << (bit - 1);
+    }
+    return flags | 0;
+};
+
+/**
+ * Build the encryption dictionary entries and file key, revision 6 (ISO 32000-2, algorithms 8-10)
+ * @param {string} userPassword - User password (may be empty)
+ * @param {string} ownerPassword - Owner password
+ * @param {number} P - Permission flags
+ * @returns {{fileKey: Buffer, entries: Object}} File key and dictionary entries
+ */
+const createAes256Handler = (userPassword, ownerPassword, P) => {
+    const fileKey = crypto.randomBytes(32);
+    const zeroIv = Buffer.alloc(16);
+    const user = passwordBytes(userPassword, 6);
+    const owner = passwordBytes(ownerPassword, 6);
+
+    const userSalts = crypto.randomBytes(16);
+    const U = Buffer.concat([hashPassword(user, userSalts.subarray(0, 8), Buffer.alloc(0), 6), userSalts]);
+    const UE = aesCbc('encrypt', hashPassword(user, userSalts.subarray(8, 16), Buffer.alloc(0), 6), zeroIv, fileKey);
+
+    const ownerSalts = crypto.randomBytes(16);
+    const O = Buffer.concat([hashPassword(owner, ownerSalts.subarray(0, 8), U, 6), ownerSalts]);
+    const OE = aesCbc('encrypt', hashPassword(owner, ownerSalts.subarray(8, 16), U, 6), zeroIv, fileKey);
+
+    // Permissions, encrypted so readers can check /P was not tampered with
+    const perms = Buffer.concat([Buffer.alloc(8, 0xFF), Buffer.from('Tadb'), crypto.randomBytes(4)]);
+    perms.writeInt32LE(P, 0);
+    const Perms = aesCbc('encrypt', fileKey, zeroIv, perms);
+
+    return {
+        fileKey,
+        entries: { V: 5, R: 6, Length: 256, CFM: 'AESV3', O, U, OE, UE, Perms }
+    };
+};
+
+/**
+ * Build the encryption dictionary entries and file key, revision 4 (ISO 32000-1, algorithms 2-5)
+ * @param {string} userPassword - User password (may be empty)
+ * @param {string} ownerPassword - Owner password
+ * @param {number} P - Permission flags
+ * @param {Buffer} id - First element of the trailer /ID
+ * @returns {{fileKey: Buffer, entries: Object}} File key and dictionary entries
+ */
+const createAes128Handler = (userPassword, ownerPassword, P, id) => {
+    const handler = { R: 4, P, id, keyLength: 16, encryptMetadata: true };
+    const user = padPassword(passwordBytes(userPassword, 4));
+
+    // /O: the user password encrypted with a key derived from the owner password
+    const ownerKey = computeOwnerKey(passwordBytes(ownerPassword, 4), handler);
+    let O = rc4(ownerKey, user);
+    for (let i = 1; i <= 19; i++) O = rc4(xorKey(ownerKey, i), O);
+    handler.O = O;
+
+    const fileKey = computeLegacyKey(user, handler);
+    return {
+        fileKey,
+        entries: { V: 4, R: 4, Length: 128, CFM: 'AESV2', O, U: computeLegacyU(fileKey, handler) }
+    };
+};
+
+/**
+ * Encrypt the strings of an object in place
+ * @param {PDFObject} object - Object (dictionaries and arrays are walked)
+ * @param {Function} encryptString - (bytes) => encrypted bytes
+ * @returns {PDFObject} The object, or a new string object
+ */
+const encryptStrings = (object, encryptString) => {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return PDFHexString.of(encryptString(object.asBytes()).toString('hex'));
+    }
+    if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+            object.set(key, encryptStrings(value, encryptString));
+        }
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) {
+            object.set(i, encryptStrings(object.get(i), encryptString));
+        }
+    }
+    return object;
+};
+
+/**
+ * Bytes of a PDF string object
+ * @param {PDFObject} object - PDFString or PDFHexString
+ * @returns {Buffer} Bytes (empty if not a string)
+ */
+const stringBytes = (object) => (object instanceof PDFString || object instanceof PDFHexString
+    ? Buffer.from(object.asBytes())
+    : Buffer.alloc(0));
+
+/**
+ * Read the encryption dictionary
+ * @param {PDFDict} dict - Encryption dictionary
+ * @param {PDFArray} idArray - Trailer /ID
+ * @returns {Object} Handler parameters
+ * @throws {Error} code PDF_ENCRYPTION_UNSUPPORTED for other security handlers
+ */
+const readEncryptDict = (dict, idArray) => {
+    const get = (key, type) => (type ? dict.lookupMaybe(PDFName.of(key), type) : dict.lookup(PDFName.of(key)));
+    const filter = get('Filter', PDFName)?.decodeText();
+    const V = get('V', PDFNumber)?.asNumber() || 0;
+    const R = get('R', PDFNumber)?.asNumber() || 0;
+
+    if (filter !== 'Standard' || ![1, 2, 4, 5].includes(V) || ![2, 3, 4, 5, 6].includes(R)) {
+        throw securityError('PDF_ENCRYPTION_UNSUPPORTED',
+            `This PDF uses an unsupported encryption method (${filter || 'unknown'} handler, V${V} R${R})`);
+    }
+
+    // Crypt filters (V4+) choose the cipher for strings and streams separately
+    const cryptFilters = get('CF', PDFDict);
+    const methodOf = (name) => {
+        if (V < 4) return 'rc4';
+        if (!name || name === 'Identity') return 'identity';
+        const cfm = cryptFilters?.lookupMaybe(PDFName.of(name), PDFDict)?.lookupMaybe(PDFName.of('CFM'), PDFName)?.decodeText();
+        return { V2: 'rc4', AESV2: 'aes128', AESV3: 'aes256', None: 'identity' }[cfm] || 'identity';
+    };
+
+    const length = get('Length', PDFNumber)?.asNumber() || 40;
+    const id = idArray instanceof PDFArray ? stringBytes(idArray.lookup(0)) : Buffer.alloc(0);
+
+    return {
+        V,
+        R,
+        O: stringBytes(get('O')),
+        U: stringBytes(get('U')),
+        OE: stringBytes(get('OE')),
+        UE: stringBytes(get('UE')),
+        P: get('P', PDFNumber)?.asNumber() || 0,
+        id,
+        keyLength: R === 2 ? 5 : Math.min(Math.max(length / 8, 5), 16),
+        encryptMetadata: get('EncryptMetadata', PDFBool)?.asBoolean() ?? true,
+        stringMethod: methodOf(get('StrF', PDFName)?.decodeText()),
+        streamMethod: methodOf(get('StmF', PDFName)?.decodeText())
+    };
+};
+
+/**
+ * Create a decryptor for the objects of a document
+ * @param {Buffer} fileKey - File key
+ * @param {Object} handler - Handler parameters
+ * @returns {Function} (bytes, ref, method) => plain bytes
+ */
+const createDecryptor = (fileKey, handler) => (bytes, ref, method) => {
+    if (method === 'identity') return Buffer.from(bytes);
+    if (method === 'aes256') return aesDecrypt(fileKey, bytes);
+
+    // Per-object key (algorithm 1)
+    const objectId = Buffer.alloc(5);
+    objectId.writeUIntLE(ref.objectNumber, 0, 3);
+    objectId.writeUIntLE(ref.generationNumber, 3, 2);
+    const salt = method === 'aes128' ? Buffer.from('sAlT') : Buffer.alloc(0);
+    const key = md5(fileKey, objectId, salt).subarray(0, Math.min(fileKey.length + 5, 16));
+
+    return method === 'aes128' ? aesDecrypt(key, bytes) : rc4(key, bytes);
+};
+
+/**
+ * Decrypt the strings of an object in place
+ * @param {PDFObject} object - Object (dictionaries and arrays are walked)
+ * @param {Function} decryptString - (bytes) => plain bytes
+ * @returns {PDFObject} The object, or a new string object
+ */
+const decryptStrings = (object, decryptString) => {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return PDFHexString.of(decryptString(object.asBytes()).toString('hex'));
+    }
+    if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+            object.set(key, decryptStrings(value, decryptString));
+        }
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) {
+            object.set(i, decryptStrings(object.get(i), decryptString));
+        }
+    }
+    return object;
+};
+
+/**
+ * pdf-lib parser that decrypts each indirect object as it is read, so that
+ * object streams are unpacked from their decrypted contents
+ */
+class DecryptingParser extends PDFParser {
+    constructor(bytes, decrypt, handler, encryptRef) {
+        super(bytes, Infinity, false, false);
+        this.decrypt = decrypt;
+        this.handler = handler;
+        this.encryptRef = encryptRef;
+        this.pendingRef = undefined;
+    }
+
+    parseIndirectObjectHeader() {
+        this.pendingRef = super.parseIndirectObjectHeader();
+        return this.pendingRef;
+    }
+
+    tryToParseInvalidIndirectObject() {
+        const ref = super.tryToParseInvalidIndirectObject();
+        this.pendingRef = undefined;
+        return ref;
+    }
+
+    parseObject() {
+        // Only the top-level object of an indirect object is decrypted; nested values are handled with it
+        const ref = this.pendingRef;
+        this.pendingRef = undefined;
+        const object = super.parseObject();
+
+        if (!ref || (this.encryptRef && ref === this.encryptRef)) return object;
+
+        const decryptString = (bytes) => this.decrypt(bytes, ref, this.handler.stringMethod);
+
+        if (object instanceof PDFRawStream) {
+            const type = object.dict.lookupMaybe(PDFName.of('Type'), PDFName)?.decodeText();
+            // Cross-reference streams are never encrypted; metadata may be left in clear
+            if (type === 'XRef' || (type === 'Metadata' && !this.handler.encryptMetadata)) return object;
+
+            decryptStrings(object.dict, decryptString);
+            return PDFRawStream.of(object.dict, this.decrypt(object.contents, ref, this.handler.streamMethod));
+        }
+        return decryptStrings(object, decryptString);
+    }
+}
+
+/**
+ * Check whether a PDF is encrypted
+ * Cheap for the common case: files without an /Encrypt key are not parsed
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<{encrypted: boolean, context: PDFContext|null}>} Result and the parsed
+ * (still encrypted) objects when the file had to be parsed
+ */
+const checkEncryption = async (pdfBuffer) => {
+    if (!pdfBuffer.includes('/Encrypt')) {
+        return { encrypted: false, context: null };
+    }
+
+    const context = await PDFParser.forBytesWithOptions(new Uint8Array(pdfBuffer)).parseDocument();
+    return { encrypted: Boolean(context.lookup(context.trailerInfo.Encrypt)), context };
+};
+
+/**
+ * Check whether a PDF is encrypted
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<boolean>} True if the PDF is encrypted
+ */
+const isPdfEncrypted = async (pdfBuffer) => (await checkEncryption(pdfBuffer)).encrypted;
+
+/**
+ * Remove encryption from a PDF
+ * Unencrypted files are returned as they are. Files that only have an owner
+ * password (restrictions) open without one; the output no longer enforces the
+ * restrictions, which is reported as restrictionsRemoved unless the owner password was given
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {string} password - User or owner password (optional)
+ * @returns {Promise<{buffer: Buffer, wasEncrypted: boolean, restrictionsRemoved: string[]}>} Decrypted PDF,
+ * and the withheld permissions (print, copy, modify, annotate) lifted without the owner password
+ * @throws {Error} code PDF_ENCRYPTED, PDF_PASSWORD_INCORRECT or PDF_ENCRYPTION_UNSUPPORTED
+ */
+const decryptPdf = async (pdfBuffer, password = '') => {
+    const { encrypted, context } = await checkEncryption(pdfBuffer);
+    if (!encrypted) {
+        return { buffer: pdfBuffer, wasEncrypted: false, restrictionsRemoved: [] };
+    }
+
+    const encryptRef = context.trailerInfo.Encrypt instanceof PDFRef ? context.trailerInfo.Encrypt : undefined;
+    const handler = readEncryptDict(context.lookup(context.trailerInfo.Encrypt, PDFDict), context.lookup(context.trailerInfo.ID));
+
+    // An empty user password opens files that are only restricted
+    const auth = authenticate(password, handler) || (password ? null : authenticate('', handler));
+    if (!auth) {
+        throw password
+            ? securityError('PDF_PASSWORD_INCORRECT', 'The password for this PDF is incorrect')
+            : securityError('PDF_ENCRYPTED', 'This PDF is password-protected. Provide its password to open it');
+    }
+
+    const parser = new DecryptingParser(new Uint8Array(pdfBuffer), createDecryptor(auth.fileKey, handler), handler, encryptRef);
+    const decrypted = await parser.parseDocument();
+
+    decrypted.trailerInfo.Encrypt = undefined;
+    if (encryptRef) decrypted.delete(encryptRef);
+
+    const buffer = await PDFWriter.forContext(decrypted, Infinity).serializeToBuffer();
+    return {
+        buffer: Buffer.from(buffer),
+        wasEncrypted: true,
+        restrictionsRemoved: auth.owner ? [] : withheldPermissions(handler)
+    };
+};
+
+/**
+ * Password-protect a PDF and restrict what can be done with it
+ * Without a user password the file opens freely but readers enforce the
+ * permissions; without an owner password a random one is used, so the
+ * restrictions cannot be lifted
+ * @param {Buffer} pdfBuffer - Unencrypted PDF buffer
+ * @param {Object} options - Protection options
+ * @param {string} options.userPassword - Password required to open the file (optional)
+ * @param {string} options.ownerPassword - Password that lifts the restrictions (optional)
+ * @param {Object} options.permissions - { print, copy, modify, annotate }: false withholds one
+ * @param {string} options.algorithm - aes-256 (default) or aes-128
+ * @returns {Promise<Buffer>} Encrypted PDF
+ * @throws {Error} code PDF_ENCRYPTED if the PDF is already encrypted
+ */
+const encryptPdf = async (pdfBuffer, options = {}) => {
+    const { userPassword = '', permissions = {}, algorithm = 'aes-256' } = options;
+    const ownerPassword = options.ownerPassword || crypto.randomBytes(24).toString('base64');
+
+    const context = await PDFParser.forBytesWithOptions(new Uint8Array(pdfBuffer)).parseDocument();
+    if (context.lookup(context.trailerInfo.Encrypt)) {
+        throw securityError('PDF_ENCRYPTED', 'This PDF is already encrypted');
+    }
+
+    // The file identifier is part of the key for revision 4, and required by the standard either way
+    let idArray = context.lookup(context.trailerInfo.ID);
+    if (!(idArray instanceof PDFArray) || stringBytes(idArray.lookup(0)).length === 0) {
+        const id = crypto.randomBytes(16).toString('hex');
+        idArray = context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+    }
+    context.trailerInfo.ID = idArray;
+
+    const P = permissionFlags(permissions);
+    const aes256 = algorithm === 'aes-256';
+    const { fileKey, entries } = aes256
+        ? createAes256Handler(userPassword, ownerPassword, P)
+        : createAes128Handler(userPassword, ownerPassword, P, stringBytes(idArray.lookup(0)));
+
+    // Encrypt every string and stream (the trailer and the encryption dictionary stay in clear)
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        const encrypt = (bytes) => {
+            if (aes256) return aesEncrypt(fileKey, bytes);
+            const objectId = Buffer.alloc(5);
+            objectId.writeUIntLE(ref.objectNumber, 0, 3);
+            objectId.writeUIntLE(ref.generationNumber, 3, 2);
+            return aesEncrypt(md5(fileKey, objectId, Buffer.from('sAlT')), bytes);
+        };
+
+        if (object instanceof PDFRawStream) {
+            encryptStrings(object.dict, encrypt);
+            context.assign(ref, PDFRawStream.of(object.dict, encrypt(object.contents)));
+        } else {
+            encryptStrings(object, encrypt);
+        }
+    }
+
+    const cryptFilter = context.obj({ AuthEvent: 'DocOpen', CFM: entries.CFM, Length: entries.Length / 8 });
+    const encryptDict = context.obj({
+        Filter: 'Standard',
+        V: entries.V,
+        R: entries.R,
+        Length: entries.Length,
+        CF: { StdCF: cryptFilter },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        P,
+        EncryptMetadata: true
+    });
+    for (const key of ['O', 'U', 'OE', 'UE', 'Perms']) {
+        if (entries[key]) encryptDict.set(PDFName.of(key), PDFHexString.of(entries[key].toString('hex')));
+    }
+    context.trailerInfo.Encrypt = context.register(encryptDict);
+
+    // AES-256 needs PDF 1.7 with Adobe extension level 8 (part of PDF 2.0); AES-128 needs PDF 1.6
+    const version = parseFloat(context.header.toString().match(/\d+\.\d+/)?.[0]) || 1.7;
+    const minimumMinor = aes256 ? 7 : 6;
+    if (version < 1 + minimumMinor / 10) {
+        context.header = PDFHeader.forVersion(1, minimumMinor);
+    }
+    if (aes256 && version < 2) {
+        const catalog = context.lookup(context.trailerInfo.Root, PDFDict);
+        const extensions = catalog.lookupMaybe(PDFName.of('Extensions'), PDFDict) || context.obj({});
+        extensions.set(PDFName.of('ADBE'), context.obj({ BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 }));
+        catalog.set(PDFName.of('Extensions'), extensions);
+    }
+
+    const buffer = await PDFWriter.forContext(context, Infinity).serializeToBuffer();
+    return Buffer.from(buffer);
+};
+
+module.exports = {
+    decryptPdf,
+    encryptPdf,
+    isPdfEncrypted,
+    PERMISSIONS,
+    ENCRYPTION_ALGORITHMS
+};
@@ -0,0 +1,371 @@
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const { embedImage, POINTS_PER_MM } = require('./pdfProcessor');
+
+/**
+ * PDF Stamping Service
+ * Draws text and images on top of existing pages:
+ * - Text or image watermarks
+ * - Page numbers, headers and footers
+ *
+ * Positions are measured on the page as it is displayed, so stamps stay
+ * upright on pages that carry a /Rotate entry.
+ */
+
+// Where a watermark is placed on each page
+const WATERMARK_POSITIONS = [
+    'center',
+    'diagonal',
+    'top-left',
+    'top-right',
+    'bottom-left',
+    'bottom-right',
+    'tiled'
+];
+
+// Distance between corner stamps and the page edge, in points
+const CORNER_MARGIN = 36;
+
+// Standard fonts available for headers and footers
+const STAMP_FONTS = {
+    helvetica: StandardFonts.Helvetica,
+    'helvetica-bold': StandardFonts.HelveticaBold,
+    times: StandardFonts.TimesRoman,
+    'times-bold': StandardFonts.TimesRomanBold,
+    courier: StandardFonts.Courier
+};
+
+// Horizontal alignment of header and footer text
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Placeholders understood by header and footer templates
+const TEMPLATE_TOKENS = /\{(n|total|filename|date)\}/gi;
+
+/**
+ * Parse a hex color ("#rgb" or "#rrggbb")
+ * @param {string} value - Hex color
+ * @returns {Object|null} pdf-lib RGB color, or null if the value is not a hex color
+ */
+const parseHexColor = (value) => {
+    const match = String(value || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+
+    const hex = match[1].length === 3
+        ? match[1].split('').map(c => c + c).join('')
+        : match[1];
+
+    return rgb(
+        parseInt(hex.slice(0, 2), 16) / 255,
+        parseInt(hex.slice(2, 4), 16) / 255,
+        parseInt(hex.slice(4, 6), 16) / 255
+    );
+};
+
+/**
+ * Describe a page as it is displayed
+ * @param {PDFPage} page - Page
+ * @returns {{width: number, height: number, rotation: number, toUser: Function}} Displayed size,
+ * page rotation and a mapping from displayed coordinates to PDF user space
+ */
+const displayFrame = (page) => {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+
+    const toUser = (x, y) => {
+        switch (rotation) {
+            case 90: return { x: box.x + box.width - y, y: box.y + x };
+            case 180: return { x: box.x + box.width - x, y: box.y + box.height - y };
+            case 270: return { x: box.x + y, y: box.y + box.height - x };
+            default: return { x: box.x + x, y: box.y + y };
+        }
+    };
+
+    return {
+        width: sideways ? box.height : box.width,
+        height: sideways ? box.width : box.height,
+        rotation,
+        toUser
+    };
+};
+
+/**
+ * Half extents of a box after rotation
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} angle - Rotation in degrees
+ * @returns {{x: number, y: number}} Half width and half height of the rotated bounds
+ */
+const rotatedExtents = (width, height, angle) => {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    return {
+        x: (width * cos + height * sin) / 2,
+        y: (width * sin + height * cos) / 2
+    };
+};
+
+/**
+ * Centers (in displayed coordinates) and angle for each copy of a stamp
+ * @param {Object} frame - Result of displayFrame
+ * @param {number} width - Stamp width
+ * @param {number} height - Stamp height
+ * @param {string} position - One of WATERMARK_POSITIONS
+ * @param {number} rotation - Requested rotation in degrees (counter-clockwise)
+ * @returns {{centers: {x: number, y: number}[], angle: number}} Placement
+ */
+const placeStamp = (frame, width, height, position, rotation) => {
+    if (position === 'diagonal') {
+        // Bottom-left to top-right, whatever the requested rotation
+        const angle = Math.atan2(frame.height, frame.width) * 180 / Math.PI;
+        return { centers: [{ x: frame.width / 2, y: frame.height / 2 }], angle };
+    }
+
+    const extents = rotatedExtents(width, height, rotation);
+
+    if (position === 'tiled') {
+        const gap = Math.max(width, height) / 4;
+        const stepX = extents.x * 2 + gap;
+        const stepY = extents.y * 2 + gap;
+        const centers = [];
+
+        for (let row = 0, y = stepY / 2; y - extents.y < frame.height; row++, y += stepY) {
+            // Offset every other row for a brick pattern
+            for (let x = row % 2 ? 0 : stepX / 2; x - extents.x < frame.width; x += stepX) {
+                centers.push({ x, y });
+            }
+        }
+        return { centers, angle: rotation };
+    }
+
+    const left = CORNER_MARGIN + extents.x;
+    const right = frame.width - CORNER_MARGIN - extents.x;
+    const bottom = CORNER_MARGIN + extents.y;
+    const top = frame.height - CORNER_MARGIN - extents.y;
+    const centers = {
+        'top-left': { x: left, y: top },
+        'top-right': { x: right, y: top },
+        'bottom-left': { x: left, y: bottom },
+        'bottom-right': { x: right, y: bottom }
+    };
+
+    return {
+        centers: [centers[position] || { x: frame.width / 2, y: frame.height / 2 }],
+        angle: rotation
+    };
+};
+
+/**
+ * Draw a stamp on a page, centered on a displayed point
+ * pdf-lib rotates text and images around their origin, so the origin is
+ * moved to keep the stamp's center in place
+ * @param {PDFPage} page - Page
+ * @param {Object} frame - Result of displayFrame
+ * @param {Object} placement - { x, y } center, width, height and angle in displayed coordinates
+ * @param {Function} draw - (x, y, rotate) => void, draws at a user-space origin
+ */
+const drawCentered = (page, frame, { x, y, width, height, angle }, draw) => {
+    const radians = angle * Math.PI / 180;
+    const originX = x - (width / 2) * Math.cos(radians) + (height / 2) * Math.sin(radians);
+    const originY = y - (width / 2) * Math.sin(radians) - (height / 2) * Math.cos(radians);
+    const origin = frame.toUser(originX, originY);
+
+    draw(origin.x, origin.y, degrees(angle + frame.rotation));
+};
+
+/**
+ * Stamp a text or image watermark on pages of a PDF
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} options - Watermark options
+ * @param {string} options.type - "text" or "image"
+ * @param {string} options.text - Text to stamp (type "text"; standard font characters only)
+ * @param {Buffer} options.image - Image to stamp (type "image"; JPEG, PNG, WebP, GIF)
+ * @param {number} options.fontSize - Text size in points
+ * @param {Object} options.color - pdf-lib color for text (see parseHexColor)
+ * @param {number} options.opacity - 0 (invisible) to 1 (opaque)
+ * @param {number} options.rotation - Counter-clockwise rotation in degrees (ignored for "diagonal")
+ * @param {string} options.position - One of WATERMARK_POSITIONS
+ * @param {number} options.imageScale - Largest image size as a fraction of the page width and height
+ * @param {number[]} options.pages - 0-based page indices to stamp (all pages when omitted)
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ * @returns {Promise<Buffer>} Watermarked PDF buffer
+ * @throws {Error} code UNSUPPORTED_TEXT when the text cannot be drawn with the standard font
+ */
+const watermarkPdf = async (pdfBuffer, options, onProgress = () => {}) => {
+    const {
+        type = 'text',
+        text = '',
+        image,
+        fontSize = 48,
+        color = rgb(0.5, 0.5, 0.5),
+        opacity = 0.3,
+        rotation = 0,
+        position = 'diagonal',
+        imageScale = 0.3
+    } = options;
+
+    const pdf = await PDFDocument.load(pdfBuffer);
+    const pages = pdf.getPages();
+    const targets = options.pages || pages.map((_, index) => index);
+
+    let font;
+    let textWidth;
+    let stampImage;
+    if (type === 'image') {
+        stampImage = await embedImage(pdf, image);
+    } else {
+        font = await pdf.embedFont(StandardFonts.HelveticaBold);
+        try {
+            textWidth = font.widthOfTextAtSize(text, fontSize);
+        } catch (e) {
+            const error = new Error('The watermark text contains characters the standard font cannot draw');
+            error.code = 'UNSUPPORTED_TEXT';
+            throw error;
+        }
+    }
+
+    for (const [index, pageIndex] of targets.entries()) {
+        const page = pages[pageIndex];
+        const frame = displayFrame(page);
+
+        let width;
+        let height;
+        let draw;
+        if (stampImage) {
+            // Fit inside imageScale of the page width and height, keeping the aspect ratio
+            const scale = Math.min(
+                frame.width * imageScale / stampImage.width,
+                frame.height * imageScale / stampImage.height
+            );
+            width = stampImage.width * scale;
+            height = stampImage.height * scale;
+            draw = (x, y, rotate) => page.drawImage(stampImage.embedded, { x, y, width, height, rotate, opacity });
+        } else {
+            width = textWidth;
+            // Cap height: centers the letters, ignoring descenders
+            height = font.heightAtSize(fontSize, { descender: false });
+            draw = (x, y, rotate) => page.drawText(text, { x, y, size: fontSize, font, color, rotate, opacity });
+        }
+
+        const { centers, angle } = placeStamp(frame, width, height, position, rotation);
+        for (const center of centers) {
+            drawCentered(page, frame, { ...center, width, height, angle }, draw);
+        }
+
+        onProgress(index + 1, targets.length);
+    }
+
+    const buffer = await pdf.save();
+    return Buffer.from(buffer);
+};
+
+/**
+ * Fill a header or footer template
+ * Placeholders: {n} page number, {total} last page number, {filename}, {date}
+ * @param {string} template - Template text
+ * @param {Object} values - { n, total, filename, date }
+ * @returns {string} Text to draw
+ */
+const fillTemplate = (template, values) =>
+    template.replace(TEMPLATE_TOKENS, (_, token) => String(values[token.toLowerCase()]));
+
+/**
+ * Add page numbers, headers and footers to pages of a PDF
+ * Every page in the range is counted; skipFirst only leaves the first one blank
+ * (e.g. a title page), so the second page still shows startNumber + 1
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} options - Stamping options
+ * @param {string} options.header - Header template (none when empty)
+ * @param {string} options.footer - Footer template (none when empty)
+ * @param {string} options.headerAlign - left, center or right
+ * @param {string} options.footerAlign - left, center or right
+ * @param {string} options.font - One of the STAMP_FONTS keys
+ * @param {number} options.fontSize - Text size in points
+ * @param {Object} options.color - pdf-lib color (see parseHexColor)
+ * @param {number} options.margin - Distance from the page edge, in millimetres
+ * @param {number} options.startNumber - Number of the first page in the range
+ * @param {boolean} options.skipFirst - Leave the first page of the range unstamped
+ * @param {string} options.filename - Value of {filename}
+ * @param {string} options.date - Value of {date} (today, YYYY-MM-DD, when omitted)
+ * @param {number[]} options.pages - 0-based page indices to number (all pages when omitted)
+ * @param {number} options.only - Position in pages of the one page to stamp (for previews);
+ * numbers still count every page
+ * @param {Function} onProgress - Optional (pagesDone, totalPages) callback
+ * @returns {Promise<Buffer>} Stamped PDF buffer
+ * @throws {Error} code UNSUPPORTED_TEXT when the text cannot be drawn with the chosen font
+ */
+const addPageNumbers = async (pdfBuffer, options, onProgress = () => {}) => {
+    const {
+        header = '',
+        footer = '',
+        headerAlign = 'center',
+        footerAlign = 'center',
+        font: fontName = 'helvetica',
+        fontSize = 10,
+        color = rgb(0, 0, 0),
+        margin = 10,
+        startNumber = 1,
+        skipFirst = false,
+        filename = '',
+        date = new Date().toISOString().slice(0, 10)
+    } = options;
+
+    const pdf = await PDFDocument.load(pdfBuffer);
+    const pages = pdf.getPages();
+    const targets = options.pages || pages.map((_, index) => index);
+    const stamped = options.only === undefined ? [...targets.entries()] : [[options.only, targets[options.only]]];
+    const font = await pdf.embedFont(STAMP_FONTS[fontName] || StandardFonts.Helvetica);
+    const marginPt = margin * POINTS_PER_MM;
+    const height = font.heightAtSize(fontSize, { descender: false });
+    const total = startNumber + targets.length - 1;
+
+    const measure = (text) => {
+        try {
+            return font.widthOfTextAtSize(text, fontSize);
+        } catch (e) {
+            const error = new Error(`"${text}" contains characters the ${fontName} font cannot draw`);
+            error.code = 'UNSUPPORTED_TEXT';
+            throw error;
+        }
+    };
+
+    const lines = [
+        { template: header, align: headerAlign, top: true },
+        { template: footer, align: footerAlign, top: false }
+    ].filter(line => line.template);
+
+    for (const [done, [index, pageIndex]] of stamped.entries()) {
+        if (!(skipFirst && index === 0)) {
+            const page = pages[pageIndex];
+            const frame = displayFrame(page);
+
+            for (const line of lines) {
+                const text = fillTemplate(line.template, { n: startNumber + index, total, filename, date });
+                const width = measure(text);
+                const x = {
+                    left: marginPt + width / 2,
+                    right: frame.width - marginPt - width / 2
+                }[line.align] ?? frame.width / 2;
+                const y = line.top ? frame.height - marginPt - height / 2 : marginPt + height / 2;
+
+                drawCentered(page, frame, { x, y, width, height, angle: 0 }, (originX, originY, rotate) => {
+                    page.drawText(text, { x: originX, y: originY, size: fontSize, font, color, rotate });
+                });
+            }
+        }
+
+        onProgress(done + 1, stamped.length);
+    }
+
+    const buffer = await pdf.save();
+    return Buffer.from(buffer);
+};
+
+module.exports = {
+    watermarkPdf,
+    addPageNumbers,
+    parseHexColor,
+    WATERMARK_POSITIONS,
+    STAMP_FONTS,
+    TEXT_ALIGNMENTS
+};
@@ -0,0 +1,93 @@
+const {
+    cloudinary,
+    uploadToCloudinary,
+    deleteResource,
+    getResourcesByTag
+} = require('../../config/cloudinary');
+
+/**
+ * Cloudinary storage provider
+ * Wraps the helpers in config/cloudinary.js behind the storage interface
+ * @returns {Object} Storage provider
+ */
+const createCloudinaryProvider = () => {
+    /**
+     * Upload a buffer to Cloudinary
+     * @param {Buffer} buffer - File buffer
+     * @param {Object} options - { resourceType, format, publicId, folder, tags }
+     * @returns {Promise<Object>} Normalized upload result
+     */
+    const upload = async (buffer, options = {}) => {
+        const { resourceType, format, publicId, folder, tags } = options;
+        const uploadOptions = { resourceType: resourceType || 'auto' };
+
+        if (format) uploadOptions.format = format;
+        if (publicId) uploadOptions.public_id = publicId;
+        if (folder) uploadOptions.folder = folder;
+        if (tags) uploadOptions.tags = ['temp_upload', ...tags];
+
+        const result = await uploadToCloudinary(buffer, uploadOptions);
+
+        return {
+            publicId: result.public_id,
+            url: result.secure_url,
+            bytes: result.bytes,
+            width: result.width,
+            height: result.height,
+            format: result.format,
+            resourceType: result.resource_type,
+            createdAt: result.created_at
+        };
+    };
+
+    /**
+     * Build a delivery URL, optionally with Cloudinary transformations
+     * @param {string} publicId - Stored resource ID
+     * @param {Object} options - { resourceType, format, transformation }
+     * @returns {string} Delivery URL
+     */
+    const getUrl = (publicId, options = {}) => {
+        const { resourceType, format, transformation } = options;
+        const urlOptions = { secure: true };
+
+        if (resourceType) urlOptions.resource_type = resourceType;
+        if (format) urlOptions.format = format;
+        if (transformation && transformation.length > 0) urlOptions.transformation = transformation;
+
+        return cloudinary.url(publicId, urlOptions);
+    };
+
+    /**
+     * Delete a stored resource
+     * @param {string} publicId - Stored resource ID
+     * @param {string} resourceType - Type of resource (image, raw)
+     * @returns {Promise<Object>} Deletion result
+     */
+    const remove = (publicId, resourceType = 'image') => deleteResource(publicId, resourceType);
+
+    /**
+     * List resources carrying a tag
+     * @param {string} tag - Tag to search for
+     * @param {string} resourceType - Type of resource (image, raw)
+     * @returns {Promise<{publicId: string, createdAt: string}[]>} Matching resources
+     */
+    const listByTag = async (tag, resourceType = 'image') => {
+        const result = await getResourcesByTag(tag, resourceType);
+        return (result.resources || []).map(r => ({
+            publicId: r.public_id,
+            createdAt: r.created_at
+        }));
+    };
+
+    return {
+        name: 'cloudinary',
+        supportsTransformations: true,
+        isConfigured: () => Boolean(process.env.CLOUDINARY_CLOUD_NAME),
+        upload,
+        getUrl,
+        delete: remove,
+        listByTag
+    };
+};
+
+module.exports = { createCloudinaryProvider };
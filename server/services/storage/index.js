@@ -0,0 +1,38 @@
+const path = require('path');
+const { createCloudinaryProvider } = require('./cloudinaryProvider');
+const { createLocalProvider } = require('./localProvider');
+
+/**
+ * Storage Service
+ * Every provider exposes the same interface:
+ * - upload(buffer, { resourceType, format, publicId, folder, tags })
+ *     => Promise<{ publicId, url, bytes, width, height, format, resourceType, createdAt }>
+ * - getUrl(publicId, { resourceType, format, transformation }) => string
+ * - delete(publicId, resourceType) => Promise
+ * - listByTag(tag, resourceType) => Promise<{ publicId, createdAt }[]>
+ * - isConfigured() => boolean
+ * - supportsTransformations: whether getUrl applies `transformation`
+ * - serve (optional): Express router delivering stored files under /api/files
+ */
+
+// Configuration from environment or defaults
+const STORAGE_PROVIDER = process.env.STORAGE_PROVIDER
+    || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads');
+const LOCAL_STORAGE_BASE_URL = process.env.LOCAL_STORAGE_BASE_URL || '';
+
+const providers = {
+    cloudinary: () => createCloudinaryProvider(),
+    local: () => createLocalProvider({
+        rootDir: LOCAL_STORAGE_DIR,
+        baseUrl: LOCAL_STORAGE_BASE_URL
+    })
+};
+
+if (!providers[STORAGE_PROVIDER]) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${STORAGE_PROVIDER}". Allowed: ${Object.keys(providers).join(', ')}`);
+}
+
+const storage = providers[STORAGE_PROVIDER]();
+
+module.exports = storage;
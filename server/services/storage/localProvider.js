@@ -0,0 +1,169 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const mime = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
+
+const META_SUFFIX = '.meta.json';
+
+/**
+ * Local filesystem storage provider
+ * Files live under `<rootDir>/<resourceType>/<publicId>.<ext>` with a JSON
+ * sidecar holding tags and creation time, and are served by `serve`.
+ * Transformations and format changes are not applied at delivery time:
+ * the stored bytes are returned as-is.
+ * @param {Object} options - { rootDir, baseUrl }
+ * @returns {Object} Storage provider
+ */
+const createLocalProvider = ({ rootDir, baseUrl = '' } = {}) => {
+    const root = path.resolve(rootDir);
+
+    /**
+     * Resolve a path under the storage root, rejecting traversal attempts
+     * @param {...string} segments - Path segments
+     * @returns {string} Absolute path
+     */
+    const resolvePath = (...segments) => {
+        const resolved = path.resolve(root, ...segments);
+        if (!resolved.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage path');
+        }
+        return resolved;
+    };
+
+    const readMeta = async (publicId, resourceType) => {
+        const metaPath = resolvePath(resourceType, publicId + META_SUFFIX);
+        return JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    };
+
+    /**
+     * Recursively collect sidecar files under a directory
+     * @param {string} dir - Directory to walk
+     * @returns {Promise<string[]>} Absolute sidecar paths
+     */
+    const findMetaFiles = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const results = [];
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                results.push(...await findMetaFiles(entryPath));
+            } else if (entry.name.endsWith(META_SUFFIX)) {
+                results.push(entryPath);
+            }
+        }
+        return results;
+    };
+
+    const getUrl = (publicId, options = {}) => {
+        const { resourceType = 'image' } = options;
+        return `${baseUrl}/api/files/${resourceType}/${publicId}`;
+    };
+
+    /**
+     * Write a buffer to disk
+     * @param {Buffer} buffer - File buffer
+     * @param {Object} options - { resourceType, format, publicId, folder, tags, contentType }
+     * @returns {Promise<Object>} Normalized upload result
+     */
+    const upload = async (buffer, options = {}) => {
+        const {
+            resourceType = 'image',
+            format,
+            folder = 'temp_uploads',
+            tags = [],
+            contentType
+        } = options;
+        const publicId = `${folder}/${options.publicId || uuidv4()}`;
+        const fileName = publicId + (format ? `.${format}` : '');
+        const createdAt = new Date().toISOString();
+
+        const filePath = resolvePath(resourceType, fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+
+        const meta = {
+            publicId,
+            resourceType,
+            format: format || null,
+            file: fileName,
+            contentType: contentType || mime.lookup(fileName) || 'application/octet-stream',
+            bytes: buffer.length,
+            tags: ['temp_upload', ...tags],
+            createdAt
+        };
+        await fs.writeFile(resolvePath(resourceType, publicId + META_SUFFIX), JSON.stringify(meta));
+
+        return {
+            publicId,
+            url: getUrl(publicId, { resourceType }),
+            bytes: buffer.length,
+            format: format || null,
+            resourceType,
+            createdAt
+        };
+    };
+
+    const remove = async (publicId, resourceType = 'image') => {
+        const meta = await readMeta(publicId, resourceType);
+        await fs.rm(resolvePath(resourceType, meta.file), { force: true });
+        await fs.rm(resolvePath(resourceType, publicId + META_SUFFIX), { force: true });
+        return { result: 'ok' };
+    };
+
+    const listByTag = async (tag, resourceType = 'image') => {
+        const metaFiles = await findMetaFiles(path.join(root, resourceType));
+        const resources = [];
+
+        for (const metaFile of metaFiles) {
+            try {
+                const meta = JSON.parse(await fs.readFile(metaFile, 'utf8'));
+                if (meta.tags.includes(tag)) {
+                    resources.push({ publicId: meta.publicId, createdAt: meta.createdAt });
+                }
+            } catch (error) {
+                console.error(`[Storage] Unreadable metadata ${metaFile}:`, error.message);
+            }
+        }
+
+        return resources;
+    };
+
+    // Serves stored files at /api/files/:resourceType/<publicId>
+    const serve = express.Router();
+    serve.get('/:resourceType/*', async (req, res) => {
+        let meta;
+        try {
+            meta = await readMeta(req.params[0], req.params.resourceType);
+        } catch (error) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        res.type(meta.contentType);
+        res.sendFile(path.join(req.params.resourceType, meta.file), { root }, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'File not found' });
+            }
+        });
+    });
+
+    return {
+        name: 'local',
+        supportsTransformations: false,
+        isConfigured: () => true,
+        upload,
+        getUrl,
+        delete: remove,
+        listByTag,
+        serve
+    };
+};
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,53 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+/**
+ * ZIP Service
+ * Bundles several output files into a single archive
+ */
+
+/**
+ * Make an entry name unique within an archive by appending a counter
+ * ("photo.jpg", "photo (2).jpg", ...)
+ * @param {string} name - Requested entry name
+ * @param {Set<string>} used - Names already in the archive
+ * @returns {string} Unique entry name
+ */
+const uniqueName = (name, used) => {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Create a ZIP archive
+ * @param {{name: string, buffer: Buffer}[]} entries - Files to add, in order
+ * @returns {Promise<Buffer>} ZIP archive
+ */
+const createZip = async (entries) => {
+    const zip = new JSZip();
+    const used = new Set();
+
+    for (const entry of entries) {
+        // Keep entries flat: strip any directory part from client-supplied names
+        const name = path.basename(entry.name.replace(/\\/g, '/')) || 'file';
+        zip.file(uniqueName(name, used), entry.buffer);
+    }
+
+    return zip.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+    });
+};
+
+module.exports = {
+    createZip,
+    uniqueName
+};
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Storage is configured when first required
+process.env.STORAGE_PROVIDER = 'local';
+
+const { createApp } = require('../app');
+
+/**
+ * App configuration per platform
+ */
+
+describe('createApp', () => {
+    it('runs on a server with local storage', () => {
+        assert.equal(typeof createApp(), 'function');
+    });
+
+    it('refuses local storage on a serverless platform', () => {
+        assert.throws(() => createApp({ platform: 'vercel' }), /Local storage is not available on vercel.*CLOUDINARY_CLOUD_NAME/);
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+
+/**
+ * Test helpers
+ * Build small PDFs with pdf-lib and read them back with pdf.js,
+ * an independent reader, and post forms to a running app
+ */
+
+// Fonts shipped with pdf.js, for the standard fonts the test documents use
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// pdf.js is published as an ES module: load it once, on first use
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+};
+
+/**
+ * Create a PDF whose pages read "<label> page N"
+ * @param {Object} options - { pageCount, label, size }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const createPdf = async ({ pageCount = 1, label = 'test', size = [300, 200] } = {}) => {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    for (let i = 1; i <= pageCount; i++) {
+        pdf.addPage(size).drawText(`${label} page ${i}`, { x: 20, y: 100, size: 14, font });
+    }
+    return Buffer.from(await pdf.save());
+};
+
+/**
+ * Read the text of every page with pdf.js
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<string[]>} Text of each page, items joined with spaces
+ */
+const readPageTexts = async (pdfBuffer) => {
+    const pdfjs = await loadPdfjs();
+    const doc = await pdfjs.getDocument({
+        data: new Uint8Array(pdfBuffer),
+        isEvalSupported: false,
+        standardFontDataUrl: STANDARD_FONT_DATA_URL
+    }).promise;
+
+    try {
+        const texts = [];
+        for (let i = 1; i <= doc.numPages; i++) {
+            const content = await (await doc.getPage(i)).getTextContent();
+            texts.push(content.items.map(item => item.str).filter(Boolean).join(' '));
+        }
+        return texts;
+    } finally {
+        await doc.destroy();
+    }
+};
+
+/**
+ * Start the app on a free port, storing results in a scratch directory
+ * (one app per test file: each file runs in its own process)
+ * @param {Object} options - createApp options
+ * @returns {Promise<{baseUrl: string, close: Function}>} Server URL and a function that stops
+ * the server and removes the stored files
+ */
+const startApp = async (options) => {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fileutils-test-'));
+    // Storage and rate limits are configured when first required
+    process.env.STORAGE_PROVIDER = 'local';
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+    const { createApp } = require('../app');
+
+    const server = createApp(options).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        }
+    };
+};
+
+/**
+ * Post a multipart form
+ * @param {string} url - Endpoint URL
+ * @param {Object} fields - Form fields; Buffers are sent as files (PNG for "image", PDF otherwise)
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+const postForm = async (url, fields) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+        if (Buffer.isBuffer(value)) {
+            const type = name === 'image' ? 'image/png' : 'application/pdf';
+            form.append(name, new Blob([value], { type }), `${name}.${type.split('/')[1]}`);
+        } else {
+            form.append(name, String(value));
+        }
+    }
+    const response = await fetch(url, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+};
+
+module.exports = {
+    createPdf,
+    readPageTexts,
+    loadPdfjs,
+    startApp,
+    postForm,
+    STANDARD_FONT_DATA_URL
+};
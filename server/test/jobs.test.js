@@ -0,0 +1,146 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { enqueueJob, runTrackedJob, getJob, subscribeToJob } = require('../services/jobs');
+const { processRequest } = require('../middleware/jobs');
+const { createHttpError } = require('../middleware/validation');
+
+/**
+ * Job runner and the processRequest middleware
+ */
+
+/**
+ * Wait until a job has finished
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Final job status
+ */
+const waitForJob = (id) => new Promise(resolve => {
+    const isFinished = (status) => status?.status === 'succeeded' || status?.status === 'failed';
+    const finish = (status) => {
+        unsubscribe();
+        // Let the runner finish what it does after the last update
+        setImmediate(() => resolve(status));
+    };
+
+    const unsubscribe = subscribeToJob(id, (status) => {
+        if (isFinished(status)) finish(status);
+    });
+    // The job may have finished before the subscription
+    getJob(id).then(status => {
+        if (isFinished(status)) finish(status);
+    });
+});
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} Response
+ */
+const createResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+describe('jobs', () => {
+    let logged;
+
+    beforeEach(() => {
+        logged = mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('records the result and progress of a background job', async () => {
+        const job = await enqueueJob('test.ok', async (context) => {
+            await context.progress(50, 'processing', { current: 1, total: 2 });
+            return { success: true, value: 42 };
+        });
+        const status = await waitForJob(job.id);
+
+        assert.equal(status.status, 'succeeded');
+        assert.equal(status.progress, 100);
+        assert.deepEqual(status.result, { success: true, value: 42 });
+        assert.deepEqual((await getJob(job.id)).result, status.result);
+    });
+
+    it('adds notices to the result', async () => {
+        const { result } = await runTrackedJob('test.notice', async (context) => {
+            context.notice('SOMETHING', 'Something to know', { fileName: 'a.pdf' });
+            return { success: true };
+        });
+        assert.deepEqual(result.notices, [{ code: 'SOMETHING', message: 'Something to know', fileName: 'a.pdf' }]);
+    });
+
+    it('logs a failed background job once', async () => {
+        const job = await enqueueJob('test.fail', async () => {
+            throw new Error('disk full');
+        }, { failureMessage: 'Failed to test' });
+        const status = await waitForJob(job.id);
+
+        assert.deepEqual(status.error, { status: 500, message: 'Failed to test', details: 'disk full' });
+        assert.equal(logged.mock.callCount(), 1);
+    });
+
+    it('does not log client errors of background jobs', async () => {
+        const job = await enqueueJob('test.invalid', async () => {
+            throw createHttpError(400, 'Bad input', { field: 'pages' });
+        });
+        const status = await waitForJob(job.id);
+
+        assert.deepEqual(status.error, { status: 400, message: 'Bad input', field: 'pages' });
+        assert.equal(logged.mock.callCount(), 0);
+    });
+
+    it('leaves logging of inline jobs to the caller', async () => {
+        await assert.rejects(runTrackedJob('test.fail', async () => {
+            throw new Error('disk full');
+        }), /disk full/);
+        assert.equal(logged.mock.callCount(), 0);
+    });
+
+    it('logs a failed inline request once', async () => {
+        const handler = processRequest('test.fail', async () => {
+            throw new Error('disk full');
+        }, 'Failed to test');
+        const res = createResponse();
+        await handler({ query: {}, body: {} }, res);
+
+        assert.equal(res.statusCode, 500);
+        assert.deepEqual(res.body, { error: 'Failed to test', details: 'disk full' });
+        assert.equal(logged.mock.callCount(), 1);
+    });
+
+    it('answers an async request with the job to poll', async () => {
+        const handler = processRequest('test.ok', async () => ({ success: true }), 'Failed to test');
+        const res = createResponse();
+        await handler({ query: { async: 'true' }, body: {} }, res);
+
+        assert.equal(res.statusCode, 202);
+        assert.equal(res.body.statusUrl, `/api/jobs/${res.body.jobId}`);
+        assert.equal((await waitForJob(res.body.jobId)).status, 'succeeded');
+    });
+
+    it('refuses async requests where jobs cannot be polled later', async () => {
+        const work = mock.fn(async () => ({ success: true }));
+        const handler = processRequest('test.ok', work, 'Failed to test');
+        const res = createResponse();
+        await handler({ app: { locals: { backgroundJobs: false } }, query: {}, body: { async: 'true' } }, res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'ASYNC_UNAVAILABLE');
+        assert.equal(work.mock.callCount(), 0);
+
+        // Inline requests still work there
+        const inline = createResponse();
+        await handler({ app: { locals: { backgroundJobs: false } }, query: {}, body: {} }, inline);
+        assert.deepEqual(inline.body, { success: true });
+    });
+});
@@ -0,0 +1,241 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const {
+    mergePdfs,
+    listFormFields,
+    fillFormFields,
+    parsePageRange,
+    parsePageSequence,
+    parsePageRangeStrict,
+    planSplit,
+    bookletOrder
+} = require('../services/pdfProcessor');
+const { readOutline, writeOutline } = require('../services/pdfOutline');
+const { createPdf, readPageTexts } = require('./helpers');
+
+/**
+ * Page ranges, split plans, booklet order, merging and forms
+ */
+
+/**
+ * Create a PDF with one field of each fillable type
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const createFormPdf = async () => {
+    const pdf = await PDFDocument.create();
+    const pages = [pdf.addPage([400, 400]), pdf.addPage([400, 400])];
+    const form = pdf.getForm();
+
+    const name = form.createTextField('name');
+    name.setMaxLength(20);
+    name.addToPage(pages[0], { x: 20, y: 340, width: 200, height: 24 });
+
+    form.createCheckBox('agree').addToPage(pages[0], { x: 20, y: 300, width: 16, height: 16 });
+
+    const size = form.createRadioGroup('size');
+    size.addOptionToPage('small', pages[1], { x: 20, y: 340, width: 16, height: 16 });
+    size.addOptionToPage('large', pages[1], { x: 60, y: 340, width: 16, height: 16 });
+
+    const country = form.createDropdown('country');
+    country.addOptions(['France', 'Japan']);
+    country.addToPage(pages[1], { x: 20, y: 280, width: 120, height: 24 });
+
+    return Buffer.from(await pdf.save());
+};
+
+describe('page ranges', () => {
+    it('parsePageRange skips what does not exist and sorts', () => {
+        assert.deepEqual(parsePageRange('5,1-3,9', 6), [0, 1, 2, 4]);
+        assert.deepEqual(parsePageRange('4-8', 5), [3, 4]);
+    });
+
+    it('parsePageSequence keeps the order written and repeats', () => {
+        assert.deepEqual(parsePageSequence('5,1-3', 5), [4, 0, 1, 2]);
+        assert.deepEqual(parsePageSequence(' 2 , 2 - 3 ,1', 3), [1, 1, 2, 0]);
+    });
+
+    it('parsePageRangeStrict sorts and removes repeats', () => {
+        assert.deepEqual(parsePageRangeStrict('5,1-3,2', 5), [0, 1, 2, 4]);
+    });
+
+    for (const [input, message] of [
+        ['', /No pages specified/],
+        [' , ', /No pages specified/],
+        ['abc', /Invalid page reference "abc"/],
+        ['1-', /Invalid page reference "1-"/],
+        ['3-1', /start is after end/],
+        ['0', /Page 0 does not exist/],
+        ['2-7', /Page 7 does not exist \(the document has 5 pages\)/]
+    ]) {
+        it(`rejects "${input}"`, () => {
+            assert.throws(() => parsePageSequence(input, 5), { code: 'INVALID_PAGE_RANGE', message });
+            assert.throws(() => parsePageRangeStrict(input, 5), { code: 'INVALID_PAGE_RANGE', message });
+        });
+    }
+});
+
+describe('planSplit', () => {
+    let pdf;
+
+    before(async () => {
+        pdf = await PDFDocument.load(await createPdf({ pageCount: 5 }));
+    });
+
+    const summary = (parts) => parts.map(({ pageIndices, pages, name }) => ({ pageIndices, pages, name }));
+
+    it('splits by page ranges, skipping groups without pages', () => {
+        assert.deepEqual(summary(planSplit(pdf, 'ranges', { pages: '1-2, 4; 5 ;9' })), [
+            { pageIndices: [0, 1, 3], pages: '1-2, 4', name: 'p1-2_4' },
+            { pageIndices: [4], pages: '5', name: 'p5' }
+        ]);
+    });
+
+    it('splits every N pages', () => {
+        assert.deepEqual(summary(planSplit(pdf, 'every', { every: 2 })), [
+            { pageIndices: [0, 1], pages: '1-2', name: 'p1-2' },
+            { pageIndices: [2, 3], pages: '3-4', name: 'p3-4' },
+            { pageIndices: [4], pages: '5', name: 'p5' }
+        ]);
+    });
+
+    it('splits odd and even pages', () => {
+        assert.deepEqual(summary(planSplit(pdf, 'odd-even', {})), [
+            { pageIndices: [0, 2, 4], pages: 'odd', name: 'odd' },
+            { pageIndices: [1, 3], pages: 'even', name: 'even' }
+        ]);
+    });
+
+    it('splits into single pages', () => {
+        assert.deepEqual(planSplit(pdf, 'pages', {}).map(part => part.name), ['p1', 'p2', 'p3', 'p4', 'p5']);
+    });
+
+    it('splits by top-level bookmarks, with the pages before the first as a part', async () => {
+        const bookmarked = await PDFDocument.load(await createPdf({ pageCount: 5 }));
+        writeOutline(bookmarked, [
+            { title: 'Intro', pageIndex: 1, view: null, open: false, children: [{ title: 'Aims', pageIndex: 2, view: null, open: false, children: [] }] },
+            { title: 'Results', pageIndex: 3, view: null, open: false, children: [] }
+        ]);
+        const reloaded = await PDFDocument.load(await bookmarked.save());
+
+        const parts = planSplit(reloaded, 'bookmarks', {});
+        assert.deepEqual(summary(parts), [
+            { pageIndices: [0], pages: '1', name: '1_front' },
+            { pageIndices: [1, 2], pages: '2-3', name: '2_Intro' },
+            { pageIndices: [3, 4], pages: '4-5', name: '3_Results' }
+        ]);
+        // Bookmarks are kept with their part, pointing to its own pages
+        assert.equal(parts[1].outline[0].children[0].title, 'Aims');
+        assert.equal(parts[1].outline[0].children[0].pageIndex, 1);
+    });
+
+    it('reports a PDF without bookmarks', () => {
+        assert.throws(() => planSplit(pdf, 'bookmarks', {}), { code: 'NO_BOOKMARKS' });
+    });
+});
+
+describe('bookletOrder', () => {
+    it('orders a multiple of four pages sheet by sheet', () => {
+        assert.deepEqual(bookletOrder(8), [7, 0, 1, 6, 5, 2, 3, 4]);
+    });
+
+    it('pads with blank pages', () => {
+        assert.deepEqual(bookletOrder(5), [null, 0, 1, null, null, 2, 3, 4]);
+        assert.deepEqual(bookletOrder(1), [null, 0, null, null]);
+    });
+});
+
+describe('mergePdfs', () => {
+    let first;
+    let second;
+
+    before(async () => {
+        first = await createPdf({ pageCount: 3, label: 'a' });
+        second = await createPdf({ pageCount: 3, label: 'b' });
+    });
+
+    it('takes the pages of each file in the order written', async () => {
+        const merged = await mergePdfs([first, second], undefined, { pageRanges: ['3,1', ''] });
+        assert.deepEqual(await readPageTexts(merged), ['a page 3', 'a page 1', 'b page 1', 'b page 2', 'b page 3']);
+    });
+
+    it('reports an invalid page range with the file it belongs to', async () => {
+        await assert.rejects(
+            mergePdfs([first, second], undefined, { pageRanges: ['', '4'] }),
+            { code: 'INVALID_PAGE_RANGE', fileIndex: 1 }
+        );
+    });
+
+    it('interleaves a double-sided scan', async () => {
+        const merged = await mergePdfs([first, second], undefined, { interleave: true, reverseSecond: true });
+        assert.deepEqual(await readPageTexts(merged), ['a page 1', 'b page 3', 'a page 2', 'b page 2', 'a page 3', 'b page 1']);
+    });
+
+    it('adds a bookmark per file', async () => {
+        const merged = await mergePdfs([first, second], undefined, { bookmarks: ['First', 'Second'], pageRanges: ['2', ''] });
+        const outline = readOutline(await PDFDocument.load(merged));
+        assert.deepEqual(outline.map(({ title, pageIndex }) => ({ title, pageIndex })), [
+            { title: 'First', pageIndex: 0 },
+            { title: 'Second', pageIndex: 1 }
+        ]);
+    });
+});
+
+describe('forms', () => {
+    let formPdf;
+
+    before(async () => {
+        formPdf = await createFormPdf();
+    });
+
+    it('lists the fields with their type, value, options and pages', async () => {
+        const { fields, xfa } = await listFormFields(formPdf);
+        assert.equal(xfa, false);
+        assert.deepEqual(fields.map(({ name, type, value, pages }) => ({ name, type, value, pages })), [
+            { name: 'name', type: 'text', value: '', pages: [1] },
+            { name: 'agree', type: 'checkbox', value: false, pages: [1] },
+            { name: 'size', type: 'radio', value: null, pages: [2] },
+            { name: 'country', type: 'dropdown', value: [], pages: [2] }
+        ]);
+        assert.equal(fields[0].maxLength, 20);
+        assert.deepEqual(fields[2].options, ['small', 'large']);
+        assert.deepEqual(fields[3].options, ['France', 'Japan']);
+    });
+
+    it('lists nothing for a PDF without a form', async () => {
+        assert.deepEqual(await listFormFields(await createPdf()), { fields: [], xfa: false });
+    });
+
+    it('fills the fields', async () => {
+        const values = { name: 'Ada', agree: true, size: 'large', country: 'Japan' };
+        const { buffer, filled, flattened } = await fillFormFields(formPdf, values);
+        assert.deepEqual(filled, Object.keys(values));
+        assert.equal(flattened, false);
+
+        const { fields } = await listFormFields(buffer);
+        assert.deepEqual(fields.map(field => field.value), ['Ada', true, 'large', ['Japan']]);
+    });
+
+    it('flattens the form into the pages', async () => {
+        const { buffer, flattened } = await fillFormFields(formPdf, { name: 'Ada' }, { flatten: true });
+        assert.equal(flattened, true);
+        assert.deepEqual((await listFormFields(buffer)).fields, []);
+        assert.match((await readPageTexts(buffer))[0], /Ada/);
+    });
+
+    for (const [values, code, message] of [
+        [{ missing: 'x' }, 'FORM_FIELD_NOT_FOUND', /No form field named "missing"/],
+        [{ name: 'x'.repeat(21) }, 'INVALID_FORM_VALUE', /name: at most 20 characters allowed/],
+        [{ agree: 'yes' }, 'INVALID_FORM_VALUE', /agree: expected true or false/],
+        [{ size: 'medium' }, 'INVALID_FORM_VALUE', /size: expected one of: small, large/],
+        [{ country: ['France', 'Japan'] }, 'INVALID_FORM_VALUE', /country: only one option can be selected/]
+    ]) {
+        it(`rejects ${JSON.stringify(values)}`, async () => {
+            await assert.rejects(fillFormFields(formPdf, values), { code, message });
+        });
+    }
+
+    it('rejects filling a PDF without a form', async () => {
+        await assert.rejects(fillFormFields(await createPdf(), { name: 'Ada' }), { code: 'FORM_FIELD_NOT_FOUND' });
+    });
+});
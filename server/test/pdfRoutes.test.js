@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createPdf, startApp, postForm } = require('./helpers');
+
+/**
+ * Request parsing of the PDF routes
+ */
+
+describe('POST /api/pdf/rotate', () => {
+    let app;
+    let source;
+
+    const rotate = (fields) => postForm(`${app.baseUrl}/api/pdf/rotate`, { file: source, ...fields });
+
+    before(async () => {
+        app = await startApp();
+        source = await createPdf({ pageCount: 4 });
+    });
+
+    after(() => app.close());
+
+    it('rotates the pages of each entry', async () => {
+        const { status, body } = await rotate({
+            rotations: JSON.stringify([{ pages: '3-4,1', angle: 90 }, { pages: '2', angle: 180 }])
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.rotatedPages, [1, 2, 3, 4]);
+
+        const stored = await fetch(`${app.baseUrl}${body.downloadUrl}`);
+        const pdf = await PDFDocument.load(await stored.arrayBuffer());
+        assert.deepEqual(pdf.getPages().map(page => page.getRotation().angle), [90, 180, 90, 90]);
+    });
+
+    it('accepts the pages and angle shorthand, all pages by default', async () => {
+        assert.deepEqual((await rotate({ pages: '2-3', angle: 270 })).body.rotatedPages, [2, 3]);
+        assert.deepEqual((await rotate({ angle: 90 })).body.rotatedPages, [1, 2, 3, 4]);
+    });
+
+    it('rejects rotations that are not JSON', async () => {
+        const { status, body } = await rotate({ rotations: '[{ pages: 1 }' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid rotations format');
+    });
+
+    it('rejects a missing or empty list', async () => {
+        assert.equal((await rotate({})).body.error, 'Rotations required');
+        assert.equal((await rotate({ rotations: '[]' })).body.error, 'Rotations required');
+    });
+
+    it('rejects an angle that is not a quarter turn', async () => {
+        const { status, body } = await rotate({ rotations: JSON.stringify([{ pages: '1', angle: 90 }, { pages: '2', angle: 45 }]) });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid angle in rotation 2');
+        assert.deepEqual(body.allowedAngles, [90, 180, 270]);
+    });
+
+    it('names the entry with pages that do not exist', async () => {
+        const { status, body } = await rotate({ rotations: JSON.stringify([{ pages: '1', angle: 90 }, { pages: '2-6', angle: 90 }]) });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid pages in rotation 2: Page 6 does not exist (the document has 4 pages)');
+        assert.equal(body.code, 'INVALID_PAGE_RANGE');
+        assert.equal(body.rotation, 2);
+        assert.equal(body.totalPages, 4);
+    });
+
+    it('rejects an entry without pages', async () => {
+        const { status, body } = await rotate({ rotations: JSON.stringify([{ angle: 90 }]) });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid pages in rotation 1: No pages specified');
+    });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { decryptPdf, encryptPdf, isPdfEncrypted } = require('../services/pdfSecurity');
+
+/**
+ * Encryption round trips, checked with an independent reader (pdf.js)
+ *
+ * Fixtures were encrypted with pypdf from a one-page PDF titled "Quarterly report"
+ * that reads "Encrypted test page", with print allowed and everything else withheld:
+ * <algorithm>-user.pdf opens with "user-pass", <algorithm>-owner-only.pdf without a password;
+ * the owner password of both is "owner-pass"
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURE_ALGORITHMS = ['rc4-40', 'rc4-128', 'aes-128', 'aes-256-r5', 'aes-256'];
+const TITLE = 'Quarterly report';
+const TEXT = 'Encrypted test page';
+
+// Fonts shipped with pdf.js, for the standard fonts the test document uses
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// pdf.js password exception codes
+const NEED_PASSWORD = 1;
+const INCORRECT_PASSWORD = 2;
+
+let pdfjs;
+
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, `${name}.pdf`));
+
+/**
+ * Create the unencrypted test document
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const createPdf = async () => {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(TITLE);
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    pdf.addPage([300, 200]).drawText(TEXT, { x: 20, y: 100, size: 14, font });
+    return Buffer.from(await pdf.save());
+};
+
+/**
+ * Open a PDF with pdf.js and read back its title, text and permissions
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {string} password - Password (optional)
+ * @returns {Promise<{title: string, text: string, permissions: number[]|null}>} What pdf.js sees
+ */
+const readWithPdfjs = async (pdfBuffer, password) => {
+    const doc = await pdfjs.getDocument({
+        data: new Uint8Array(pdfBuffer),
+        password,
+        isEvalSupported: false,
+        standardFontDataUrl: STANDARD_FONT_DATA_URL
+    }).promise;
+
+    try {
+        const { info } = await doc.getMetadata();
+        const content = await (await doc.getPage(1)).getTextContent();
+        return {
+            title: info.Title,
+            text: content.items.map(item => item.str).join(''),
+            permissions: await doc.getPermissions()
+        };
+    } finally {
+        await doc.destroy();
+    }
+};
+
+/**
+ * Assert that pdf.js refuses a PDF with the given password exception code
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {string} password - Password (optional)
+ * @param {number} code - Expected pdf.js PasswordException code
+ */
+const assertPdfjsRefuses = (pdfBuffer, password, code) => assert.rejects(
+    readWithPdfjs(pdfBuffer, password),
+    (error) => error.name === 'PasswordException' && error.code === code
+);
+
+before(async () => {
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+});
+
+describe('encryptPdf', () => {
+    let source;
+
+    before(async () => {
+        source = await createPdf();
+    });
+
+    for (const algorithm of ['aes-256', 'aes-128']) {
+        describe(algorithm, () => {
+            let encrypted;
+
+            before(async () => {
+                encrypted = await encryptPdf(source, {
+                    userPassword: 'user-pass',
+                    ownerPassword: 'owner-pass',
+                    permissions: { copy: false, modify: false },
+                    algorithm
+                });
+            });
+
+            it('writes the revision for the algorithm', () => {
+                const revision = algorithm === 'aes-256' ? 6 : 4;
+                assert.match(encrypted.toString('latin1'), new RegExp(`/R ${revision}\\b`));
+                assert.doesNotMatch(encrypted.toString('latin1'), new RegExp(TEXT));
+            });
+
+            it('opens in pdf.js with the user password', async () => {
+                const { title, text, permissions } = await readWithPdfjs(encrypted, 'user-pass');
+                assert.equal(title, TITLE);
+                assert.equal(text, TEXT);
+                // Copy (bit 5) and modify (bit 4) are withheld, print (bit 3) is granted
+                assert.ok(permissions.includes(pdfjs.PermissionFlag.PRINT));
+                assert.ok(!permissions.includes(pdfjs.PermissionFlag.COPY));
+                assert.ok(!permissions.includes(pdfjs.PermissionFlag.MODIFY_CONTENTS));
+            });
+
+            it('opens in pdf.js with the owner password', async () => {
+                const { title, text } = await readWithPdfjs(encrypted, 'owner-pass');
+                assert.equal(title, TITLE);
+                assert.equal(text, TEXT);
+            });
+
+            it('is refused by pdf.js without a password or with a wrong one', async () => {
+                await assertPdfjsRefuses(encrypted, undefined, NEED_PASSWORD);
+                await assertPdfjsRefuses(encrypted, 'wrong-pass', INCORRECT_PASSWORD);
+            });
+
+            it('decrypts back with either password', async () => {
+                assert.equal(await isPdfEncrypted(encrypted), true);
+
+                for (const password of ['user-pass', 'owner-pass']) {
+                    const { buffer, wasEncrypted } = await decryptPdf(encrypted, password);
+                    assert.equal(wasEncrypted, true);
+                    assert.equal(await isPdfEncrypted(buffer), false);
+                    const { title, text } = await readWithPdfjs(buffer);
+                    assert.equal(title, TITLE);
+                    assert.equal(text, TEXT);
+                }
+            });
+
+            it('opens without a password when only restricted', async () => {
+                const restricted = await encryptPdf(source, { permissions: { print: false }, algorithm });
+                const { text, permissions } = await readWithPdfjs(restricted);
+                assert.equal(text, TEXT);
+                assert.ok(!permissions.includes(pdfjs.PermissionFlag.PRINT));
+            });
+        });
+    }
+
+    it('rejects a PDF that is already encrypted', async () => {
+        const encrypted = await encryptPdf(source, { userPassword: 'user-pass' });
+        await assert.rejects(encryptPdf(encrypted, { userPassword: 'user-pass' }), { code: 'PDF_ENCRYPTED' });
+    });
+});
+
+describe('decryptPdf', () => {
+    it('returns unencrypted PDFs as they are', async () => {
+        const source = await createPdf();
+        const { buffer, wasEncrypted, restrictionsRemoved } = await decryptPdf(source);
+        assert.equal(buffer, source);
+        assert.equal(wasEncrypted, false);
+        assert.deepEqual(restrictionsRemoved, []);
+    });
+
+    for (const algorithm of FIXTURE_ALGORITHMS) {
+        describe(algorithm, () => {
+            const withheld = algorithm === 'rc4-40'
+                // Revision 2 has no separate high-quality print bit
+                ? ['copy', 'modify', 'annotate']
+                : ['print', 'copy', 'modify', 'annotate'];
+
+            it('decrypts with the user password and reports the lifted restrictions', async () => {
+                const { buffer, wasEncrypted, restrictionsRemoved } = await decryptPdf(fixture(`${algorithm}-user`), 'user-pass');
+                assert.equal(wasEncrypted, true);
+                assert.deepEqual(restrictionsRemoved, withheld);
+                const { title, text } = await readWithPdfjs(buffer);
+                assert.equal(title, TITLE);
+                assert.equal(text, TEXT);
+            });
+
+            it('decrypts with the owner password without reporting restrictions', async () => {
+                const { buffer, restrictionsRemoved } = await decryptPdf(fixture(`${algorithm}-user`), 'owner-pass');
+                assert.deepEqual(restrictionsRemoved, []);
+                assert.equal((await readWithPdfjs(buffer)).text, TEXT);
+            });
+
+            it('rejects a missing or wrong password', async () => {
+                await assert.rejects(decryptPdf(fixture(`${algorithm}-user`)), { code: 'PDF_ENCRYPTED' });
+                await assert.rejects(decryptPdf(fixture(`${algorithm}-user`), 'wrong-pass'), { code: 'PDF_PASSWORD_INCORRECT' });
+            });
+
+            it('opens a restricted-only PDF without a password', async () => {
+                const { buffer, restrictionsRemoved } = await decryptPdf(fixture(`${algorithm}-owner-only`));
+                assert.deepEqual(restrictionsRemoved, withheld);
+                assert.equal((await readWithPdfjs(buffer)).text, TEXT);
+
+                const withOwner = await decryptPdf(fixture(`${algorithm}-owner-only`), 'owner-pass');
+                assert.deepEqual(withOwner.restrictionsRemoved, []);
+            });
+        });
+    }
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { PDFDocument, PDFName, PDFDict } = require('pdf-lib');
+const { createPdf, readPageTexts, startApp, postForm } = require('./helpers');
+const { watermarkPdf, addPageNumbers, parseHexColor } = require('../services/pdfStamper');
+
+/**
+ * Watermarks, headers and footers
+ */
+
+/**
+ * Count the distinct images each page uses (a tiled image is drawn many times, but stored once)
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<number[]>} Number of images on each page
+ */
+const countPageImages = async (pdfBuffer) => {
+    const pdf = await PDFDocument.load(pdfBuffer);
+    return pdf.getPages().map(page => {
+        const xObjects = page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        if (!xObjects) return 0;
+        const images = xObjects.keys()
+            .map(key => xObjects.get(key))
+            .filter(ref => pdf.context.lookup(ref).dict?.get(PDFName.of('Subtype')) === PDFName.of('Image'));
+        return new Set(images.map(ref => ref.toString())).size;
+    });
+};
+
+let source;
+let logo;
+
+before(async () => {
+    source = await createPdf({ pageCount: 4, label: 'doc' });
+    logo = await sharp({
+        create: { width: 40, height: 20, channels: 4, background: { r: 200, g: 0, b: 0, alpha: 0.5 } }
+    }).png().toBuffer();
+});
+
+describe('watermarkPdf', () => {
+    it('stamps text on the chosen pages and reports progress', async () => {
+        const progress = [];
+        const stamped = await watermarkPdf(source, {
+            text: 'DRAFT',
+            color: parseHexColor('#ff0000'),
+            pages: [1, 3]
+        }, (done, total) => progress.push([done, total]));
+
+        assert.deepEqual(progress, [[1, 2], [2, 2]]);
+        assert.deepEqual(await readPageTexts(stamped), [
+            'doc page 1',
+            'doc page 2 DRAFT',
+            'doc page 3',
+            'doc page 4 DRAFT'
+        ]);
+    });
+
+    it('stamps an image, tiled over every page', async () => {
+        const stamped = await watermarkPdf(source, { type: 'image', image: logo, position: 'tiled' });
+        const pdf = await PDFDocument.load(stamped);
+        assert.equal(pdf.getPageCount(), 4);
+        assert.deepEqual(await countPageImages(stamped), [1, 1, 1, 1]);
+    });
+
+    it('rejects text the standard font cannot draw', async () => {
+        await assert.rejects(watermarkPdf(source, { text: '水印' }), { code: 'UNSUPPORTED_TEXT' });
+    });
+
+    it('rejects an image that cannot be decoded', async () => {
+        await assert.rejects(
+            watermarkPdf(source, { type: 'image', image: Buffer.from('not an image') }),
+            { code: 'INVALID_IMAGE' }
+        );
+    });
+});
+
+describe('addPageNumbers', () => {
+    it('counts the skipped first page but leaves it blank', async () => {
+        const progress = [];
+        const numbered = await addPageNumbers(source, {
+            footer: 'Page {n} of {total}',
+            header: '{filename}',
+            filename: 'report.pdf',
+            skipFirst: true
+        }, (done, total) => progress.push([done, total]));
+
+        assert.equal(progress.length, 4);
+        // Stamps are drawn after the page's own content
+        assert.deepEqual(await readPageTexts(numbered), [
+            'doc page 1',
+            'doc page 2 report.pdf Page 2 of 4',
+            'doc page 3 report.pdf Page 3 of 4',
+            'doc page 4 report.pdf Page 4 of 4'
+        ]);
+    });
+
+    it('numbers a page range from startNumber', async () => {
+        const numbered = await addPageNumbers(source, { footer: '{n}/{total}', pages: [2, 3], startNumber: 10 });
+        assert.deepEqual(await readPageTexts(numbered), ['doc page 1', 'doc page 2', 'doc page 3 10/11', 'doc page 4 11/11']);
+    });
+
+    it('stamps only the requested page, numbered as in the full run', async () => {
+        const progress = [];
+        const numbered = await addPageNumbers(source, {
+            footer: 'Page {n} of {total}',
+            skipFirst: true,
+            only: 1
+        }, (done, total) => progress.push([done, total]));
+
+        assert.deepEqual(progress, [[1, 1]]);
+        assert.deepEqual(await readPageTexts(numbered), ['doc page 1', 'doc page 2 Page 2 of 4', 'doc page 3', 'doc page 4']);
+    });
+});
+
+describe('stamping routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(() => app.close());
+
+    it('watermarks with text', async () => {
+        const { status, body } = await postForm(`${app.baseUrl}/api/pdf/watermark`, { file: source, text: 'DRAFT', pages: '2-3' });
+        assert.equal(status, 200);
+        assert.equal(body.pageCount, 4);
+        assert.equal(body.watermarkedPages, 2);
+    });
+
+    it('watermarks with an image', async () => {
+        const { status, body } = await postForm(`${app.baseUrl}/api/pdf/watermark`, { file: source, type: 'image', image: logo, position: 'tiled' });
+        assert.equal(status, 200);
+        assert.equal(body.watermarkedPages, 4);
+    });
+
+    it('previews a watermark as a PNG of the first chosen page', async () => {
+        const { status, body } = await postForm(`${app.baseUrl}/api/pdf/watermark`, { file: source, text: 'DRAFT', pages: '3-4', preview: true });
+        assert.equal(status, 200);
+        assert.equal(body.page, 3);
+        assert.match(body.preview, /^data:image\/png;base64,/);
+    });
+
+    it('previews page numbers on the first numbered page', async () => {
+        const { status, body } = await postForm(`${app.baseUrl}/api/pdf/page-numbers`, { file: source, skipFirst: true, preview: true });
+        assert.equal(status, 200);
+        assert.equal(body.page, 2);
+        assert.match(body.preview, /^data:image\/png;base64,/);
+    });
+
+    it('adds page numbers', async () => {
+        const { status, body } = await postForm(`${app.baseUrl}/api/pdf/page-numbers`, { file: source, skipFirst: true });
+        assert.equal(status, 200);
+        assert.equal(body.pageCount, 4);
+        assert.equal(body.numberedPages, 3);
+    });
+});